@@ -0,0 +1,18 @@
+// Size limits on request input, checked by the schemas in validators/ and
+// by the generators. The first three are overridable from .env.
+module.exports = {
+  // Questions per quiz – generated, written by hand or added one at a time
+  MAX_QUESTIONS: parseInt(process.env.MAX_QUIZ_QUESTIONS, 10) || 100,
+  // Cards per generated flashcard set (imports have their own, larger limit)
+  MAX_GENERATED_CARDS: parseInt(process.env.MAX_GENERATED_CARDS, 10) || 100,
+  // Quiz time limit, in minutes
+  MAX_TIME_LIMIT: parseInt(process.env.MAX_QUIZ_TIME_LIMIT, 10) || 600,
+  MAX_ATTEMPTS: 100,
+  MIN_PASSWORD_LENGTH: 8,
+  MAX_PASSWORD_LENGTH: 128,
+  MAX_NAME_LENGTH: 100,       // names, subjects, difficulty labels
+  MAX_TITLE_LENGTH: 200,
+  MAX_TEXT_LENGTH: 5000,      // card sides, explanations, descriptions, instructions
+  MAX_SHARE_EMAILS: 50,       // per share request
+  MAX_INVITES: 100,           // per classroom invite request
+};
@@ -0,0 +1,42 @@
+// Outgoing mail, configured from .env:
+//   SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASSWORD – any SMTP server,
+//     e.g. a local catcher such as MailHog/Mailpit on localhost:1025
+//   SMTP_SERVICE – a nodemailer well-known service name instead of a host
+//   SMTP_EMAIL + SMTP_PASSWORD alone – the original Gmail setup
+//   MAIL_LOG_ONLY=true – no server: log mail to the console instead (development
+//     only – the log then holds verification links)
+// With none of these, sending fails rather than leaking mail into the logs.
+// MAIL_FROM sets the sender; APP_URL is where links in emails point, and
+// API_URL is this server's public address, for links mail clients call
+// themselves (one-click unsubscribe).
+require('dotenv').config();
+
+const APP_NAME = process.env.APP_NAME || 'Seemly Professionals';
+const user = process.env.SMTP_USER || process.env.SMTP_EMAIL;
+const auth = user ? { user, pass: process.env.SMTP_PASSWORD } : undefined;
+
+let transport;
+if (process.env.SMTP_HOST) {
+  const port = parseInt(process.env.SMTP_PORT, 10) || 587;
+  transport = {
+    host: process.env.SMTP_HOST,
+    port,
+    secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+    auth,
+  };
+} else if (process.env.SMTP_SERVICE || process.env.SMTP_EMAIL) {
+  transport = { service: process.env.SMTP_SERVICE || 'gmail', auth };
+} else if (process.env.MAIL_LOG_ONLY === 'true') {
+  transport = { jsonTransport: true };
+} else {
+  transport = null;
+}
+
+module.exports = {
+  APP_NAME,
+  APP_URL: (process.env.APP_URL || 'http://localhost:3000').replace(/\/+$/, ''),
+  API_URL: (process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/+$/, ''),
+  MAIL_FROM: process.env.MAIL_FROM || `"${APP_NAME}" <${user || 'no-reply@localhost'}>`,
+  MAIL_TRANSPORT: transport,
+  MAIL_LOG_ONLY: Boolean(transport?.jsonTransport),
+};
@@ -0,0 +1,12 @@
+// Upload / study-material limits, overridable from .env
+const MAX_UPLOAD_MB = parseFloat(process.env.MAX_UPLOAD_MB) || 5;
+const MAX_UPLOAD_BYTES = Math.round(MAX_UPLOAD_MB * 1024 * 1024);
+
+module.exports = {
+  MAX_UPLOAD_MB,
+  MAX_UPLOAD_BYTES,
+  // JSON bodies carry pasted study text, so they get the upload limit plus room for escaping
+  MAX_JSON_BYTES: Math.round(MAX_UPLOAD_BYTES * 1.2),
+  // Characters of source text sent to the model per generation call
+  CHUNK_CHARS: parseInt(process.env.GENERATION_CHUNK_CHARS, 10) || 12_000,
+};
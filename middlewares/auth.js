@@ -1,16 +1,46 @@
 const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { isSessionActive } = require('../utils/sessions');
 
-const auth = (req, res, next) => {
+// Verifies the bearer token, then checks the account and its session so
+// logouts, suspensions, role changes and password changes apply straight away
+// rather than when the token expires.
+// The role in the token is for clients; the stored one is what counts here.
+const auth = async (req, res, next) => {
   const token = req.header('Authorization')?.replace('Bearer ', '');
   if (!token) return res.status(401).json({ error: 'No token provided' });
 
+  let decoded;
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded;
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    // Lets clients tell "refresh and retry" apart from a bad token
+    if (error.name === 'TokenExpiredError')
+      return res.status(401).json({ error: 'Token expired', code: 'TOKEN_EXPIRED' });
+    return res.status(401).json({ error: 'Invalid token' });
+  }
+
+  // Tokens from before sessions existed can't be revoked, so they're not accepted
+  if (!mongoose.isValidObjectId(decoded.sid))
+    return res.status(401).json({ error: 'Session expired – please log in again' });
+
+  try {
+    const [user, sessionActive] = await Promise.all([
+      User.findById(decoded.userId).select('role suspended passwordChangedAt').lean(),
+      isSessionActive(decoded.sid, decoded.userId),
+    ]);
+    if (!user) return res.status(401).json({ error: 'Account no longer exists' });
+    if (user.suspended) return res.status(403).json({ error: 'Account suspended' });
+    if (!sessionActive) return res.status(401).json({ error: 'Session expired – please log in again' });
+    if (user.passwordChangedAt && decoded.iat < Math.floor(user.passwordChangedAt.getTime() / 1000))
+      return res.status(401).json({ error: 'Password changed – please log in again' });
+
+    req.user = { ...decoded, role: user.role };
     next();
   } catch (error) {
-    res.status(401).json({ error: 'Invalid token' });
+    next(error);
   }
 };
 
-module.exports = auth;
\ No newline at end of file
+module.exports = auth;
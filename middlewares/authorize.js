@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+const { accessibleBy } = require('../utils/sharing');
+
+// Authorization checks that run after `auth` (which sets req.user = { userId, role }).
+
+/* Only let through users with one of `roles`, e.g. requireRole('instructor', 'admin') */
+const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user) return res.status(401).json({ error: 'Not signed in' });
+  if (!roles.includes(req.user.role))
+    return res.status(403).json({ error: `Requires role: ${roles.join(' or ')}` });
+  next();
+};
+
+/*
+ * Load the document named by req.params[param] and only continue if the
+ * caller owns it; the document is left on req.resource. Someone it is merely
+ * shared with gets 403 rather than 404, so clients can explain why.
+ */
+const requireOwner = (Model, { label = Model.modelName, param = 'id' } = {}) => async (req, res, next) => {
+  try {
+    const id = req.params[param];
+    if (!mongoose.isValidObjectId(id)) return res.status(404).json({ error: `${label} not found` });
+
+    const doc = await Model.findOne({ _id: id, userId: req.user.userId });
+    if (!doc) {
+      const visible = await Model.exists({ _id: id, ...accessibleBy(req.user.userId) });
+      return visible
+        ? res.status(403).json({ error: `Only the owner can change this ${label.toLowerCase()}` })
+        : res.status(404).json({ error: `${label} not found` });
+    }
+    req.resource = doc;
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+module.exports = { requireRole, requireOwner };
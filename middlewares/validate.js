@@ -0,0 +1,157 @@
+const { body, query, param, validationResult } = require('express-validator');
+const { isValidTimeZone } = require('../utils/streaks');
+
+// Declarative request validation. A route's schema lists its inputs by
+// location, each field described in a small subset of JSON Schema:
+//
+//   validate({
+//     summary: 'Add a card',
+//     params: { id: { type: 'objectId', required: true } },
+//     body: {
+//       question: { type: 'string', required: true, maxLength: 5000 },
+//       position: { type: 'integer', minimum: 0 },
+//     },
+//   })
+//
+// Field keywords: type ('string', 'integer', 'number', 'boolean', 'array',
+// 'object', 'objectId', 'date', 'email', 'timezone', or an array of these), required,
+// nullable (optional, and null is allowed), default, enum, pattern, minimum,
+// maximum, minLength, maxLength, minItems, maxItems, items (array elements),
+// properties (fields of each element) and description. Integers, numbers
+// and booleans are converted in place, so handlers see 5 rather than '5'.
+// `nonEmptyBody: true` rejects a body that sets none of its fields (for
+// PATCH-style edits). A schema's `summary`, `files` (multipart uploads) and
+// `auth: 'optional'` only feed the API description built by utils/openapi.js.
+//
+// Failures reply 400 with { error, errors: [{ field, location, message, code }] },
+// where `error` repeats the first message for clients that show a single line.
+// Checks that need more than the request – the loaded document, the database –
+// stay in the route and reply through invalid() in the same shape.
+
+const LOCATIONS = { params: param, query, body };
+
+const OBJECT_ID = /^[0-9a-fA-F]{24}$/;
+const EMAIL = /^[^\s@]+@[^\s@]+$/;
+
+const TYPES = {
+  string: { check: v => typeof v === 'string', noun: 'a string' },
+  integer: {
+    check: v => (typeof v === 'number' && Number.isInteger(v)) || (typeof v === 'string' && /^\s*-?\d+\s*$/.test(v)),
+    noun: 'a whole number',
+  },
+  number: {
+    check: v => (typeof v === 'number' && Number.isFinite(v)) ||
+      (typeof v === 'string' && v.trim() !== '' && Number.isFinite(Number(v))),
+    noun: 'a number',
+  },
+  boolean: { check: v => typeof v === 'boolean' || ['true', 'false', '1', '0'].includes(v), noun: 'true or false' },
+  array: { check: Array.isArray, noun: 'an array' },
+  object: { check: v => v !== null && typeof v === 'object' && !Array.isArray(v), noun: 'an object' },
+  objectId: { check: v => typeof v === 'string' && OBJECT_ID.test(v), noun: 'a valid id', code: 'invalid_id' },
+  date: {
+    check: v => ((typeof v === 'string' && v.trim() !== '') || typeof v === 'number') && !Number.isNaN(new Date(v).getTime()),
+    noun: 'a date (ISO 8601 or a timestamp)',
+    code: 'invalid_date',
+  },
+  email: { check: v => typeof v === 'string' && EMAIL.test(v.trim()), noun: 'an email address', code: 'invalid_email' },
+  timezone: { check: isValidTimeZone, noun: 'an IANA time zone, e.g. Europe/London', code: 'invalid_value' },
+};
+
+const isMissing = v => v === undefined || v === null || (typeof v === 'string' && !v.trim());
+
+const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+
+const rangeText = (min, max) =>
+  min !== undefined && max !== undefined ? `between ${min} and ${max}`
+    : min !== undefined ? `at least ${min}` : `at most ${max}`;
+
+/* The first thing wrong with one value as [code, text], or null */
+const problemWith = (value, spec) => {
+  if (spec.required && isMissing(value)) return ['required', 'is required'];
+
+  const types = [].concat(spec.type || []);
+  if (types.length && !types.some(t => TYPES[t].check(value)))
+    return [(types.length === 1 && TYPES[types[0]].code) || 'invalid_type', `must be ${types.map(t => TYPES[t].noun).join(' or ')}`];
+
+  if (spec.enum && !spec.enum.includes(value)) return ['invalid_value', `must be one of: ${spec.enum.join(', ')}`];
+  if (spec.pattern && !new RegExp(spec.pattern).test(String(value))) return ['invalid_value', `is not in the expected format${spec.description ? ` (${spec.description})` : ''}`];
+
+  const { minimum, maximum } = spec;
+  if ((minimum !== undefined && Number(value) < minimum) || (maximum !== undefined && Number(value) > maximum))
+    return ['out_of_range', `must be ${rangeText(minimum, maximum)}`];
+
+  const unit = Array.isArray(value) ? 'item' : 'character';
+  const min = spec.minLength ?? spec.minItems;
+  const max = spec.maxLength ?? spec.maxItems;
+  if (min !== undefined && value.length < min) return ['too_short', `must have at least ${plural(min, unit)}`];
+  if (max !== undefined && value.length > max) return ['too_long', `must have at most ${plural(max, unit)}`];
+  return null;
+};
+
+/*
+ * One field's chain. All checks run in a single custom validator so that each
+ * array element reports its own first problem; messages name the actual
+ * field, e.g. cards[2].answer.
+ */
+const buildChain = (chain, spec) => {
+  if (spec.default !== undefined) chain.default(spec.default);
+  else if (!spec.required) chain.optional({ values: spec.nullable ? 'null' : 'undefined' });
+
+  chain.custom((value, { path }) => {
+    const problem = problemWith(value, spec);
+    if (problem) throw { code: problem[0], message: `${path} ${problem[1]}` };
+    return true;
+  });
+
+  if (spec.type === 'integer') chain.toInt();
+  if (spec.type === 'number') chain.toFloat();
+  if (spec.type === 'boolean') chain.toBoolean(true);
+  return chain;
+};
+
+/* One chain per field, plus chains for array elements (`path.*`) and their properties */
+const compileFields = (location, fields, prefix = '') =>
+  Object.entries(fields || {}).flatMap(([name, spec]) => {
+    const path = prefix + name;
+    return [
+      buildChain(LOCATIONS[location](path), spec),
+      ...(spec.items ? compileFields(location, { '*': spec.items }, `${path}.`) : []),
+      ...(spec.properties ? compileFields(location, spec.properties, `${path}.`) : []),
+    ];
+  });
+
+/* Reply 400 for one bad input, shaped like validate()'s replies */
+const invalid = (res, field, message, { location = 'body', code = 'invalid_value', ...extra } = {}) =>
+  res.status(400).json({ error: message, errors: [{ field, location, message, code }], ...extra });
+
+const formatError = ({ msg, path, location }) =>
+  typeof msg === 'object' && msg
+    ? { field: path, location, message: msg.message, code: msg.code }
+    : { field: path, location, message: String(msg), code: 'invalid_value' };
+
+/* Reply 400 with every failed field, or carry on */
+const validate = (schema = {}) => {
+  const chains = Object.keys(LOCATIONS).flatMap(location => compileFields(location, schema[location]));
+
+  const middleware = async (req, res, next) => {
+    try {
+      for (const chain of chains) await chain.run(req);
+      const errors = validationResult(req).array({ onlyFirstError: true }).map(formatError);
+      if (!errors.length && schema.nonEmptyBody && !Object.keys(schema.body).some(f => req.body?.[f] !== undefined)) {
+        const message = `Nothing to update – send at least one of: ${Object.keys(schema.body).join(', ')}`;
+        errors.push({ field: null, location: 'body', message, code: 'required' });
+      }
+      if (errors.length) return res.status(400).json({ error: errors[0].message, errors });
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+  // Read back by utils/openapi.js
+  middleware.schema = schema;
+  return middleware;
+};
+
+validate.invalid = invalid;
+
+module.exports = validate;
@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+const PURPOSES = ['verify-email', 'reset-password'];
+
+// Single-use emailed tokens. Only a SHA-256 of the token is stored; expired
+// ones are removed by MongoDB's TTL monitor.
+const accountTokenSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  purpose: { type: String, enum: PURPOSES, required: true },
+  tokenHash: { type: String, required: true },
+  expiresAt: { type: Date, required: true },
+  usedAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now },
+});
+
+accountTokenSchema.index({ tokenHash: 1 }, { unique: true });
+accountTokenSchema.index({ userId: 1, purpose: 1 });
+accountTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+accountTokenSchema.statics.PURPOSES = PURPOSES;
+
+module.exports = mongoose.model('AccountToken', accountTokenSchema);
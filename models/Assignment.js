@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+// A quiz or flashcard set assigned to a classroom. Students get access
+// through the item's sharedWith list (via: 'class').
+const assignmentSchema = new mongoose.Schema({
+  classroomId: { type: mongoose.Schema.Types.ObjectId, ref: 'Classroom', required: true },
+  kind: { type: String, enum: ['quiz', 'flashcards'], required: true },
+  itemId: { type: mongoose.Schema.Types.ObjectId, required: true },   // Quiz or FlashcardSet
+  title: { type: String, required: true },
+  subject: { type: String },
+  instructions: { type: String },
+  dueDate: { type: Date, required: true },
+  assignedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date },
+});
+
+assignmentSchema.index({ classroomId: 1, dueDate: 1 });
+assignmentSchema.index({ classroomId: 1, kind: 1, itemId: 1 }, { unique: true });
+
+module.exports = mongoose.model('Assignment', assignmentSchema);
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// A class run by one or more instructors. Students join with the join code
+// or by accepting an email invite; assignments live in Assignment.
+const classroomSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  description: { type: String },
+  instructors: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }],
+  students: [{
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    joinedAt: { type: Date, default: Date.now },
+    _id: false,
+  }],
+  // Pending email invites – accepted by the account with that email
+  invites: [{
+    email: { type: String, required: true },
+    invitedAt: { type: Date, default: Date.now },
+    invitedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    _id: false,
+  }],
+  joinCode: { type: String, required: true },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date },
+});
+
+classroomSchema.methods.isInstructor = function (userId) {
+  return this.instructors.some(id => id.toString() === String(userId));
+};
+
+classroomSchema.methods.isStudent = function (userId) {
+  return this.students.some(s => s.userId.toString() === String(userId));
+};
+
+classroomSchema.index({ joinCode: 1 }, { unique: true });
+classroomSchema.index({ instructors: 1 });
+classroomSchema.index({ 'students.userId': 1 });
+classroomSchema.index({ 'invites.email': 1 });
+
+module.exports = mongoose.model('Classroom', classroomSchema);
@@ -0,0 +1,45 @@
+// models/FlashcardProgress.js
+const mongoose = require('mongoose');
+
+// A recipient's own study state for a flashcard set shared with them – the
+// set's cards keep the owner's progress, this keeps everyone else's.
+const CardProgressSchema = new mongoose.Schema({
+  cardId:       { type: mongoose.Schema.Types.ObjectId, required: true },
+  masteryLevel: { type: Number, default: 0, min: 0, max: 100 },
+  easeFactor:   { type: Number, default: 2.5, min: 1.3 },
+  interval:     { type: Number, default: 0 },   // days
+  repetitions:  { type: Number, default: 0 },
+  dueDate:      { type: Date, default: Date.now },
+  lastReviewed: { type: Date },
+}, { _id: false });
+
+const FlashcardProgressSchema = new mongoose.Schema({
+  userId:       { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  setId:        { type: mongoose.Schema.Types.ObjectId, ref: 'FlashcardSet', required: true },
+  cards:        [CardProgressSchema],
+  masteryLevel: { type: Number, default: 0 },
+  lastStudied:  { type: Date },
+  createdAt:    { type: Date, default: Date.now },
+});
+
+/* Progress for one card, added fresh (due now) if it hasn't been studied yet */
+FlashcardProgressSchema.methods.cardState = function (cardId) {
+  let state = this.cards.find(c => c.cardId.equals(cardId));
+  if (!state) {
+    this.cards.push({ cardId });
+    state = this.cards[this.cards.length - 1];
+  }
+  return state;
+};
+
+/* Mastery over the set's current cards – unstudied ones count as 0 */
+FlashcardProgressSchema.methods.recomputeMastery = function (set) {
+  const byId = new Map(this.cards.map(c => [c.cardId.toString(), c.masteryLevel]));
+  const total = set.cards.reduce((sum, c) => sum + (byId.get(c._id.toString()) || 0), 0);
+  this.masteryLevel = set.cards.length ? Math.round(total / set.cards.length) : 0;
+  return this.masteryLevel;
+};
+
+FlashcardProgressSchema.index({ userId: 1, setId: 1 }, { unique: true });
+
+module.exports = mongoose.model('FlashcardProgress', FlashcardProgressSchema);
@@ -1,10 +1,20 @@
 // models/FlashcardSet.js
 const mongoose = require('mongoose');
+const sourceSchema = require('./SourceSchema');
+const shareRecipientSchema = require('./ShareSchema');
 
 const CardSchema = new mongoose.Schema({
   question: { type: String, required: true },
   answer:   { type: String, required: true },
+  explanation: { type: String },
   masteryLevel: { type: Number, default: 0, min: 0, max: 100 },
+  // SM-2 scheduling state (see utils/spacedRepetition.js)
+  easeFactor:   { type: Number, default: 2.5, min: 1.3 },
+  interval:     { type: Number, default: 0 },   // days
+  repetitions:  { type: Number, default: 0 },
+  dueDate:      { type: Date, default: Date.now },
+  lastReviewed: { type: Date },
+  source:       { type: sourceSchema, default: undefined },
 });
 
 const FlashcardSetSchema = new mongoose.Schema({
@@ -14,7 +24,23 @@ const FlashcardSetSchema = new mongoose.Schema({
   cards:        [CardSchema],
   masteryLevel: { type: Number, default: 0 },
   lastStudied:  { type: Date },
+  // Sharing – recipients study with their own FlashcardProgress; only the owner edits
+  sharedWith:   { type: [shareRecipientSchema], default: [] },
+  shareToken:   { type: String },
+  clonedFrom:   { type: mongoose.Schema.Types.ObjectId, ref: 'FlashcardSet' },
   createdAt:    { type: Date, default: Date.now },
+  updatedAt:    { type: Date },
 });
 
+/* Set mastery is the average of its cards' mastery */
+FlashcardSetSchema.methods.recomputeMastery = function () {
+  const total = this.cards.reduce((sum, c) => sum + c.masteryLevel, 0);
+  this.masteryLevel = this.cards.length ? Math.round(total / this.cards.length) : 0;
+  return this.masteryLevel;
+};
+
+FlashcardSetSchema.index({ userId: 1, 'cards.dueDate': 1 });
+FlashcardSetSchema.index({ 'sharedWith.userId': 1 });
+FlashcardSetSchema.index({ shareToken: 1 }, { unique: true, sparse: true });
+
 module.exports = mongoose.model('FlashcardSet', FlashcardSetSchema);
\ No newline at end of file
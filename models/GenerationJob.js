@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+const JOB_STATUSES = ['queued', 'extracting', 'generating', 'validating', 'done', 'failed'];
+
+// A background AI generation run. Stored in MongoDB so queued work
+// survives a restart; the uploaded file is dropped once text is extracted
+// (pasted text goes straight into sourceSections).
+const generationJobSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  kind: { type: String, enum: ['quiz', 'flashcards'], required: true },
+  status: { type: String, enum: JOB_STATUSES, default: 'queued' },
+  params: { type: mongoose.Schema.Types.Mixed, default: {} },
+  file: {
+    name: String,
+    mimetype: String,
+    format: String, // key of FORMATS in utils/ingestion.js
+    data: Buffer,
+  },
+  // Extracted text, one entry per page / slide / heading (see utils/ingestion.js)
+  sourceSections: {
+    type: [{ _id: false, page: Number, heading: String, text: String }],
+    default: undefined,
+  },
+  resultId: { type: mongoose.Schema.Types.ObjectId },
+  // { requested, generated, duplicatesRemoved, chunks, failedChunks }
+  summary: { type: mongoose.Schema.Types.Mixed },
+  error: { type: String },
+  errorDetails: { type: mongoose.Schema.Types.Mixed },
+  runs: { type: Number, default: 0 },
+  startedAt: { type: Date },
+  finishedAt: { type: Date },
+}, { timestamps: true });
+
+generationJobSchema.index({ status: 1, createdAt: 1 });
+generationJobSchema.index({ userId: 1, createdAt: -1 });
+
+generationJobSchema.statics.STATUSES = JOB_STATUSES;
+
+module.exports = mongoose.model('GenerationJob', generationJobSchema);
@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+// One user's running total on one leaderboard for one period, bumped as quiz
+// results come in (see utils/leaderboards.js for which ones count).
+//   board  – 'all', or 'subject:<lower-cased subject>'
+//   period – 'all', an ISO week ('2026-W07') or a month ('2026-02')
+const leaderboardEntrySchema = new mongoose.Schema({
+  board: { type: String, required: true },
+  period: { type: String, required: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  subject: { type: String },        // display name for subject boards
+  points: { type: Number, default: 0 },   // sum of first-attempt scores on others' quizzes
+  quizzes: { type: Number, default: 0 },
+  timeSpent: { type: Number, default: 0 }, // seconds
+  updatedAt: { type: Date, default: Date.now },
+});
+
+leaderboardEntrySchema.index({ board: 1, period: 1, userId: 1 }, { unique: true });
+// Serves both the ranked page and "how many are ahead of me" counts
+leaderboardEntrySchema.index({ board: 1, period: 1, points: -1, userId: 1 });
+
+module.exports = mongoose.model('LeaderboardEntry', leaderboardEntrySchema);
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const sourceSchema = require('./SourceSchema');
+const shareRecipientSchema = require('./ShareSchema');
 
 const quizSchema = new mongoose.Schema({
   userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
@@ -7,13 +9,65 @@ const quizSchema = new mongoose.Schema({
   difficulty: { type: String, required: true },
   timeLimit: { type: Number, required: true },
   numQuestions: { type: Number, required: true },
+  // Typed questions – see utils/questionTypes.js for what each type uses
   questions: [{
+    type: {
+      type: String,
+      enum: ['multiple-choice', 'true-false', 'multiple-select', 'fill-blank', 'short-answer'],
+      default: 'multiple-choice',
+    },
     question: String,
-    options: [String],
-    correctAnswer: Number,
+    options: [String],                          // choice types
+    correctAnswer: Number,                      // multiple-choice, true-false
+    correctAnswers: { type: [Number], default: undefined }, // multiple-select
+    acceptedAnswers: { type: [String], default: undefined }, // fill-blank, short-answer
+    explanation: String,
+    source: { type: sourceSchema, default: undefined },
   }],
+  questionTypes: { type: [String], default: ['multiple-choice'] },
+  shortAnswerMarking: { type: String, enum: ['normalized', 'ai'], default: 'normalized' },
+  // null = unlimited; falls back to QUIZ_MAX_ATTEMPTS when not set per quiz
+  maxAttempts: { type: Number, default: null, min: 1 },
   status: { type: String, default: 'not-started' },
+  // 'review' – built from the owner's wrong answers (see utils/review.js)
+  origin: { type: String, enum: ['ai', 'manual', 'review'], default: 'ai' },
+  // Bumped on every question edit; older versions live in QuizVersion
+  version: { type: Number, default: 1 },
+  // Sharing – recipients can take the quiz; only the owner can edit it
+  sharedWith: { type: [shareRecipientSchema], default: [] },
+  shareToken: { type: String },
+  clonedFrom: { type: mongoose.Schema.Types.ObjectId, ref: 'Quiz' },
   createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date },
 });
 
+// Fields a student may see while taking the quiz – never the answer key
+// or anything that gives it away (explanations, sources).
+const ATTEMPT_QUESTION_FIELDS = ['_id', 'type', 'question', 'options'];
+
+quizSchema.methods.toAttemptView = function () {
+  return {
+    _id: this._id,
+    title: this.title,
+    subject: this.subject,
+    difficulty: this.difficulty,
+    timeLimit: this.timeLimit,
+    numQuestions: this.numQuestions,
+    maxAttempts: this.maxAttempts,
+    version: this.version,
+    status: this.status,
+    createdAt: this.createdAt,
+    questionTypes: this.questionTypes,
+    questions: this.questions.map(q => {
+      const view = {};
+      ATTEMPT_QUESTION_FIELDS.forEach(f => { view[f] = q[f]; });
+      if (!view.options?.length) delete view.options; // text-answer types
+      return view;
+    }),
+  };
+};
+
+quizSchema.index({ 'sharedWith.userId': 1 });
+quizSchema.index({ shareToken: 1 }, { unique: true, sparse: true });
+
 module.exports = mongoose.model('Quiz', quizSchema);
@@ -3,10 +3,33 @@ const mongoose = require('mongoose');
 const quizResultSchema = new mongoose.Schema({
   userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
   quizId: { type: mongoose.Schema.Types.ObjectId, ref: 'Quiz', required: true },
+  // Set by utils/attempts.js; results saved before numbering are backfilled at startup
+  attemptNumber: { type: Number, min: 1 },
+  quizVersion: { type: Number, default: 1 },
+  subject: { type: String },   // the quiz's subject when taken, for stats
   score: { type: Number, required: true },
-  answers: [Number],
-  timeSpent: { type: Number, required: true },
+  correctCount: { type: Number, default: 0 },
+  totalQuestions: { type: Number, default: 0 },
+  // Per question: option index, array of indexes (multiple-select),
+  // string (fill-blank / short-answer) or null when unanswered
+  answers: [mongoose.Schema.Types.Mixed],
+  questionResults: [{
+    _id: false,
+    correct: Boolean,
+    markedBy: { type: String, enum: ['auto', 'ai'] },
+    feedback: String,
+  }],
+  timeSpent: { type: Number, required: true }, // seconds, from the server clock
+  sessionId: { type: mongoose.Schema.Types.ObjectId, ref: 'QuizSession' },
+  late: { type: Boolean, default: false },
   createdAt: { type: Date, default: Date.now },
 });
 
+// Partial, so not-yet-numbered results don't collide while the index builds
+quizResultSchema.index(
+  { userId: 1, quizId: 1, attemptNumber: 1 },
+  { unique: true, partialFilterExpression: { attemptNumber: { $type: 'number' } } }
+);
+quizResultSchema.index({ userId: 1, createdAt: -1 });
+
 module.exports = mongoose.model('QuizResult', quizResultSchema);
@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+// One server-timed attempt at a quiz. The deadline is fixed at start time,
+// so submissions are judged against the server clock, not the client's.
+const quizSessionSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  quizId: { type: mongoose.Schema.Types.ObjectId, ref: 'Quiz', required: true },
+  quizVersion: { type: Number, default: 1 },
+  startedAt: { type: Date, default: Date.now },
+  deadline: { type: Date, default: null }, // null = untimed quiz
+  // 'submitting' – claimed by a submit that is still grading, so a repeat can't grade it twice
+  status: { type: String, enum: ['in-progress', 'submitting', 'submitted', 'expired'], default: 'in-progress' },
+  // Last answers saved before the deadline – used when late answers are cut off
+  answers: { type: [mongoose.Schema.Types.Mixed], default: undefined },
+  answersSavedAt: { type: Date },
+  submittedAt: { type: Date },
+  resultId: { type: mongoose.Schema.Types.ObjectId, ref: 'QuizResult' },
+});
+
+quizSessionSchema.index({ userId: 1, quizId: 1, status: 1 });
+
+module.exports = mongoose.model('QuizSession', quizSessionSchema);
@@ -0,0 +1,14 @@
+const mongoose = require('mongoose');
+
+// Snapshot of a quiz's questions as they were at `version`, taken before an
+// edit so results keep pointing at the questions they were graded against.
+const quizVersionSchema = new mongoose.Schema({
+  quizId: { type: mongoose.Schema.Types.ObjectId, ref: 'Quiz', required: true },
+  version: { type: Number, required: true },
+  questions: { type: Array, default: [] },
+  createdAt: { type: Date, default: Date.now },
+});
+
+quizVersionSchema.index({ quizId: 1, version: 1 }, { unique: true });
+
+module.exports = mongoose.model('QuizVersion', quizVersionSchema);
@@ -0,0 +1,13 @@
+const mongoose = require('mongoose');
+
+// Someone a quiz or flashcard set is shared with. `via: 'link'` entries were
+// added by opening the share link and are dropped when the link is revoked;
+// `via: 'class'` entries come from a classroom assignment and follow its roster.
+const shareRecipientSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  via: { type: String, enum: ['invite', 'link', 'class'], default: 'invite' },
+  classroomId: { type: mongoose.Schema.Types.ObjectId, ref: 'Classroom' },
+  addedAt: { type: Date, default: Date.now },
+}, { _id: false });
+
+module.exports = shareRecipientSchema;
@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+
+// Where in the source document a generated question or card came from.
+// pageStart/pageEnd are null for formats without pages (DOCX, HTML, text).
+// `excerpt` is a quote verified against the extracted text; `page` is the
+// page it was actually found on.
+const sourceSchema = new mongoose.Schema({
+  pageStart: { type: Number, default: null },
+  pageEnd: { type: Number, default: null },
+  section: { type: String, default: null },
+  excerpt: { type: String },
+  page: { type: Number, default: null },
+}, { _id: false });
+
+module.exports = sourceSchema;
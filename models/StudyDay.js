@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+// What a user did on one day, in their own timezone. Kept for streak
+// history and daily goals; totals live on User (see utils/streaks.js).
+const studyDaySchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  day: { type: String, required: true },   // YYYY-MM-DD
+  cardsReviewed: { type: Number, default: 0 },
+  quizzesTaken: { type: Number, default: 0 },
+  timeSpent: { type: Number, default: 0 },  // seconds of quiz time
+  goalMet: { type: Boolean, default: false },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+studyDaySchema.index({ userId: 1, day: -1 }, { unique: true });
+
+module.exports = mongoose.model('StudyDay', studyDaySchema);
@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 
+const ROLES = ['student', 'instructor', 'admin'];
+
 const userSchema = new mongoose.Schema({
   fullName: { type: String, required: true },
   email: { type: String, required: true, unique: true },
@@ -8,7 +10,42 @@ const userSchema = new mongoose.Schema({
   quizzesTaken: { type: Number, default: 0 },
   totalScore: { type: Number, default: 0 },
   hoursPracticed: { type: Number, default: 0 },
-  rank: { type: Number, default: 0 },
+  role: { type: String, enum: ROLES, default: 'student' },
+  emailVerified: { type: Boolean, default: false },
+  emailVerifiedAt: { type: Date },
+  // Tokens issued before this are rejected (see middlewares/auth.js)
+  passwordChangedAt: { type: Date },
+  // IANA zone, e.g. 'Europe/London' – decides where study days and reminder hours fall
+  timezone: { type: String, default: 'UTC' },
+  // 0 means no goal for that activity
+  dailyGoal: {
+    cardsReviewed: { type: Number, default: 0, min: 0 },
+    quizzesTaken: { type: Number, default: 0, min: 0 },
+  },
+  // Consecutive days with any study or quiz activity (see utils/streaks.js)
+  streak: {
+    current: { type: Number, default: 0 },
+    longest: { type: Number, default: 0 },
+    lastStudyDay: { type: String },   // YYYY-MM-DD in the user's timezone
+  },
+  notifications: {
+    email: { type: Boolean, default: true },   // master switch – false opts out of every reminder
+    streakReminders: { type: Boolean, default: true },
+    reviewReminders: { type: Boolean, default: true },
+    quizReminders: { type: Boolean, default: true },
+    reminderHour: { type: Number, default: 18, min: 0, max: 23 },
+    unsubscribeToken: { type: String },
+    lastReminderDay: { type: String },
+    lastReminderAt: { type: Date },
+  },
+  // Suspended accounts can't sign in and their tokens stop working
+  suspended: { type: Boolean, default: false },
+  suspendedAt: { type: Date },
+  suspendedReason: { type: String },
 });
 
+userSchema.index({ 'notifications.unsubscribeToken': 1 }, { sparse: true });
+
+userSchema.statics.ROLES = ROLES;
+
 module.exports = mongoose.model('User', userSchema);
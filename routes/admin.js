@@ -0,0 +1,146 @@
+// routes/admin.js
+const express = require("express");
+const mongoose = require("mongoose");
+const router = express.Router();
+const auth = require("../middlewares/auth");
+const { requireRole } = require("../middlewares/authorize");
+const validate = require("../middlewares/validate");
+const schemas = require("../validators/admin");
+const User = require("../models/User");
+const { revokeAllSessions } = require("../utils/sessions");
+const { rebuildStats } = require("../utils/leaderboards");
+
+const { invalid } = validate;
+
+// Everything here is admin-only
+router.use(auth, requireRole("admin"));
+
+const PUBLIC_FIELDS = "fullName email role suspended suspendedAt suspendedReason createdAt quizzesTaken totalScore";
+
+const escapeRegex = text => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/* Load the target user; replies 404 itself and returns null */
+const loadUser = async (req, res) => {
+  const user = mongoose.isValidObjectId(req.params.id) ? await User.findById(req.params.id) : null;
+  if (!user) res.status(404).json({ error: "User not found" });
+  return user;
+};
+
+const formatUser = u => ({
+  id: u._id,
+  fullName: u.fullName,
+  email: u.email,
+  role: u.role,
+  suspended: u.suspended,
+  suspendedAt: u.suspendedAt ?? null,
+  suspendedReason: u.suspendedReason ?? null,
+  createdAt: u.createdAt,
+  quizzesTaken: u.quizzesTaken,
+  totalScore: u.totalScore
+});
+
+/* List users – ?search=&role=&suspended=true|false&page=1&limit=20 */
+router.get("/users", validate(schemas.listUsers), async (req, res) => {
+  try {
+    const { page, limit } = req.query;
+
+    const filter = {};
+    if (req.query.search) {
+      const pattern = new RegExp(escapeRegex(String(req.query.search)), "i");
+      filter.$or = [{ fullName: pattern }, { email: pattern }];
+    }
+    if (req.query.role) filter.role = req.query.role;
+    if (req.query.suspended !== undefined) filter.suspended = req.query.suspended;
+
+    const [users, total] = await Promise.all([
+      User.find(filter).select(PUBLIC_FIELDS).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+      User.countDocuments(filter)
+    ]);
+
+    res.json({ success: true, page, limit, total, users: users.map(formatUser) });
+  } catch (e) {
+    console.error("Admin list users error:", e);
+    res.status(500).json({ error: "Failed to fetch users" });
+  }
+});
+
+/* One user */
+router.get("/users/:id", validate(schemas.getUser), async (req, res) => {
+  try {
+    const user = await loadUser(req, res);
+    if (!user) return;
+    res.json({ success: true, user: formatUser(user) });
+  } catch (e) {
+    console.error("Admin fetch user error:", e);
+    res.status(500).json({ error: "Failed to fetch user" });
+  }
+});
+
+/* Change a user's role – admins can't demote themselves, so there's always one left */
+router.patch("/users/:id/role", validate(schemas.setRole), async (req, res) => {
+  try {
+    const { role } = req.body;
+    const user = await loadUser(req, res);
+    if (!user) return;
+    if (user._id.equals(req.user.userId) && role !== "admin")
+      return invalid(res, "role", "You can't remove your own admin role");
+
+    user.role = role;
+    await user.save();
+    res.json({ success: true, message: `Role changed to ${role}`, user: formatUser(user) });
+  } catch (e) {
+    console.error("Admin change role error:", e);
+    res.status(500).json({ error: "Failed to change role" });
+  }
+});
+
+/* Suspend an account – takes effect on the user's next request */
+router.post("/users/:id/suspend", validate(schemas.suspend), async (req, res) => {
+  try {
+    const { reason } = req.body;
+    const user = await loadUser(req, res);
+    if (!user) return;
+    if (user._id.equals(req.user.userId))
+      return invalid(res, "id", "You can't suspend your own account", { location: "params" });
+
+    user.suspended = true;
+    user.suspendedAt = new Date();
+    user.suspendedReason = reason?.trim() || undefined;
+    await user.save();
+    await revokeAllSessions(user._id, { reason: "suspended" });
+    res.json({ success: true, message: "Account suspended", user: formatUser(user) });
+  } catch (e) {
+    console.error("Admin suspend user error:", e);
+    res.status(500).json({ error: "Failed to suspend account" });
+  }
+});
+
+/* Lift a suspension */
+router.post("/users/:id/unsuspend", validate(schemas.unsuspend), async (req, res) => {
+  try {
+    const user = await loadUser(req, res);
+    if (!user) return;
+
+    user.suspended = false;
+    user.suspendedAt = undefined;
+    user.suspendedReason = undefined;
+    await user.save();
+    res.json({ success: true, message: "Account reinstated", user: formatUser(user) });
+  } catch (e) {
+    console.error("Admin unsuspend user error:", e);
+    res.status(500).json({ error: "Failed to reinstate account" });
+  }
+});
+
+/* Recompute user stats and leaderboards from every quiz result */
+router.post("/stats/rebuild", validate(schemas.rebuildStats), async (req, res) => {
+  try {
+    const rebuilt = await rebuildStats();
+    res.json({ success: true, message: "Stats rebuilt", ...rebuilt });
+  } catch (e) {
+    console.error("Admin rebuild stats error:", e);
+    res.status(500).json({ error: "Failed to rebuild stats" });
+  }
+});
+
+module.exports = router;
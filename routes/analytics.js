@@ -0,0 +1,62 @@
+// routes/analytics.js
+// The caller's own performance. Every route takes ?from=&to=&subject=
+const express = require("express");
+const router = express.Router();
+const auth = require("../middlewares/auth");
+const validate = require("../middlewares/validate");
+const { invalid } = validate;
+const schemas = require("../validators/analytics");
+const { parseAnalyticsQuery, overview, timeSeries, missedQuestions } = require("../utils/analytics");
+
+/* By subject and difficulty, trends, weak areas and flashcard mastery next to quiz scores */
+router.get("/", auth, validate(schemas.overview), async (req, res) => {
+  try {
+    const { options, error, field } = parseAnalyticsQuery(req.query);
+    if (error) return invalid(res, field, error, { location: "query" });
+
+    const report = await overview(req.user.userId, options);
+    res.json({ success: true, from: options.from ?? null, to: options.to, subject: options.subject, ...report });
+  } catch (e) {
+    console.error("Analytics overview error:", e);
+    res.status(500).json({ error: "Failed to build analytics" });
+  }
+});
+
+/* Chart data – ?interval=day|week|month; defaults to the last 30 days, 26 weeks or 12 months */
+router.get("/timeseries", auth, validate(schemas.timeSeries), async (req, res) => {
+  try {
+    const { options, error, field } = parseAnalyticsQuery(req.query, { series: true });
+    if (error) return invalid(res, field, error, { location: "query" });
+
+    const points = await timeSeries(req.user.userId, options);
+    res.json({
+      success: true,
+      interval: options.interval,
+      from: options.from,
+      to: options.to,
+      subject: options.subject,
+      points
+    });
+  } catch (e) {
+    console.error("Analytics time series error:", e);
+    res.status(500).json({ error: "Failed to build time series" });
+  }
+});
+
+/* Questions the caller keeps getting wrong – ?minMisses=1&limit=20 */
+router.get("/missed-questions", auth, validate(schemas.missedQuestions), async (req, res) => {
+  try {
+    const { options, error, field } = parseAnalyticsQuery(req.query);
+    if (error) return invalid(res, field, error, { location: "query" });
+
+    const { minMisses, limit } = req.query;
+
+    const missed = await missedQuestions(req.user.userId, options, { minMisses });
+    res.json({ success: true, total: missed.length, questions: missed.slice(0, limit) });
+  } catch (e) {
+    console.error("Missed questions error:", e);
+    res.status(500).json({ error: "Failed to fetch missed questions" });
+  }
+});
+
+module.exports = router;
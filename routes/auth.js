@@ -1,40 +1,297 @@
 const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcrypt');
-const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const User = require('../models/User');
+const auth = require('../middlewares/auth');
+const validate = require('../middlewares/validate');
+const schemas = require('../validators/auth');
+const sendEmail = require('../utils/nodemailer');
+const { TTL_MINUTES, issueToken, redeemToken, revokeTokens } = require('../utils/accountTokens');
+const { APP_NAME, APP_URL } = require('../config/mail');
+const {
+  ACCESS_TOKEN_TTL,
+  signAccessToken,
+  tokenPair,
+  startSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeByRefreshToken,
+  revokeAllSessions,
+  listSessions,
+  formatSession,
+} = require('../utils/sessions');
+require('dotenv').config();
 
-router.post('/signup', async (req, res) => {
+const { invalid } = validate;
+
+// Accounts listed in ADMIN_EMAILS are made admins once they've confirmed the
+// address (on verification or a later login), so a fresh deployment has
+// someone who can assign roles – and nobody gets there by signing up as them.
+const ADMIN_EMAILS = (process.env.ADMIN_EMAILS || '')
+  .split(',')
+  .map(e => e.trim().toLowerCase())
+  .filter(Boolean);
+
+// Off by default so accounts created before verification existed can still log in
+const REQUIRE_EMAIL_VERIFICATION = process.env.REQUIRE_EMAIL_VERIFICATION === 'true';
+
+const promoteIfAdmin = async user => {
+  if (user.emailVerified && user.role !== 'admin' && ADMIN_EMAILS.includes(user.email.toLowerCase())) {
+    user.role = 'admin';
+    await user.save();
+  }
+};
+
+const publicUser = user => ({
+  id: user._id,
+  fullName: user.fullName,
+  email: user.email,
+  role: user.role,
+  emailVerified: user.emailVerified,
+});
+
+const setPassword = async (user, password) => {
+  user.password = await bcrypt.hash(password, 10);
+  user.passwordChangedAt = new Date();
+};
+
+/* Email a verification link; resolves false if there's a recent one or sending fails */
+const sendVerificationEmail = async user => {
+  const issued = await issueToken(user._id, 'verify-email');
+  if (!issued) return false;
   try {
-    const { fullName, email, password } = req.body;
-    const existingUser = await User.findOne({ email });
-    if (existingUser) return res.status(400).json({ error: 'Email already exists' });
+    await sendEmail({
+      to: user.email,
+      subject: `Confirm your email for ${APP_NAME}`,
+      text: `Hi ${user.fullName},\n\nPlease confirm your email address:\n` +
+        `${APP_URL}/verify-email?token=${issued.token}\n\n` +
+        `The link works once and expires in ${Math.round(TTL_MINUTES['verify-email'] / 60)} hours.`,
+    });
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
+
+/* Find an account by email, ignoring case – new addresses are stored
+   lower-cased, older accounts may still hold them as typed */
+const findByEmail = email =>
+  typeof email === 'string' && email.trim()
+    ? User.findOne({ email: email.trim() }).collation({ locale: 'en', strength: 2 })
+    : null;
+
+router.post('/signup', validate(schemas.signup), async (req, res) => {
+  try {
+    const { fullName, password } = req.body;
+    const email = req.body.email.trim().toLowerCase();
+    const existingUser = await findByEmail(email);
+    if (existingUser) return invalid(res, 'email', 'Email already exists');
 
     const hashedPassword = await bcrypt.hash(password, 10);
     const user = new User({ fullName, email, password: hashedPassword });
     await user.save();
 
-    const token = jwt.sign({ userId: user._id }, process.env.JWT_SECRET, { expiresIn: '7d' });
-    res.status(201).json({ token, user: { id: user._id, fullName, email } });
+    const verificationEmailSent = await sendVerificationEmail(user);
+    if (REQUIRE_EMAIL_VERIFICATION) {
+      return res.status(201).json({
+        user: publicUser(user),
+        verificationEmailSent,
+        message: 'Check your email to confirm your address, then log in',
+      });
+    }
+
+    const tokens = await startSession(user, req);
+    res.status(201).json({ ...tokens, expiresIn: ACCESS_TOKEN_TTL, user: publicUser(user), verificationEmailSent });
   } catch (error) {
     res.status(500).json({ error: 'Error creating user' });
   }
 });
 
-router.post('/login', async (req, res) => {
+router.post('/login', validate(schemas.login), async (req, res) => {
   try {
     const { email, password } = req.body;
-    const user = await User.findOne({ email });
-    if (!user) return res.status(400).json({ error: 'Invalid credentials' });
+    const user = await findByEmail(email);
+    if (!user) return invalid(res, 'email', 'Invalid credentials');
 
     const isMatch = await bcrypt.compare(password, user.password);
-    if (!isMatch) return res.status(400).json({ error: 'Invalid credentials' });
+    if (!isMatch) return invalid(res, 'email', 'Invalid credentials');
+    if (user.suspended) return res.status(403).json({ error: 'Account suspended' });
+    if (REQUIRE_EMAIL_VERIFICATION && !user.emailVerified)
+      return res.status(403).json({ error: 'Please confirm your email address first', code: 'EMAIL_NOT_VERIFIED' });
+    await promoteIfAdmin(user);
 
-    const token = jwt.sign({ userId: user._id }, process.env.JWT_SECRET, { expiresIn: '7d' });
-    res.json({ token, user: { id: user._id, fullName: user.fullName, email } });
+    const tokens = await startSession(user, req);
+    res.json({ ...tokens, expiresIn: ACCESS_TOKEN_TTL, user: publicUser(user) });
   } catch (error) {
     res.status(500).json({ error: 'Error logging in' });
   }
 });
 
+/* Confirm an email address with the token from the verification link */
+router.post('/verify-email', validate(schemas.verifyEmail), async (req, res) => {
+  try {
+    const userId = await redeemToken(req.body.token, 'verify-email');
+    if (!userId) return invalid(res, 'token', 'This link is invalid or has expired');
+
+    const user = await User.findByIdAndUpdate(
+      userId,
+      { $set: { emailVerified: true, emailVerifiedAt: new Date() } },
+      { new: true }
+    );
+    if (!user) return invalid(res, 'token', 'This link is invalid or has expired');
+    await promoteIfAdmin(user);
+
+    res.json({ success: true, message: 'Email confirmed', user: publicUser(user) });
+  } catch (error) {
+    res.status(500).json({ error: 'Error verifying email' });
+  }
+});
+
+/* Send a new verification link. Same reply whether or not the address has an account. */
+router.post('/resend-verification', validate(schemas.resendVerification), async (req, res) => {
+  try {
+    const user = await findByEmail(req.body.email);
+    if (user && !user.emailVerified && !user.suspended) await sendVerificationEmail(user);
+    res.json({ success: true, message: 'If that account needs confirming, a new link is on its way' });
+  } catch (error) {
+    res.status(500).json({ error: 'Error sending verification email' });
+  }
+});
+
+/* Email a password reset link. Same reply whether or not the address has an account. */
+router.post('/forgot-password', validate(schemas.forgotPassword), async (req, res) => {
+  try {
+    const user = await findByEmail(req.body.email);
+    if (user && !user.suspended) {
+      const issued = await issueToken(user._id, 'reset-password');
+      if (issued) {
+        await sendEmail({
+          to: user.email,
+          subject: `Reset your ${APP_NAME} password`,
+          text: `Hi ${user.fullName},\n\nSomeone asked to reset the password for this account. ` +
+            `If that was you, choose a new password here:\n` +
+            `${APP_URL}/reset-password?token=${issued.token}\n\n` +
+            `The link works once and expires in ${TTL_MINUTES['reset-password']} minutes. ` +
+            `If it wasn't you, you can ignore this email.`,
+          secret: true,
+        }).catch(() => {});   // don't reveal delivery problems to the requester
+      }
+    }
+    res.json({ success: true, message: 'If that email has an account, a reset link is on its way' });
+  } catch (error) {
+    res.status(500).json({ error: 'Error requesting password reset' });
+  }
+});
+
+/* Set a new password with the token from the reset link – signs out existing sessions */
+router.post('/reset-password', validate(schemas.resetPassword), async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    const userId = await redeemToken(token, 'reset-password');
+    const user = userId && await User.findById(userId);
+    if (!user) return invalid(res, 'token', 'This link is invalid or has expired');
+
+    await setPassword(user, password);
+    // Following the emailed link proves the address too
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+    await revokeTokens(user._id, 'reset-password');
+    await revokeAllSessions(user._id, { reason: 'password reset' });
+
+    res.json({ success: true, message: 'Password updated – please log in' });
+  } catch (error) {
+    res.status(500).json({ error: 'Error resetting password' });
+  }
+});
+
+/* Change password while logged in – other sessions are signed out, this one gets a new token */
+router.post('/change-password', auth, validate(schemas.changePassword), async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    const user = await User.findById(req.user.userId);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    const isMatch = await bcrypt.compare(currentPassword, user.password);
+    if (!isMatch) return invalid(res, 'currentPassword', 'Current password is incorrect');
+    if (await bcrypt.compare(newPassword, user.password))
+      return invalid(res, 'newPassword', 'New password must be different from the current one');
+
+    await setPassword(user, newPassword);
+    await user.save();
+    await revokeTokens(user._id, 'reset-password');
+    await revokeAllSessions(user._id, { except: req.user.sid, reason: 'password changed' });
+
+    // Signed after passwordChangedAt, so it passes the check in middlewares/auth.js
+    res.json({ success: true, message: 'Password changed', token: signAccessToken(user, req.user.sid) });
+  } catch (error) {
+    res.status(500).json({ error: 'Error changing password' });
+  }
+});
+
+/* Swap a refresh token for a new access token and refresh token */
+router.post('/refresh', validate(schemas.refresh), async (req, res) => {
+  try {
+    const rotated = await rotateRefreshToken(req.body.refreshToken, req);
+    if (!rotated) return res.status(401).json({ error: 'Session expired – please log in again' });
+
+    const { session, refreshToken } = rotated;
+    const user = await User.findById(session.userId);
+    if (!user || user.suspended) {
+      await revokeSession({ _id: session._id }, user ? 'suspended' : 'account deleted');
+      return res.status(user ? 403 : 401).json({ error: user ? 'Account suspended' : 'Account no longer exists' });
+    }
+
+    res.json({ ...tokenPair(user, session, refreshToken), expiresIn: ACCESS_TOKEN_TTL });
+  } catch (error) {
+    res.status(500).json({ error: 'Error refreshing session' });
+  }
+});
+
+/* Sign out this device – by refresh token, so it works after the access token has expired */
+router.post('/logout', validate(schemas.logout), (req, res, next) => (req.body?.refreshToken ? next() : auth(req, res, next)), async (req, res) => {
+  try {
+    if (req.body?.refreshToken) await revokeByRefreshToken(req.body.refreshToken);
+    else await revokeSession({ _id: req.user.sid, userId: req.user.userId });
+    res.json({ success: true, message: 'Logged out' });
+  } catch (error) {
+    res.status(500).json({ error: 'Error logging out' });
+  }
+});
+
+/* Sign out every device, this one included */
+router.post('/logout-all', auth, validate(schemas.logoutAll), async (req, res) => {
+  try {
+    const ended = await revokeAllSessions(req.user.userId);
+    res.json({ success: true, message: 'Logged out everywhere', sessionsEnded: ended });
+  } catch (error) {
+    res.status(500).json({ error: 'Error logging out' });
+  }
+});
+
+/* Devices currently signed in */
+router.get('/sessions', auth, validate(schemas.listSessions), async (req, res) => {
+  try {
+    const sessions = await listSessions(req.user.userId);
+    res.json({ sessions: sessions.map(s => formatSession(s, req.user.sid)) });
+  } catch (error) {
+    res.status(500).json({ error: 'Error fetching sessions' });
+  }
+});
+
+/* Sign out one device */
+router.delete('/sessions/:id', auth, validate(schemas.endSession), async (req, res) => {
+  try {
+    const ended = mongoose.isValidObjectId(req.params.id) &&
+      await revokeSession({ _id: req.params.id, userId: req.user.userId });
+    if (!ended) return res.status(404).json({ error: 'Session not found' });
+    res.json({ success: true, message: 'Session ended', current: req.params.id === String(req.user.sid) });
+  } catch (error) {
+    res.status(500).json({ error: 'Error ending session' });
+  }
+});
+
 module.exports = router;
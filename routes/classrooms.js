@@ -0,0 +1,535 @@
+// routes/classrooms.js
+const express = require("express");
+const router = express.Router();
+const auth = require("../middlewares/auth");
+const { requireRole } = require("../middlewares/authorize");
+const validate = require("../middlewares/validate");
+const schemas = require("../validators/classrooms");
+const User = require("../models/User");
+const Classroom = require("../models/Classroom");
+const Assignment = require("../models/Assignment");
+const sendEmail = require("../utils/nodemailer");
+const { ITEM_MODELS, newJoinCode, grantAccess, revokeAccess, assignmentProgress } = require("../utils/classrooms");
+
+const { invalid } = validate;
+
+/* Load a classroom the caller teaches or attends; replies 404/403 itself and returns null */
+const loadClassroom = async (req, res, { instructor = false } = {}) => {
+  const classroom = await Classroom.findById(req.params.id);
+  const uid = req.user.userId;
+  if (!classroom || (!classroom.isInstructor(uid) && !classroom.isStudent(uid))) {
+    res.status(404).json({ error: "Classroom not found" });
+    return null;
+  }
+  if (instructor && !classroom.isInstructor(uid)) {
+    res.status(403).json({ error: "Only instructors can do that" });
+    return null;
+  }
+  return classroom;
+};
+
+/* Create with a fresh join code, retrying on the (unlikely) collision */
+const saveWithUniqueCode = async classroom => {
+  for (let attempt = 0; attempt < 5; attempt++) {
+    try {
+      return await classroom.save();
+    } catch (e) {
+      if (e.code !== 11000 || !e.keyPattern?.joinCode) throw e;
+      classroom.joinCode = newJoinCode();
+    }
+  }
+  throw new Error("Could not generate a unique join code");
+};
+
+/* Add students and give them access to everything already assigned */
+const enrol = async (classroom, userIds) => {
+  const fresh = userIds.filter(id => !classroom.isStudent(id) && !classroom.isInstructor(id));
+  if (!fresh.length) return [];
+  fresh.forEach(userId => classroom.students.push({ userId }));
+  classroom.updatedAt = new Date();
+  await classroom.save();
+
+  const assignments = await Assignment.find({ classroomId: classroom._id });
+  await Promise.all(assignments.map(a => grantAccess(a, fresh)));
+  return fresh;
+};
+
+const formatAssignment = a => ({
+  id: a._id,
+  kind: a.kind,
+  itemId: a.itemId,
+  title: a.title,
+  subject: a.subject,
+  instructions: a.instructions ?? null,
+  dueDate: a.dueDate,
+  createdAt: a.createdAt
+});
+
+/* ==============================================================
+   CLASSROOMS
+   ============================================================== */
+
+/* Create a class – instructors and admins only; the creator is its first instructor */
+router.post("/", auth, requireRole("instructor", "admin"), validate(schemas.create), async (req, res) => {
+  try {
+    const { name, description } = req.body;
+    const classroom = await saveWithUniqueCode(new Classroom({
+      name: name.trim(),
+      description: typeof description === "string" ? description.trim() : undefined,
+      instructors: [req.user.userId],
+      joinCode: newJoinCode()
+    }));
+
+    res.status(201).json({ success: true, id: classroom._id, joinCode: classroom.joinCode });
+  } catch (e) {
+    console.error("Create classroom error:", e);
+    res.status(500).json({ error: "Failed to create classroom" });
+  }
+});
+
+/* Classes I teach and classes I'm enrolled in */
+router.get("/", auth, validate(schemas.list), async (req, res) => {
+  try {
+    const uid = req.user.userId;
+    const classrooms = await Classroom.find({ $or: [{ instructors: uid }, { "students.userId": uid }] })
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      classrooms: classrooms.map(c => ({
+        id: c._id,
+        name: c.name,
+        description: c.description ?? null,
+        role: c.isInstructor(uid) ? "instructor" : "student",
+        studentCount: c.students.length,
+        joinCode: c.isInstructor(uid) ? c.joinCode : undefined,
+        createdAt: c.createdAt
+      }))
+    });
+  } catch (e) {
+    console.error("List classrooms error:", e);
+    res.status(500).json({ error: "Failed to fetch classrooms" });
+  }
+});
+
+/* Pending email invites for the caller's account */
+router.get("/invites", auth, validate(schemas.listInvites), async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId).select("email");
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    const email = user.email.toLowerCase();
+    const classrooms = await Classroom.find({ "invites.email": email }).populate("instructors", "fullName");
+    res.json({
+      success: true,
+      invites: classrooms.map(c => ({
+        classroomId: c._id,
+        name: c.name,
+        instructors: c.instructors.map(i => i.fullName),
+        invitedAt: c.invites.find(i => i.email === email)?.invitedAt
+      }))
+    });
+  } catch (e) {
+    console.error("List invites error:", e);
+    res.status(500).json({ error: "Failed to fetch invites" });
+  }
+});
+
+/* Join with a code */
+router.post("/join", auth, validate(schemas.join), async (req, res) => {
+  try {
+    const code = req.body.code.trim().toUpperCase();
+    const classroom = await Classroom.findOne({ joinCode: code });
+    if (!classroom) return res.status(404).json({ error: "No classroom with that join code" });
+    if (classroom.isInstructor(req.user.userId)) return invalid(res, "code", "You teach this classroom");
+
+    const added = await enrol(classroom, [req.user.userId]);
+    res.json({
+      success: true,
+      id: classroom._id,
+      name: classroom.name,
+      message: added.length ? "Joined classroom" : "You're already in this classroom"
+    });
+  } catch (e) {
+    console.error("Join classroom error:", e);
+    res.status(500).json({ error: "Failed to join classroom" });
+  }
+});
+
+/* One class – instructors also get the roster, invites and join code */
+router.get("/:id", auth, validate(schemas.get), async (req, res) => {
+  try {
+    const classroom = await loadClassroom(req, res);
+    if (!classroom) return;
+    await classroom.populate([
+      { path: "instructors", select: "fullName email" },
+      { path: "students.userId", select: "fullName email" }
+    ]);
+
+    const teaching = classroom.instructors.some(i => i._id.toString() === String(req.user.userId));
+    const assignments = await Assignment.find({ classroomId: classroom._id }).sort({ dueDate: 1 });
+
+    res.json({
+      success: true,
+      classroom: {
+        id: classroom._id,
+        name: classroom.name,
+        description: classroom.description ?? null,
+        role: teaching ? "instructor" : "student",
+        instructors: classroom.instructors.map(i => ({ id: i._id, fullName: i.fullName })),
+        studentCount: classroom.students.length,
+        assignments: assignments.map(formatAssignment),
+        ...(teaching ? {
+          joinCode: classroom.joinCode,
+          students: classroom.students.map(s => ({
+            id: s.userId?._id,
+            fullName: s.userId?.fullName ?? null,
+            email: s.userId?.email ?? null,
+            joinedAt: s.joinedAt
+          })),
+          invites: classroom.invites.map(i => ({ email: i.email, invitedAt: i.invitedAt }))
+        } : {})
+      }
+    });
+  } catch (e) {
+    console.error("Fetch classroom error:", e);
+    res.status(500).json({ error: "Failed to fetch classroom" });
+  }
+});
+
+/* Rename / describe */
+router.patch("/:id", auth, validate(schemas.update), async (req, res) => {
+  try {
+    const classroom = await loadClassroom(req, res, { instructor: true });
+    if (!classroom) return;
+
+    const { name, description } = req.body;
+    if (name !== undefined) classroom.name = name.trim();
+    if (description !== undefined) classroom.description = description?.trim() || undefined;
+    classroom.updatedAt = new Date();
+    await classroom.save();
+
+    res.json({ success: true, message: "Classroom updated" });
+  } catch (e) {
+    console.error("Update classroom error:", e);
+    res.status(500).json({ error: "Failed to update classroom" });
+  }
+});
+
+/* Delete a class – students lose the access its assignments gave them */
+router.delete("/:id", auth, validate(schemas.remove), async (req, res) => {
+  try {
+    const classroom = await loadClassroom(req, res, { instructor: true });
+    if (!classroom) return;
+
+    const assignments = await Assignment.find({ classroomId: classroom._id });
+    await Promise.all(assignments.map(a => revokeAccess(a)));
+    await Assignment.deleteMany({ classroomId: classroom._id });
+    await classroom.deleteOne();
+
+    res.json({ success: true, message: "Classroom deleted" });
+  } catch (e) {
+    console.error("Delete classroom error:", e);
+    res.status(500).json({ error: "Failed to delete classroom" });
+  }
+});
+
+/* New join code – the old one stops working */
+router.post("/:id/join-code", auth, validate(schemas.rotateJoinCode), async (req, res) => {
+  try {
+    const classroom = await loadClassroom(req, res, { instructor: true });
+    if (!classroom) return;
+    classroom.joinCode = newJoinCode();
+    await saveWithUniqueCode(classroom);
+    res.json({ success: true, joinCode: classroom.joinCode });
+  } catch (e) {
+    console.error("Rotate join code error:", e);
+    res.status(500).json({ error: "Failed to change join code" });
+  }
+});
+
+/* ==============================================================
+   ROSTER – invites, students, co-instructors
+   ============================================================== */
+
+/* Invite students by email – each invite is emailed along with the join code */
+router.post("/:id/invites", auth, validate(schemas.invite), async (req, res) => {
+  try {
+    const { emails } = req.body;
+    const classroom = await loadClassroom(req, res, { instructor: true });
+    if (!classroom) return;
+
+    const wanted = [...new Set(emails.map(e => e.trim().toLowerCase()))];
+    const members = await User.find({ _id: { $in: [...classroom.instructors, ...classroom.students.map(s => s.userId)] } }).select("email");
+    const memberEmails = new Set(members.map(m => m.email.toLowerCase()));
+
+    const invited = [];
+    const skipped = [];
+    for (const email of wanted) {
+      if (memberEmails.has(email)) { skipped.push({ email, reason: "already in this classroom" }); continue; }
+      if (classroom.invites.some(i => i.email === email)) { skipped.push({ email, reason: "already invited" }); continue; }
+      classroom.invites.push({ email, invitedBy: req.user.userId });
+      invited.push(email);
+    }
+    classroom.updatedAt = new Date();
+    await classroom.save();
+
+    // Best effort – the invite stands even if the email doesn't go out
+    const emailFailed = [];
+    for (const email of invited) {
+      try {
+        await sendEmail({
+          to: email,
+          subject: `You're invited to join ${classroom.name}`,
+          text: `You've been invited to the classroom "${classroom.name}".\n\n` +
+            `Sign in (or create an account with this email address) to accept the invite, ` +
+            `or join with the code ${classroom.joinCode}.`
+        });
+      } catch (err) {
+        emailFailed.push(email);
+      }
+    }
+
+    res.json({ success: true, invited, skipped, emailFailed });
+  } catch (e) {
+    console.error("Invite students error:", e);
+    res.status(500).json({ error: "Failed to invite students" });
+  }
+});
+
+/* Cancel a pending invite */
+router.delete("/:id/invites/:email", auth, validate(schemas.cancelInvite), async (req, res) => {
+  try {
+    const classroom = await loadClassroom(req, res, { instructor: true });
+    if (!classroom) return;
+
+    const email = req.params.email.toLowerCase();
+    if (!classroom.invites.some(i => i.email === email)) return res.status(404).json({ error: "No pending invite for that email" });
+    classroom.invites = classroom.invites.filter(i => i.email !== email);
+    await classroom.save();
+
+    res.json({ success: true, message: "Invite cancelled" });
+  } catch (e) {
+    console.error("Cancel invite error:", e);
+    res.status(500).json({ error: "Failed to cancel invite" });
+  }
+});
+
+/* Accept or decline an invite sent to the caller's email */
+router.post("/:id/invites/:decision(accept|decline)", auth, validate(schemas.answerInvite), async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId).select("email");
+    const classroom = await Classroom.findById(req.params.id);
+    const email = user?.email.toLowerCase();
+    if (!classroom || !classroom.invites.some(i => i.email === email))
+      return res.status(404).json({ error: "Invite not found" });
+
+    classroom.invites = classroom.invites.filter(i => i.email !== email);
+    if (req.params.decision === "accept") {
+      const added = await enrol(classroom, [user._id]);     // saves the classroom when it adds someone
+      if (!added.length) await classroom.save();
+      return res.json({ success: true, id: classroom._id, message: "Joined classroom" });
+    }
+    await classroom.save();
+    res.json({ success: true, message: "Invite declined" });
+  } catch (e) {
+    console.error("Answer invite error:", e);
+    res.status(500).json({ error: "Failed to answer invite" });
+  }
+});
+
+/* Remove a student – instructors remove anyone, students can remove themselves ("me") */
+router.delete("/:id/students/:userId", auth, validate(schemas.removeStudent), async (req, res) => {
+  try {
+    const classroom = await loadClassroom(req, res);
+    if (!classroom) return;
+
+    const leaving = req.params.userId === "me" || req.params.userId === String(req.user.userId);
+    if (!leaving && !classroom.isInstructor(req.user.userId))
+      return res.status(403).json({ error: "Only instructors can remove students" });
+
+    const target = leaving ? String(req.user.userId) : req.params.userId;
+    if (!classroom.isStudent(target)) return res.status(404).json({ error: "Student not found in this classroom" });
+
+    classroom.students = classroom.students.filter(s => s.userId.toString() !== target);
+    classroom.updatedAt = new Date();
+    await classroom.save();
+
+    const assignments = await Assignment.find({ classroomId: classroom._id });
+    await Promise.all(assignments.map(a => revokeAccess(a, [target])));
+
+    res.json({ success: true, message: leaving ? "You left the classroom" : "Student removed" });
+  } catch (e) {
+    console.error("Remove student error:", e);
+    res.status(500).json({ error: "Failed to remove student" });
+  }
+});
+
+/* Add a co-instructor by email – they need an instructor or admin account */
+router.post("/:id/instructors", auth, validate(schemas.addInstructor), async (req, res) => {
+  try {
+    const classroom = await loadClassroom(req, res, { instructor: true });
+    if (!classroom) return;
+
+    const email = req.body.email.trim();
+    const user = await User.findOne({ email: { $in: [email, email.toLowerCase()] } }).select("role");
+    if (!user) return res.status(404).json({ error: "No account with that email" });
+    if (!["instructor", "admin"].includes(user.role))
+      return invalid(res, "email", "That account isn't an instructor – ask an admin to change its role");
+    if (classroom.isInstructor(user._id)) return invalid(res, "email", "Already an instructor");
+    if (classroom.isStudent(user._id)) return invalid(res, "email", "That user is a student in this classroom");
+
+    classroom.instructors.push(user._id);
+    classroom.updatedAt = new Date();
+    await classroom.save();
+
+    res.json({ success: true, message: "Instructor added" });
+  } catch (e) {
+    console.error("Add instructor error:", e);
+    res.status(500).json({ error: "Failed to add instructor" });
+  }
+});
+
+/* ==============================================================
+   ASSIGNMENTS
+   ============================================================== */
+
+/* Assign one of your quizzes or flashcard sets with a due date */
+router.post("/:id/assignments", auth, validate(schemas.createAssignment), async (req, res) => {
+  try {
+    const { kind, itemId, instructions } = req.body;
+    const dueDate = new Date(req.body.dueDate);
+
+    const classroom = await loadClassroom(req, res, { instructor: true });
+    if (!classroom) return;
+
+    // Only the owner can hand out access to an item
+    const item = await ITEM_MODELS[kind].findOne({ _id: itemId, userId: req.user.userId }).select("title subject");
+    if (!item) return res.status(404).json({ error: `${kind === "quiz" ? "Quiz" : "Flashcard set"} not found in your library` });
+
+    if (await Assignment.exists({ classroomId: classroom._id, kind, itemId: item._id }))
+      return res.status(409).json({ error: "That is already assigned to this classroom" });
+
+    const assignment = await Assignment.create({
+      classroomId: classroom._id,
+      kind,
+      itemId: item._id,
+      title: item.title,
+      subject: item.subject,
+      instructions: instructions?.trim() || undefined,
+      dueDate,
+      assignedBy: req.user.userId
+    });
+    await grantAccess(assignment, classroom.students.map(s => s.userId));
+
+    res.status(201).json({ success: true, assignment: formatAssignment(assignment) });
+  } catch (e) {
+    console.error("Create assignment error:", e);
+    res.status(500).json({ error: "Failed to create assignment" });
+  }
+});
+
+/* Assignments – students also see their own status */
+router.get("/:id/assignments", auth, validate(schemas.listAssignments), async (req, res) => {
+  try {
+    const classroom = await loadClassroom(req, res);
+    if (!classroom) return;
+
+    const assignments = await Assignment.find({ classroomId: classroom._id }).sort({ dueDate: 1 });
+    const teaching = classroom.isInstructor(req.user.userId);
+    const formatted = await Promise.all(assignments.map(async a => {
+      if (teaching) return formatAssignment(a);
+      const progress = await assignmentProgress(a, [req.user.userId]);
+      return { ...formatAssignment(a), ...progress[String(req.user.userId)] };
+    }));
+
+    res.json({ success: true, assignments: formatted });
+  } catch (e) {
+    console.error("List assignments error:", e);
+    res.status(500).json({ error: "Failed to fetch assignments" });
+  }
+});
+
+/* Change the due date or instructions */
+router.patch("/:id/assignments/:assignmentId", auth, validate(schemas.updateAssignment), async (req, res) => {
+  try {
+    const classroom = await loadClassroom(req, res, { instructor: true });
+    if (!classroom) return;
+
+    const assignment = await Assignment.findOne({ _id: req.params.assignmentId, classroomId: classroom._id });
+    if (!assignment) return res.status(404).json({ error: "Assignment not found" });
+
+    const { instructions } = req.body;
+    if (req.body.dueDate !== undefined) assignment.dueDate = new Date(req.body.dueDate);
+    if (instructions !== undefined) assignment.instructions = instructions?.trim() || undefined;
+    assignment.updatedAt = new Date();
+    await assignment.save();
+
+    res.json({ success: true, assignment: formatAssignment(assignment) });
+  } catch (e) {
+    console.error("Update assignment error:", e);
+    res.status(500).json({ error: "Failed to update assignment" });
+  }
+});
+
+/* Unassign – students keep their results but lose access through this class */
+router.delete("/:id/assignments/:assignmentId", auth, validate(schemas.removeAssignment), async (req, res) => {
+  try {
+    const classroom = await loadClassroom(req, res, { instructor: true });
+    if (!classroom) return;
+
+    const assignment = await Assignment.findOneAndDelete({ _id: req.params.assignmentId, classroomId: classroom._id });
+    if (!assignment) return res.status(404).json({ error: "Assignment not found" });
+    await revokeAccess(assignment);
+
+    res.json({ success: true, message: "Assignment removed" });
+  } catch (e) {
+    console.error("Delete assignment error:", e);
+    res.status(500).json({ error: "Failed to delete assignment" });
+  }
+});
+
+/* Per-student submissions and scores for one assignment */
+router.get("/:id/assignments/:assignmentId/submissions", auth, validate(schemas.submissions), async (req, res) => {
+  try {
+    const classroom = await loadClassroom(req, res, { instructor: true });
+    if (!classroom) return;
+
+    const assignment = await Assignment.findOne({ _id: req.params.assignmentId, classroomId: classroom._id });
+    if (!assignment) return res.status(404).json({ error: "Assignment not found" });
+
+    const studentIds = classroom.students.map(s => s.userId);
+    const [progress, users] = await Promise.all([
+      assignmentProgress(assignment, studentIds),
+      User.find({ _id: { $in: studentIds } }).select("fullName email")
+    ]);
+
+    const submissions = users.map(u => ({
+      studentId: u._id,
+      fullName: u.fullName,
+      email: u.email,
+      ...progress[u._id.toString()]
+    }));
+    const counts = submissions.reduce((acc, s) => ({ ...acc, [s.status]: (acc[s.status] ?? 0) + 1 }), {});
+    const scored = submissions.filter(s => s.bestScore !== undefined);
+
+    res.json({
+      success: true,
+      assignment: formatAssignment(assignment),
+      summary: {
+        students: submissions.length,
+        submitted: counts.submitted ?? 0,
+        late: counts.late ?? 0,
+        missing: counts.missing ?? 0,
+        pending: counts.pending ?? 0,
+        averageBestScore: scored.length ? Math.round(scored.reduce((sum, s) => sum + s.bestScore, 0) / scored.length) : null
+      },
+      submissions
+    });
+  } catch (e) {
+    console.error("Fetch submissions error:", e);
+    res.status(500).json({ error: "Failed to fetch submissions" });
+  }
+});
+
+module.exports = router;
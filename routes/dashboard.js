@@ -1,45 +1,75 @@
 const express = require('express');
 const router = express.Router();
 const auth = require('../middlewares/auth');
+const validate = require('../middlewares/validate');
+const schemas = require('../validators/dashboard');
 const User = require('../models/User');
 const Quiz = require('../models/Quiz');
 const QuizResult = require('../models/QuizResult');
+const Classroom = require('../models/Classroom');
+const Assignment = require('../models/Assignment');
+const { userRank } = require('../utils/leaderboards');
+const { dayKey, streakStatus, goalProgress } = require('../utils/streaks');
+const StudyDay = require('../models/StudyDay');
 
-router.get('/', auth, async (req, res) => {
+// Quiz assignments from the caller's classes that are still due and not yet submitted
+const upcomingAssignments = async (userId, limit = 5) => {
+  const classrooms = await Classroom.find({ 'students.userId': userId }).select('name');
+  if (!classrooms.length) return [];
+
+  const assignments = await Assignment.find({
+    classroomId: { $in: classrooms.map(c => c._id) },
+    kind: 'quiz',
+    dueDate: { $gte: new Date() },
+  }).sort({ dueDate: 1 });
+
+  const done = await QuizResult.distinct('quizId', { userId, quizId: { $in: assignments.map(a => a.itemId) } });
+  const submitted = new Set(done.map(String));
+  const names = new Map(classrooms.map(c => [c._id.toString(), c.name]));
+
+  return assignments
+    .filter(a => !submitted.has(a.itemId.toString()))
+    .slice(0, limit)
+    .map(a => ({
+      assignmentId: a._id,
+      quizId: a.itemId,
+      title: a.title,
+      subject: a.subject,
+      classroom: names.get(a.classroomId.toString()),
+      dueDate: a.dueDate,
+      date: a.dueDate.toISOString().split('T')[0],
+      time: a.dueDate.toTimeString().split(' ')[0]
+    }));
+};
+
+router.get('/', auth, validate(schemas.get), async (req, res) => {
   try {
-    const user = await User.findById(req.user.userId);
-    const quizzes = await Quiz.find({ userId: req.user.userId });
-    const results = await QuizResult.find({ userId: req.user.userId })
+    // Stats are kept up to date on submission (utils/leaderboards.js), so this only reads
+    const user = await User.findById(req.user.userId)
+      .select('quizzesTaken totalScore hoursPracticed timezone dailyGoal streak');
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    const results = await QuizResult.find({ userId: user._id })
+      .select('quizId subject score createdAt')
       .sort({ createdAt: -1 })
       .limit(5);
 
-    const quizzesTaken = results.length;
-    const averageScore = quizzesTaken > 0
-      ? Math.round(results.reduce((sum, result) => sum + result.score, 0) / quizzesTaken)
-      : 0;
-    const hoursPracticed = results.reduce((sum, result) => sum + (result.timeSpent / 3600), 0);
-    
-    // Update user stats
-    user.quizzesTaken = quizzesTaken;
-    user.totalScore = results.reduce((sum, result) => sum + result.score, 0);
-    user.hoursPracticed = hoursPracticed;
-    await user.save();
-
-    // Calculate rank (simple example: based on total score)
-    const allUsers = await User.find().sort({ totalScore: -1 });
-    const rank = allUsers.findIndex(u => u._id.toString() === user._id.toString()) + 1;
-
-    const upcomingQuizzes = quizzes
-      .filter(q => q.status === 'not-started')
-      .map(q => ({
-        subject: q.subject,
-        date: q.createdAt.toISOString().split('T')[0],
-        time: q.createdAt.toTimeString().split(' ')[0]
-      }))
-      .slice(0, 5);
+    // Older results don't store their subject – fall back to the quiz's
+    const missing = results.filter(r => !r.subject).map(r => r.quizId);
+    const quizzes = missing.length ? await Quiz.find({ _id: { $in: missing } }).select('subject') : [];
+    const subjects = new Map(quizzes.map(q => [q._id.toString(), q.subject]));
+
+    const [rank, upcomingQuizzes, today] = await Promise.all([
+      userRank(user),
+      upcomingAssignments(user._id),
+      StudyDay.findOne({ userId: user._id, day: dayKey(new Date(), user.timezone) }).lean()
+    ]);
+
+    const quizzesTaken = user.quizzesTaken;
+    const averageScore = quizzesTaken > 0 ? Math.round(user.totalScore / quizzesTaken) : 0;
 
     const recentResults = results.map(r => ({
-      subject: quizzes.find(q => q._id.toString() === r.quizId.toString())?.subject,
+      subject: r.subject ?? subjects.get(r.quizId.toString()),
       score: r.score,
       date: r.createdAt.toISOString().split('T')[0]
     }));
@@ -47,8 +77,10 @@ router.get('/', auth, async (req, res) => {
     res.json({
       quizzesTaken,
       averageScore,
-      hoursPracticed,
+      hoursPracticed: user.hoursPracticed,
       rank,
+      streak: streakStatus(user),
+      dailyGoal: goalProgress(user, today),
       upcomingQuizzes,
       recentResults
     });
@@ -1,252 +1,56 @@
 // routes/flashcards.js
 const express = require("express");
+const mongoose = require("mongoose");
 const router = express.Router();
 const auth = require("../middlewares/auth");
+const { requireOwner } = require("../middlewares/authorize");
+const validate = require("../middlewares/validate");
+const schemas = require("../validators/flashcards");
 const FlashcardSet = require("../models/FlashcardSet");
+const FlashcardProgress = require("../models/FlashcardProgress");
+const Assignment = require("../models/Assignment");
+const { GRADES, DEFAULT_EASE, reviewCard, endOfToday } = require("../utils/spacedRepetition");
+const { enqueue } = require("../utils/jobQueue");
+const { getStudyMaterial } = require("../utils/ingestion");
+const { IMPORTERS, EXPORTERS, detectImportFormat } = require("../utils/flashcardTransfer");
+const { flashcardsPdf, parsePrintOptions } = require("../utils/printables");
+const { accessibleBy, isOwner, mountSharing } = require("../utils/sharing");
+const { recordActivity } = require("../utils/streaks");
+const { parseReviewRequest, collectMistakes, reviewLabels, reviewCards, mistakesAsText } = require("../utils/review");
 require("dotenv").config();
 
-const { GoogleGenerativeAI } = require("@google/generative-ai");
-const PDFParser = require("pdf2json");
-
-/* --------------------------------------------------------------
-   1. Load API keys from .env (comma-separated)
-   -------------------------------------------------------------- */
-const GEMINI_API_KEYS = process.env.GEMINI_API_KEYS
-  ? process.env.GEMINI_API_KEYS.split(",")
-      .map(k => k.trim())
-      .filter(Boolean)
-  : [];
-
-if (GEMINI_API_KEYS.length === 0) {
-  console.error("GEMINI_API_KEYS is missing or empty in .env");
-  process.exit(1);
-}
-
-/* --------------------------------------------------------------
-   2. Model names
-   -------------------------------------------------------------- */
-const PRIMARY_MODEL = "gemini-1.5-flash";
-const FALLBACK_MODEL = "gemini-pro";
-
-/* --------------------------------------------------------------
-   3. AI Manager – key rotation + model caching
-   -------------------------------------------------------------- */
-class AIManager {
-  constructor(keys) {
-    this.keys = keys;
-    this.currentIdx = 0;
-    this.models = new Map();
-    this.initCurrentModel();
-  }
-
-  initCurrentModel() {
-    const key = this.keys[this.currentIdx];
-    try {
-      const genAI = new GoogleGenerativeAI(key);
-      const model = genAI.getGenerativeModel({ model: PRIMARY_MODEL });
-      this.models.set(this.currentIdx, model);
-      console.log(`ISI AI → key #${this.currentIdx + 1} (primary ${PRIMARY_MODEL})`);
-    } catch (e) {
-      console.warn(`Primary model failed for key #${this.currentIdx + 1}, trying fallback...`);
-      this.tryFallback();
-    }
-  }
-
-  tryFallback() {
-    const key = this.keys[this.currentIdx];
-    try {
-      const genAI = new GoogleGenerativeAI(key);
-      const model = genAI.getGenerativeModel({ model: FALLBACK_MODEL });
-      this.models.set(this.currentIdx, model);
-      console.log(`ISI AI → key #${this.currentIdx + 1} (fallback ${FALLBACK_MODEL})`);
-    } catch (e) {
-      console.error(`All models failed for key #${this.currentIdx + 1}`);
-      this.models.set(this.currentIdx, null);
-    }
-  }
-
-  getCurrentModel() {
-    return this.models.get(this.currentIdx) ?? null;
-  }
-
-  async rotateIfNeeded(error) {
-    const isRateLimit =
-      error.status === 429 ||
-      /quota/i.test(error.message) ||
-      /RATE_LIMIT/i.test(error.message) ||
-      /429/i.test(error.message);
-
-    if (!isRateLimit || this.keys.length === 1) return null;
+const { invalid } = validate;
 
-    console.warn(`ISI AI rate-limit on key #${this.currentIdx + 1}. Rotating...`);
-    this.currentIdx = (this.currentIdx + 1) % this.keys.length;
-    this.initCurrentModel();
-
-    const newModel = this.getCurrentModel();
-    if (!newModel) throw new Error("All API keys exhausted.");
-    return newModel;
-  }
-}
-
-/* --------------------------------------------------------------
-   4. Initialise AI manager
-   -------------------------------------------------------------- */
-let aiManager;
-try {
-  aiManager = new AIManager(GEMINI_API_KEYS);
-} catch (e) {
-  console.error("Failed to initialise ISI AI:", e.message);
-  process.exit(1);
-}
-
-/* --------------------------------------------------------------
-   5. Helper
-   -------------------------------------------------------------- */
-const sleep = ms => new Promise(res => setTimeout(res, ms));
+/* Editing and deleting are for the owner only – loads the set onto req.resource */
+const ownSet = requireOwner(FlashcardSet, { label: "Flashcard set" });
 
 /* ==============================================================
-   ROUTE: Generate Flashcards from PDF
+   ROUTE: Generate Flashcards from study material – runs as a background job,
+   poll GET /api/jobs/:id for progress and the resulting set id
    ============================================================== */
-router.post("/generate-flashcards", auth, async (req, res) => {
-  const currentModel = aiManager.getCurrentModel();
-  if (!currentModel) {
-    return res.status(500).json({ error: "ISI AI model not initialized." });
-  }
-
+router.post("/generate-flashcards", auth, validate(schemas.generate), async (req, res) => {
   try {
-    const { title, subject } = req.body;
-    const pdfFile = req.files?.pdfFile;
+    const { title, subject, numCards } = req.body;
 
     // === Input Validation ===
-    if (!pdfFile) return res.status(400).json({ error: "PDF file is required" });
-    if (pdfFile.mimetype !== "application/pdf")
-      return res.status(400).json({ error: "File must be a PDF" });
-    if (pdfFile.size > 5 * 1024 * 1024)
-      return res.status(400).json({ error: "File size exceeds 5MB limit" });
-
-    // === Extract Text from PDF Buffer ===
-    let pdfText = "";
-    try {
-      const pdfParser = new PDFParser();
-      const pdfData = await new Promise((resolve, reject) => {
-        pdfParser.on("pdfParser_dataError", reject);
-        pdfParser.on("pdfParser_dataReady", resolve);
-        pdfParser.parseBuffer(pdfFile.data);
-      });
-
-      for (const page of pdfData.Pages) {
-        for (const text of page.Texts) {
-          pdfText += decodeURIComponent(text.R[0].T) + " ";
-        }
-      }
-    } catch (parseError) {
-      console.error("PDF parsing error:", parseError);
-      return res.status(400).json({
-        error: "Failed to parse PDF. Please ensure it's a valid text-based PDF.",
-      });
-    }
-
-    if (!pdfText.trim()) {
-      return res.status(400).json({
-        error: "No text found in PDF. Please upload a text-based PDF.",
-      });
-    }
-
-    // === Generate Flashcards with ISI AI ===
-    const content = pdfText.substring(0, 30_000);
-    const prompt = `Generate 10 flashcards from the following content for subject "${subject}".\n\n` +
-      `Each flashcard must have:\n- question (string)\n- answer (string)\n\n` +
-      `Return ONLY a valid JSON array. No explanations.\n` +
-      `Example:\n[{"question":"Capital of France?","answer":"Paris"}]\n\n` +
-      `Content:\n${content}`;
-
-    let rawResponse;
-    let attempts = 0;
-    const maxAttempts = 5;
-    let model = currentModel;
-
-    while (attempts < maxAttempts && model) {
-      try {
-        const result = await model.generateContent(prompt);
-        rawResponse = result.response.text();
-        break;
-      } catch (err) {
-        attempts++;
-        console.warn(`ISI AI attempt ${attempts} failed:`, err.message.slice(0, 120));
-
-        const rotated = await aiManager.rotateIfNeeded(err);
-        if (rotated) {
-          model = rotated;
-          attempts = 0;
-          await sleep(1000);
-          continue;
-        }
-
-        const transient = [429, 500, 503].includes(err.status) ||
-          /quota|timeout/i.test(err.message);
-
-        if (transient && attempts < maxAttempts) {
-          const delay = Math.pow(2, attempts) * 1000;
-          console.warn(`ISI AI transient error – retry in ${delay / 1000}s`);
-          await sleep(delay);
-        } else {
-          break;
-        }
-      }
-    }
+    const material = getStudyMaterial(req);
+    if (material.error) return invalid(res, material.field, material.error);
 
-    if (!rawResponse) {
-      return res.status(500).json({
-        error: "ISI AI failed to generate flashcards after retries and key rotations.",
-        suggestion: "Try again later or use a smaller PDF."
-      });
-    }
-
-    // === Parse JSON Response ===
-    let cards;
-    try {
-      const cleaned = rawResponse
-        .replace(/^```json\s*/i, "")
-        .replace(/```$/g, "")
-        .trim();
-
-      cards = JSON.parse(cleaned);
-
-      if (!Array.isArray(cards) || cards.length === 0)
-        throw new Error("Empty or invalid cards");
-
-      cards.forEach((c, i) => {
-        if (typeof c.question !== "string" || !c.question.trim())
-          throw new Error(`Card ${i}: missing/invalid question`);
-        if (typeof c.answer !== "string" || !c.answer.trim())
-          throw new Error(`Card ${i}: missing/invalid answer`);
-      });
-    } catch (parseError) {
-      console.warn("ISI AI returned invalid JSON:", rawResponse.slice(0, 500));
-      return res.status(500).json({
-        error: "ISI AI returned invalid flashcard format.",
-        debug: rawResponse.slice(0, 500)
-      });
-    }
-
-    // === Save to DB ===
-    const flashcardSet = new FlashcardSet({
+    // === Queue background generation ===
+    const job = await enqueue({
       userId: req.user.userId,
-      title,
-      subject,
-      cards: cards.map(c => ({
-        question: c.question.trim(),
-        answer: c.answer.trim(),
-        masteryLevel: 0,
-      })),
+      kind: "flashcards",
+      params: { title, subject, numCards },
+      file: material.file,
+      text: material.text
     });
 
-    await flashcardSet.save();
-
-    return res.json({
+    return res.status(202).json({
       success: true,
-      id: flashcardSet._id,
-      message: "Flashcards generated successfully"
+      jobId: job._id,
+      status: job.status,
+      statusUrl: `/api/jobs/${job._id}`,
+      message: "Flashcard generation started"
     });
   } catch (error) {
     console.error("Error generating flashcards:", error);
@@ -261,18 +65,10 @@ router.post("/generate-flashcards", auth, async (req, res) => {
    ============================================================== */
 
 /* Manual creation */
-router.post("/create-flashcards-manual", auth, async (req, res) => {
+router.post("/create-flashcards-manual", auth, validate(schemas.createManual), async (req, res) => {
   try {
     const { title, subject, cards } = req.body;
 
-    if (!title || !subject || !Array.isArray(cards) || cards.length === 0) {
-      return res.status(400).json({ error: "Title, subject, and non-empty cards array are required" });
-    }
-
-    if (cards.some(c => !c.question?.trim() || !c.answer?.trim())) {
-      return res.status(400).json({ error: "All cards must have non-empty question and answer" });
-    }
-
     const set = new FlashcardSet({
       userId: req.user.userId,
       title,
@@ -293,59 +89,296 @@ router.post("/create-flashcards-manual", auth, async (req, res) => {
   }
 });
 
+/* Flashcards from the caller's wrong quiz answers (see GET /api/analytics/missed-questions).
+   mode "original" makes a card per missed question; "variants" queues AI
+   generation of new cards on the same concepts – poll GET /api/jobs/:id */
+router.post("/from-mistakes", auth, validate(schemas.fromMistakes), async (req, res) => {
+  try {
+    const { options, error, field } = parseReviewRequest(req.body);
+    if (error) return invalid(res, field, error);
+
+    const mistakes = await collectMistakes(req.user.userId, options);
+    if (!mistakes.length)
+      return res.status(404).json({ error: `No mistakes to review${options.subject ? ` in ${options.subject}` : ""} yet` });
+
+    const labels = reviewLabels(mistakes);
+    const title = typeof req.body.title === "string" && req.body.title.trim() ? req.body.title.trim() : labels.title;
+
+    if (options.mode === "original") {
+      const set = new FlashcardSet({
+        userId: req.user.userId,
+        title,
+        subject: labels.subject,
+        cards: reviewCards(mistakes)
+      });
+      await set.save();
+      return res.status(201).json({ success: true, id: set._id, cards: set.cards.length, message: "Review flashcards created" });
+    }
+
+    const job = await enqueue({
+      userId: req.user.userId,
+      kind: "flashcards",
+      params: { title, subject: labels.subject, numCards: req.body.numCards || mistakes.length, fromMistakes: true },
+      text: mistakesAsText(mistakes)
+    });
+
+    res.status(202).json({
+      success: true,
+      jobId: job._id,
+      status: job.status,
+      statusUrl: `/api/jobs/${job._id}`,
+      mistakes: mistakes.length,
+      message: "Review flashcard generation started"
+    });
+  } catch (e) {
+    console.error("Review flashcards error:", e);
+    res.status(500).json({ error: "Failed to build review flashcards" });
+  }
+});
+
+const formatSet = s => {
+  const known = s.cards.filter(c => c.masteryLevel >= 80).length;
+  const total = s.cards.length;
+  let status = "not-started";
+  if (s.lastStudied) {
+    status = known === total ? "completed" : "in-progress";
+  }
+
+  return {
+    id: s._id,
+    title: s.title,
+    subject: s.subject,
+    cardCount: total,
+    known,
+    progress: { known, total },
+    masteryLevel: s.masteryLevel || 0,
+    status,
+    createdAt: s.createdAt,
+    lastStudied: s.lastStudied,
+  };
+};
+
 /* List sets */
-router.get("/sets", auth, async (req, res) => {
+router.get("/sets", auth, validate(schemas.listSets), async (req, res) => {
   try {
     const sets = await FlashcardSet.find({ userId: req.user.userId })
       .sort({ createdAt: -1 })
       .lean();
 
-    const formatted = sets.map(s => {
-      const known = s.cards.filter(c => c.masteryLevel >= 80).length;
-      const total = s.cards.length;
-      let status = "not-started";
-      if (s.lastStudied) {
-        status = known === total ? "completed" : "in-progress";
-      }
-
-      return {
-        id: s._id,
-        title: s.title,
-        subject: s.subject,
-        cardCount: total,
-        known,
-        progress: { known, total },
-        masteryLevel: s.masteryLevel || 0,
-        status,
-        createdAt: s.createdAt,
-        lastStudied: s.lastStudied,
-      };
-    });
-
-    res.json({ success: true, sets: formatted });
+    res.json({ success: true, sets: sets.map(formatSet) });
   } catch (err) {
     console.error("Error fetching flashcard sets:", err);
     res.status(500).json({ error: "Failed to fetch flashcard sets" });
   }
 });
 
+/* ==============================================================
+   SHARING – recipients study with their own FlashcardProgress;
+   the set and its cards stay the owner's
+   ============================================================== */
+
+const SCHEDULE_FIELDS = ["masteryLevel", "easeFactor", "interval", "repetitions", "dueDate", "lastReviewed"];
+const FRESH_CARD = { masteryLevel: 0, easeFactor: DEFAULT_EASE, interval: 0, repetitions: 0, dueDate: null, lastReviewed: null };
+
+/* A set as a recipient sees it – their own mastery and schedule, not the owner's */
+const withProgress = (set, progress) => {
+  const { sharedWith, shareToken, ...plain } = typeof set.toObject === "function" ? set.toObject() : set;
+  const states = new Map((progress?.cards ?? []).map(c => [c.cardId.toString(), c]));
+  return {
+    ...plain,
+    masteryLevel: progress?.masteryLevel ?? 0,
+    lastStudied: progress?.lastStudied ?? null,
+    cards: plain.cards.map(c => {
+      const state = states.get(c._id.toString());
+      const schedule = { ...FRESH_CARD };
+      if (state) SCHEDULE_FIELDS.forEach(f => { schedule[f] = state[f] ?? schedule[f]; });
+      return { ...c, ...schedule };
+    }),
+  };
+};
+
+/* The set as the caller should see it – overlaid with their progress unless they own it */
+const viewFor = async (set, userId) => {
+  if (isOwner(set, userId)) return set;
+  const progress = await FlashcardProgress.findOne({ userId, setId: set._id }).lean();
+  return withProgress(set, progress);
+};
+
+/* Sets other users have shared with me, with my own progress */
+router.get("/shared", auth, validate(schemas.listShared), async (req, res) => {
+  try {
+    const sets = await FlashcardSet.find({ "sharedWith.userId": req.user.userId })
+      .populate("userId", "fullName")
+      .sort({ createdAt: -1 })
+      .lean();
+    const progress = await FlashcardProgress.find({ userId: req.user.userId, setId: { $in: sets.map(s => s._id) } }).lean();
+    const bySet = new Map(progress.map(p => [p.setId.toString(), p]));
+
+    res.json({
+      success: true,
+      sets: sets.map(s => ({
+        ...formatSet(withProgress(s, bySet.get(s._id.toString()))),
+        owner: s.userId?.fullName ?? null
+      }))
+    });
+  } catch (err) {
+    console.error("Error fetching shared flashcard sets:", err);
+    res.status(500).json({ error: "Failed to fetch shared flashcard sets" });
+  }
+});
+
+mountSharing(router, auth, {
+  Model: FlashcardSet,
+  path: "/sets/:id",
+  basePath: "/api/flashcards",
+  label: "Flashcard set",
+  preview: set => ({ title: set.title, subject: set.subject, cardCount: set.cards.length }),
+  // Card text only – the copy starts with fresh review scheduling
+  clone: (set, userId) => new FlashcardSet({
+    userId,
+    title: set.title,
+    subject: set.subject,
+    cards: set.cards.map(c => ({
+      question: c.question,
+      answer: c.answer,
+      explanation: c.explanation,
+      source: c.source,
+      masteryLevel: 0
+    }))
+  })
+});
+
 /* Get one set */
-router.get("/sets/:id", auth, async (req, res) => {
+router.get("/sets/:id", auth, validate(schemas.get), async (req, res) => {
   try {
-    const set = await FlashcardSet.findOne({ _id: req.params.id, userId: req.user.userId });
+    const set = await FlashcardSet.findOne({ _id: req.params.id, ...accessibleBy(req.user.userId) });
     if (!set) return res.status(404).json({ error: "Flashcard set not found" });
-    res.json({ success: true, set });
+    res.json({ success: true, set: await viewFor(set, req.user.userId), isOwner: isOwner(set, req.user.userId) });
   } catch (err) {
     console.error("Error fetching flashcard set:", err);
     res.status(500).json({ error: "Server error while fetching flashcard set" });
   }
 });
 
+/* Card text fields accepted on create/edit */
+const cardFields = body => {
+  const card = {};
+  for (const field of ["question", "answer"])
+    if (body[field] !== undefined) card[field] = body[field].trim();
+  if (body.explanation !== undefined) card.explanation = body.explanation?.trim() || undefined;
+  return card;
+};
+
+/* Edit set details – title, subject */
+router.patch("/sets/:id", auth, validate(schemas.update), ownSet, async (req, res) => {
+  try {
+    const update = {};
+    for (const field of ["title", "subject"])
+      if (req.body[field] !== undefined) update[field] = req.body[field].trim();
+
+    const set = req.resource;
+    set.set({ ...update, updatedAt: new Date() });
+    await set.save();
+
+    res.json({ success: true, message: "Flashcard set updated", set });
+  } catch (err) {
+    console.error("Error updating flashcard set:", err);
+    res.status(500).json({ error: "Failed to update flashcard set" });
+  }
+});
+
+/* Add a card – appended, or inserted at `position` */
+router.post("/sets/:id/cards", auth, validate(schemas.addCard), ownSet, async (req, res) => {
+  try {
+    const card = cardFields(req.body);
+    const set = req.resource;
+
+    const at = req.body.position ?? set.cards.length;
+    if (at > set.cards.length) return invalid(res, "position", `position must be between 0 and ${set.cards.length}`);
+
+    set.cards.splice(at, 0, { ...card, masteryLevel: 0 });
+    set.recomputeMastery();
+    set.updatedAt = new Date();
+    await set.save();
+
+    res.status(201).json({ success: true, card: set.cards[at] });
+  } catch (err) {
+    console.error("Error adding card:", err);
+    res.status(500).json({ error: "Failed to add card" });
+  }
+});
+
+/* Reorder cards – body { order: [cardId, ...] } listing every card once */
+router.put("/sets/:id/cards/order", auth, validate(schemas.reorderCards), ownSet, async (req, res) => {
+  try {
+    const set = req.resource;
+
+    const { order } = req.body;
+    const ids = set.cards.map(c => c._id.toString());
+    if (order.length !== ids.length || new Set(order).size !== ids.length || !order.every(id => ids.includes(id)))
+      return invalid(res, "order", "order must list every card id exactly once");
+
+    const byId = new Map(set.cards.map(c => [c._id.toString(), c.toObject()]));
+    set.cards = order.map(id => byId.get(id));
+    set.updatedAt = new Date();
+    await set.save();
+
+    res.json({ success: true, order: set.cards.map(c => c._id) });
+  } catch (err) {
+    console.error("Error reordering cards:", err);
+    res.status(500).json({ error: "Failed to reorder cards" });
+  }
+});
+
+/* Edit one card's text – review scheduling is kept */
+router.patch("/sets/:id/cards/:cardId", auth, validate(schemas.editCard), ownSet, async (req, res) => {
+  try {
+    const changes = cardFields(req.body);
+    const set = req.resource;
+
+    const card = set.cards.id(req.params.cardId);
+    if (!card) return res.status(404).json({ error: "Card not found in this set" });
+
+    Object.assign(card, changes);
+    set.updatedAt = new Date();
+    await set.save();
+
+    res.json({ success: true, card });
+  } catch (err) {
+    console.error("Error editing card:", err);
+    res.status(500).json({ error: "Failed to edit card" });
+  }
+});
+
+/* Delete one card */
+router.delete("/sets/:id/cards/:cardId", auth, validate(schemas.deleteCard), ownSet, async (req, res) => {
+  try {
+    const set = req.resource;
+
+    const card = set.cards.id(req.params.cardId);
+    if (!card) return res.status(404).json({ error: "Card not found in this set" });
+    if (set.cards.length === 1)
+      return invalid(res, "cardId", "A set needs at least one card – delete the set instead", { location: "params" });
+
+    set.cards.pull(card._id);
+    set.recomputeMastery();
+    set.updatedAt = new Date();
+    await set.save();
+
+    res.json({ success: true, message: "Card deleted" });
+  } catch (err) {
+    console.error("Error deleting card:", err);
+    res.status(500).json({ error: "Failed to delete card" });
+  }
+});
+
 /* Delete set */
-router.delete("/sets/:id", auth, async (req, res) => {
+router.delete("/sets/:id", auth, validate(schemas.remove), ownSet, async (req, res) => {
   try {
-    const set = await FlashcardSet.findOneAndDelete({ _id: req.params.id, userId: req.user.userId });
-    if (!set) return res.status(404).json({ error: "Flashcard set not found" });
+    const set = req.resource;
+    await set.deleteOne();
+    await FlashcardProgress.deleteMany({ setId: set._id });
+    await Assignment.deleteMany({ kind: "flashcards", itemId: set._id });
     res.json({ success: true, message: "Flashcard set deleted successfully" });
   } catch (err) {
     console.error("Error deleting flashcard set:", err);
@@ -353,33 +386,146 @@ router.delete("/sets/:id", auth, async (req, res) => {
   }
 });
 
-/* Study progress */
-router.post("/sets/:id/study", auth, async (req, res) => {
+/* Import a set – multipart `file` (.csv, .tsv/.txt Quizlet export, .apkg, .json)
+   or pasted `text`. `format` overrides detection from the file name; Quizlet
+   imports may pass custom `separator` / `rowSeparator`. Skipped rows are reported. */
+router.post("/import", auth, validate(schemas.import), async (req, res) => {
   try {
-    const { cardId, known } = req.body;
-    if (typeof known !== "boolean") {
-      return res.status(400).json({ error: "known field must be boolean" });
+    const file = req.files?.file;
+    const text = typeof req.body.text === "string" ? req.body.text : null;
+    if (!file && !text?.trim()) return invalid(res, "file", "Upload a file or paste text to import");
+
+    const format = req.body.format || (file ? detectImportFormat(file.name) : "quizlet");
+    if (!IMPORTERS[format])
+      return invalid(res, "format", `Unsupported import format. Use one of: ${Object.keys(IMPORTERS).join(", ")}`);
+
+    const data = file ? file.data : Buffer.from(text, "utf8");
+    const unescape = value => typeof value === "string" && value ? value.replace(/\\t/g, "\t").replace(/\\n/g, "\n") : undefined;
+    let parsed;
+    try {
+      parsed = await IMPORTERS[format](data, {
+        separator: unescape(req.body.separator),
+        rowSeparator: unescape(req.body.rowSeparator)
+      });
+    } catch (e) {
+      return invalid(res, file ? "file" : "text", `Could not read ${format} import: ${e.message}`);
     }
 
-    const set = await FlashcardSet.findOne({ _id: req.params.id, userId: req.user.userId });
+    const { cards, skipped } = parsed;
+    if (!cards.length) return invalid(res, file ? "file" : "text", "No cards could be imported", { skipped });
+
+    const fallbackTitle = file ? file.name.replace(/\.[^.]+$/, "") : "Imported flashcards";
+    const set = new FlashcardSet({
+      userId: req.user.userId,
+      title: req.body.title?.trim() || parsed.title || fallbackTitle,
+      subject: req.body.subject?.trim() || parsed.subject || "General",
+      cards: cards.map(c => ({ masteryLevel: 0, ...c }))
+    });
+    set.recomputeMastery();
+    await set.save();
+
+    res.status(201).json({
+      success: true,
+      id: set._id,
+      title: set.title,
+      imported: cards.length,
+      skipped,
+      message: `Imported ${cards.length} card${cards.length === 1 ? "" : "s"}` +
+        (skipped.length ? `, skipped ${skipped.length}` : "")
+    });
+  } catch (err) {
+    console.error("Error importing flashcards:", err);
+    res.status(500).json({ error: "Failed to import flashcards" });
+  }
+});
+
+/* Export a set – ?format=csv | tsv (Quizlet) | apkg (Anki) | json (lossless, with mastery) */
+router.get("/sets/:id/export", auth, validate(schemas.export), async (req, res) => {
+  try {
+    const { format } = req.query;
+    const found = await FlashcardSet.findOne({ _id: req.params.id, ...accessibleBy(req.user.userId) }).lean();
+    if (!found) return res.status(404).json({ error: "Flashcard set not found" });
+    const set = await viewFor(found, req.user.userId);
+
+    const { data, mimetype, extension } = await EXPORTERS[format](set);
+    const filename = `${set.title.replace(/[^\w\- ]+/g, "").trim() || "flashcards"}.${extension}`;
+    res.set({
+      "Content-Type": mimetype,
+      "Content-Disposition": `attachment; filename="${filename}"`
+    });
+    res.send(data);
+  } catch (err) {
+    console.error("Error exporting flashcards:", err);
+    res.status(500).json({ error: "Failed to export flashcards" });
+  }
+});
+
+/* Printable cut-out cards – ?hideAnswers=true (fronts only)&shuffle=true&seed=&pageSize=a4|letter */
+router.get("/sets/:id/pdf", auth, validate(schemas.pdf), async (req, res) => {
+  try {
+    const options = parsePrintOptions(req.query);
+
+    const set = await FlashcardSet.findOne({ _id: req.params.id, ...accessibleBy(req.user.userId) }).lean();
     if (!set) return res.status(404).json({ error: "Flashcard set not found" });
 
-    const card = set.cards.id(cardId);
-    if (!card) return res.status(404).json({ error: "Card not found in this set" });
+    const { data, seed } = await flashcardsPdf(set, options);
+    const name = set.title.replace(/[^\w\- ]+/g, "").trim() || "flashcards";
+    res.set({
+      "Content-Type": "application/pdf",
+      "Content-Disposition": `attachment; filename="${name}.pdf"`,
+      ...(seed !== null ? { "X-Shuffle-Seed": String(seed) } : {})
+    });
+    res.send(Buffer.from(data));
+  } catch (err) {
+    console.error("Error exporting flashcards PDF:", err);
+    res.status(500).json({ error: "Failed to export flashcards PDF" });
+  }
+});
 
-    card.masteryLevel = Math.min(100, Math.max(0, card.masteryLevel + (known ? 15 : -10)));
-    set.lastStudied = new Date();
+/* Study progress – SM-2 review of one card.
+   Body: { cardId, grade: "again" | "hard" | "good" | "easy" }.
+   The legacy { known: boolean } body maps to good / again. */
+router.post("/sets/:id/study", auth, validate(schemas.study), async (req, res) => {
+  try {
+    const { cardId, known } = req.body;
+    let { grade } = req.body;
+    if (grade === undefined && typeof known === "boolean") grade = known ? "good" : "again";
+    if (grade === undefined) return invalid(res, "grade", `grade must be one of: ${Object.keys(GRADES).join(", ")}`, { code: "required" });
 
-    const totalMastery = set.cards.reduce((sum, c) => sum + c.masteryLevel, 0);
-    set.masteryLevel = Math.round(totalMastery / set.cards.length);
+    const set = await FlashcardSet.findOne({ _id: req.params.id, ...accessibleBy(req.user.userId) });
+    if (!set) return res.status(404).json({ error: "Flashcard set not found" });
 
-    await set.save();
+    const card = set.cards.id(cardId);
+    if (!card) return res.status(404).json({ error: "Card not found in this set" });
+
+    // Owners study the set itself; recipients record progress of their own
+    const now = new Date();
+    let reviewed, progress;
+    if (isOwner(set, req.user.userId)) {
+      reviewed = reviewCard(card, grade, now);
+      set.lastStudied = now;
+      set.recomputeMastery();
+      await set.save();
+    } else {
+      progress = await FlashcardProgress.findOne({ userId: req.user.userId, setId: set._id }) ??
+        new FlashcardProgress({ userId: req.user.userId, setId: set._id });
+      reviewed = reviewCard(progress.cardState(card._id), grade, now);
+      progress.lastStudied = now;
+      progress.recomputeMastery(set);
+      await progress.save();
+    }
+    await recordActivity(req.user.userId, { cardsReviewed: 1 }, now)
+      .catch(err => console.error("Streak update error:", err));
 
     res.json({
       success: true,
       message: "Study progress updated",
-      masteryLevel: card.masteryLevel,
-      setMasteryLevel: set.masteryLevel
+      masteryLevel: reviewed.masteryLevel,
+      setMasteryLevel: (progress ?? set).masteryLevel,
+      easeFactor: reviewed.easeFactor,
+      interval: reviewed.interval,
+      repetitions: reviewed.repetitions,
+      dueDate: reviewed.dueDate
     });
   } catch (err) {
     console.error("Error updating study progress:", err);
@@ -387,4 +533,92 @@ router.post("/sets/:id/study", auth, async (req, res) => {
   }
 });
 
+/* Due cards from sets shared with the user, scheduled by their own progress */
+const sharedDueCards = async (userId, cutoff) => {
+  const sets = await FlashcardSet.find({ "sharedWith.userId": userId })
+    .select("title subject cards._id cards.question cards.answer")
+    .lean();
+  if (!sets.length) return [];
+  const progress = await FlashcardProgress.find({ userId, setId: { $in: sets.map(s => s._id) } }).lean();
+  const bySet = new Map(progress.map(p => [p.setId.toString(), p]));
+
+  return sets.flatMap(s =>
+    withProgress(s, bySet.get(s._id.toString())).cards
+      .filter(c => !c.dueDate || c.dueDate <= cutoff)
+      .map(c => ({
+        setId: s._id,
+        setTitle: s.title,
+        subject: s.subject,
+        cardId: c._id,
+        question: c.question,
+        answer: c.answer,
+        masteryLevel: c.masteryLevel,
+        easeFactor: c.easeFactor,
+        interval: c.interval,
+        repetitions: c.repetitions,
+        dueDate: c.dueDate,
+        shared: true
+      }))
+  );
+};
+
+/* Daily review queue – cards due by end of today across all of the user's sets,
+   including sets shared with them */
+router.get("/review/due", auth, validate(schemas.dueForReview), async (req, res) => {
+  try {
+    const { limit } = req.query;
+    const cutoff = endOfToday();
+
+    const due = await FlashcardSet.aggregate([
+      { $match: { userId: new mongoose.Types.ObjectId(req.user.userId) } },
+      { $unwind: "$cards" },
+      {
+        $match: {
+          $or: [
+            { "cards.dueDate": { $lte: cutoff } },
+            { "cards.dueDate": { $exists: false } }
+          ]
+        }
+      },
+      { $sort: { "cards.dueDate": 1 } },
+      {
+        $facet: {
+          cards: [
+            { $limit: limit },
+            {
+              $project: {
+                _id: 0,
+                setId: "$_id",
+                setTitle: "$title",
+                subject: "$subject",
+                cardId: "$cards._id",
+                question: "$cards.question",
+                answer: "$cards.answer",
+                masteryLevel: "$cards.masteryLevel",
+                easeFactor: "$cards.easeFactor",
+                interval: "$cards.interval",
+                repetitions: "$cards.repetitions",
+                dueDate: "$cards.dueDate",
+                shared: { $literal: false }
+              }
+            }
+          ],
+          total: [{ $count: "count" }]
+        }
+      }
+    ]);
+
+    const { cards: owned, total } = due[0];
+    const shared = await sharedDueCards(req.user.userId, cutoff);
+    // Never-studied shared cards have no due date and come first, like unscheduled owned ones
+    const cards = [...owned, ...shared]
+      .sort((a, b) => (a.dueDate ? a.dueDate.getTime() : 0) - (b.dueDate ? b.dueDate.getTime() : 0))
+      .slice(0, limit);
+    res.json({ success: true, dueBy: cutoff, total: (total[0]?.count ?? 0) + shared.length, cards });
+  } catch (err) {
+    console.error("Error fetching review queue:", err);
+    res.status(500).json({ error: "Failed to fetch review queue" });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
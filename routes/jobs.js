@@ -0,0 +1,56 @@
+// routes/jobs.js
+const express = require("express");
+const router = express.Router();
+const auth = require("../middlewares/auth");
+const validate = require("../middlewares/validate");
+const schemas = require("../validators/jobs");
+const GenerationJob = require("../models/GenerationJob");
+const { kick } = require("../utils/jobQueue");
+
+const formatJob = job => ({
+  id: job._id,
+  kind: job.kind,
+  status: job.status,
+  resultId: job.resultId ?? null,
+  quizId: job.kind === "quiz" ? job.resultId ?? null : undefined,
+  setId: job.kind === "flashcards" ? job.resultId ?? null : undefined,
+  summary: job.summary ?? null,
+  error: job.error ?? null,
+  details: job.errorDetails ?? undefined,
+  createdAt: job.createdAt,
+  startedAt: job.startedAt,
+  finishedAt: job.finishedAt
+});
+
+/* Recent generation jobs for the current user */
+router.get("/", auth, validate(schemas.list), async (req, res) => {
+  try {
+    const jobs = await GenerationJob.find({ userId: req.user.userId })
+      .select("-file -sourceSections")
+      .sort({ createdAt: -1 })
+      .limit(20);
+    res.json({ success: true, jobs: jobs.map(formatJob) });
+  } catch (e) {
+    console.error("Fetch jobs error:", e);
+    res.status(500).json({ error: "Error fetching jobs" });
+  }
+});
+
+/* Job status – queued | extracting | generating | validating | done | failed */
+router.get("/:id", auth, validate(schemas.get), async (req, res) => {
+  try {
+    const job = await GenerationJob.findOne({ _id: req.params.id, userId: req.user.userId })
+      .select("-file -sourceSections");
+    if (!job) return res.status(404).json({ error: "Job not found" });
+
+    // Serverless instances may have frozen the worker – polling restarts it
+    if (job.status === "queued") kick();
+
+    res.json({ success: true, job: formatJob(job) });
+  } catch (e) {
+    console.error("Fetch job error:", e);
+    res.status(500).json({ error: "Error fetching job" });
+  }
+});
+
+module.exports = router;
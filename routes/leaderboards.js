@@ -0,0 +1,52 @@
+// routes/leaderboards.js
+const express = require("express");
+const router = express.Router();
+const auth = require("../middlewares/auth");
+const validate = require("../middlewares/validate");
+const schemas = require("../validators/leaderboards");
+const { periodKey, subjectBoard, leaderboardPage, leaderboardSubjects } = require("../utils/leaderboards");
+
+/* Ranked users – ?period=all|week|month&subject=&page=1&limit=20
+   Weekly boards follow ISO weeks and monthly ones calendar months, both in UTC */
+router.get("/", auth, validate(schemas.get), async (req, res) => {
+  try {
+    const { period, page, limit } = req.query;
+    const subject = req.query.subject?.trim() ?? "";
+
+    const key = periodKey(period);
+    const { total, entries, me } = await leaderboardPage({
+      board: subject ? subjectBoard(subject) : "all",
+      period: key,
+      page,
+      limit,
+      userId: req.user.userId
+    });
+
+    res.json({
+      success: true,
+      period,
+      periodKey: key,
+      subject: subject || null,
+      page,
+      limit,
+      total,
+      entries,
+      me
+    });
+  } catch (e) {
+    console.error("Leaderboard error:", e);
+    res.status(500).json({ error: "Failed to fetch leaderboard" });
+  }
+});
+
+/* Subjects that have a leaderboard */
+router.get("/subjects", auth, validate(schemas.subjects), async (req, res) => {
+  try {
+    res.json({ success: true, subjects: await leaderboardSubjects() });
+  } catch (e) {
+    console.error("Leaderboard subjects error:", e);
+    res.status(500).json({ error: "Failed to fetch leaderboard subjects" });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,79 @@
+// routes/notifications.js
+// Reminder email preferences (sent by utils/reminders.js).
+const express = require("express");
+const router = express.Router();
+const auth = require("../middlewares/auth");
+const validate = require("../middlewares/validate");
+const schemas = require("../validators/notifications");
+const User = require("../models/User");
+
+const { invalid } = validate;
+
+const SWITCHES = ["email", "streakReminders", "reviewReminders", "quizReminders"];
+
+const formatPreferences = user => {
+  const prefs = user.notifications ?? {};
+  return {
+    email: prefs.email !== false,
+    streakReminders: prefs.streakReminders !== false,
+    reviewReminders: prefs.reviewReminders !== false,
+    quizReminders: prefs.quizReminders !== false,
+    reminderHour: prefs.reminderHour ?? 18,
+    timezone: user.timezone,
+    lastReminderAt: prefs.lastReminderAt ?? null
+  };
+};
+
+/* Current preferences */
+router.get("/", auth, validate(schemas.get), async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId).select("timezone notifications");
+    if (!user) return res.status(404).json({ error: "User not found" });
+    res.json({ success: true, preferences: formatPreferences(user) });
+  } catch (e) {
+    console.error("Fetch notification preferences error:", e);
+    res.status(500).json({ error: "Failed to fetch notification preferences" });
+  }
+});
+
+/* Update preferences – any of email (all reminders), streakReminders, reviewReminders,
+   quizReminders, reminderHour (0-23, local) and timezone */
+router.put("/", auth, validate(schemas.update), async (req, res) => {
+  try {
+    const update = {};
+    for (const field of [...SWITCHES, "reminderHour"])
+      if (req.body[field] !== undefined) update[`notifications.${field}`] = req.body[field];
+    if (req.body.timezone !== undefined) update.timezone = req.body.timezone;
+
+    const user = await User.findByIdAndUpdate(req.user.userId, { $set: update }, { new: true })
+      .select("timezone notifications");
+    if (!user) return res.status(404).json({ error: "User not found" });
+    res.json({ success: true, message: "Preferences updated", preferences: formatPreferences(user) });
+  } catch (e) {
+    console.error("Update notification preferences error:", e);
+    res.status(500).json({ error: "Failed to update notification preferences" });
+  }
+});
+
+/* Opt out of reminder emails – no login needed. The app's unsubscribe page
+   sends { token }; mail clients POST ?token= from the List-Unsubscribe header
+   with a form body of List-Unsubscribe=One-Click (RFC 8058), which is ignored */
+router.post("/unsubscribe", validate(schemas.unsubscribe), async (req, res) => {
+  try {
+    const location = req.query.token !== undefined ? "query" : "body";
+    const token = req[location].token;
+    if (!token) return invalid(res, "token", "token is required", { location, code: "required" });
+
+    const result = await User.updateOne(
+      { "notifications.unsubscribeToken": token },
+      { $set: { "notifications.email": false } }
+    );
+    if (!result.matchedCount) return invalid(res, "token", "This unsubscribe link is invalid", { location });
+    res.json({ success: true, message: "You won't get any more reminder emails" });
+  } catch (e) {
+    console.error("Unsubscribe error:", e);
+    res.status(500).json({ error: "Failed to unsubscribe" });
+  }
+});
+
+module.exports = router;
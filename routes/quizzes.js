@@ -2,352 +2,793 @@
 const express = require("express");
 const router = express.Router();
 const auth = require("../middlewares/auth");
+const { requireOwner } = require("../middlewares/authorize");
+const validate = require("../middlewares/validate");
+const schemas = require("../validators/quizzes");
+const { MAX_QUESTIONS } = require("../config/limits");
 const Quiz = require("../models/Quiz");
 const QuizResult = require("../models/QuizResult");
-const PDFParser = require("pdf2json");
+const QuizSession = require("../models/QuizSession");
+const QuizVersion = require("../models/QuizVersion");
+const Assignment = require("../models/Assignment");
+const { validateAnswers, gradeQuiz } = require("../utils/grading");
+const { enqueue } = require("../utils/jobQueue");
+const { getStudyMaterial } = require("../utils/ingestion");
+const { parseTypeMix, parseQuestion } = require("../utils/questionTypes");
+const { quizPdf, parsePrintOptions } = require("../utils/printables");
+const { accessibleBy, isOwner, mountSharing } = require("../utils/sharing");
+const { recordResult } = require("../utils/leaderboards");
+const { recordActivity } = require("../utils/streaks");
+const { saveAttempt } = require("../utils/attempts");
+const { parseReviewRequest, collectMistakes, reviewLabels, reviewQuestions, mistakesAsText } = require("../utils/review");
 require("dotenv").config();
 
-const { GoogleGenerativeAI } = require("@google/generative-ai");
-
-/* --------------------------------------------------------------
-   1. Load API keys (comma-separated list) from .env
-   -------------------------------------------------------------- */
-const GEMINI_API_KEYS = process.env.GEMINI_API_KEYS
-  ? process.env.GEMINI_API_KEYS.split(",")
-      .map(k => k.trim())
-      .filter(Boolean)
-  : [];
-
-if (GEMINI_API_KEYS.length === 0) {
-  console.error("GEMINI_API_KEYS is missing or empty in .env");
-  process.exit(1);
-}
-
-/* --------------------------------------------------------------
-   2. Model names
-   -------------------------------------------------------------- */
-const PRIMARY_MODEL = "gemini-1.5-flash";   // fast & capable
-const FALLBACK_MODEL = "gemini-pro";
-
-/* --------------------------------------------------------------
-   3. AI Manager – key rotation + model caching
-   -------------------------------------------------------------- */
-class AIManager {
-  constructor(keys) {
-    this.keys = keys;
-    this.currentIdx = 0;
-    this.models = new Map();          // idx → GenerativeModel
-    this.initCurrentModel();
+const { invalid } = validate;
+
+/* Editing and deleting are for the owner only – loads the quiz onto req.resource */
+const ownQuiz = requireOwner(Quiz, { label: "Quiz" });
+
+/* Attempt limit: per-quiz value wins, then QUIZ_MAX_ATTEMPTS, else unlimited */
+const DEFAULT_MAX_ATTEMPTS = parseInt(process.env.QUIZ_MAX_ATTEMPTS, 10) || null;
+const attemptLimitFor = quiz => quiz.maxAttempts || DEFAULT_MAX_ATTEMPTS;
+
+/* Timed sessions: what happens to answers sent after the deadline.
+   "flag"   – grade what was submitted, mark the result late (default)
+   "cutoff" – grade only the answers saved before the deadline */
+const LATE_POLICY = process.env.QUIZ_LATE_POLICY === "cutoff" ? "cutoff" : "flag";
+const graceSeconds = parseInt(process.env.QUIZ_DEADLINE_GRACE_SECONDS, 10);
+const DEADLINE_GRACE_MS = (Number.isNaN(graceSeconds) ? 5 : graceSeconds) * 1000;
+
+const isPastDeadline = (session, now) =>
+  Boolean(session.deadline) && now > session.deadline.getTime() + DEADLINE_GRACE_MS;
+
+/* Versioning: snapshot the current questions and bump the version before
+   any question edit, so earlier results keep their original questions */
+const beginQuestionEdit = async quiz => {
+  await QuizVersion.updateOne(
+    { quizId: quiz._id, version: quiz.version },
+    { $setOnInsert: { questions: quiz.toObject().questions } },
+    { upsert: true }
+  );
+  quiz.version += 1;
+  quiz.updatedAt = new Date();
+};
+
+/* An added or edited question for the reply: what a taker sees, plus only the
+   answer fields the caller sent – an edit never reveals the rest of the key */
+const editedQuestion = (question, sent) => {
+  const { _id, type, question: text, options, ...rest } = question.toObject();
+  const echoed = Object.fromEntries(Object.entries(rest).filter(([field]) => field !== "source" && sent[field] !== undefined));
+  return { _id, type, question: text, ...(options?.length ? { options } : {}), ...echoed };
+};
+
+/* The quiz as it was at `version` (the live document if that's current) */
+const quizAtVersion = async (quiz, version) => {
+  if (!version || version === quiz.version) return quiz;
+  const snapshot = await QuizVersion.findOne({ quizId: quiz._id, version });
+  if (!snapshot) return quiz;
+  return { ...quiz.toObject(), version, questions: snapshot.questions };
+};
+
+/* A quiz with its answer key, as sent to `userId` – sharing details
+   (token, recipients, where it was copied from) are the owner's business */
+const OWNER_ONLY_FIELDS = ["shareToken", "sharedWith", "clonedFrom"];
+const answerKeyView = (quiz, userId) => {
+  const view = typeof quiz.toObject === "function" ? quiz.toObject() : { ...quiz };
+  if (!isOwner(quiz, userId)) OWNER_ONLY_FIELDS.forEach(f => delete view[f]);
+  return view;
+};
+
+/* Quiz-level fields that can be edited with PATCH /:id, picked from a checked body */
+const SETTINGS = ["title", "subject", "difficulty", "timeLimit", "maxAttempts", "shortAnswerMarking"];
+const settingsUpdate = body => {
+  const update = {};
+  for (const field of SETTINGS) {
+    if (body[field] === undefined) continue;
+    update[field] = typeof body[field] === "string" ? body[field].trim() : body[field];
   }
-
-  initCurrentModel() {
-    const key = this.keys[this.currentIdx];
+  return update;
+};
+
+/* Parse hand-written questions, replying 400 naming the first bad one; null once replied */
+const parseQuestions = (res, questions, field) => {
+  const parsed = [];
+  for (const [i, q] of questions.entries()) {
+    const label = field ?? `questions[${i}]`;
     try {
-      const genAI = new GoogleGenerativeAI(key);
-      const model = genAI.getGenerativeModel({ model: PRIMARY_MODEL });
-      this.models.set(this.currentIdx, model);
-      console.log(`ISI AI → key #${this.currentIdx + 1} (primary ${PRIMARY_MODEL})`);
+      parsed.push(parseQuestion(q, label));
     } catch (e) {
-      console.warn(`Primary model failed for key #${this.currentIdx + 1}, trying fallback...`);
-      this.tryFallback();
+      invalid(res, label, e.message);
+      return null;
     }
   }
+  return parsed;
+};
 
-  tryFallback() {
-    const key = this.keys[this.currentIdx];
-    try {
-      const genAI = new GoogleGenerativeAI(key);
-      const model = genAI.getGenerativeModel({ model: FALLBACK_MODEL });
-      this.models.set(this.currentIdx, model);
-      console.log(`ISI AI → key #${this.currentIdx + 1} (fallback ${FALLBACK_MODEL})`);
-    } catch (e) {
-      console.error(`All models failed for key #${this.currentIdx + 1}`);
-      this.models.set(this.currentIdx, null);
-    }
-  }
+/* ==============================================================
+   ROUTE: Generate Quiz from study material – runs as a background job,
+   poll GET /api/jobs/:id for progress and the resulting quiz id
+   ============================================================== */
+router.post("/generate-quiz", auth, validate(schemas.generate), async (req, res) => {
+  try {
+    const { title, subject, numQuestions, difficulty, timeLimit, maxAttempts, shortAnswerMarking } = req.body;
+
+    /* ---------- Input validation ---------- */
+    const material = getStudyMaterial(req);
+    if (material.error) return invalid(res, material.field, material.error);
+
+    // e.g. "multiple-choice,true-false,short-answer" – defaults to multiple-choice
+    const mix = parseTypeMix(req.body.questionTypes);
+    if (mix.error) return invalid(res, "questionTypes", mix.error);
 
-  getCurrentModel() {
-    return this.models.get(this.currentIdx) ?? null;
+    /* ---------- Queue background generation ---------- */
+    const job = await enqueue({
+      userId: req.user.userId,
+      kind: "quiz",
+      params: {
+        title, subject, numQuestions, difficulty, timeLimit, maxAttempts,
+        questionTypes: mix.types,
+        shortAnswerMarking
+      },
+      file: material.file,
+      text: material.text
+    });
+
+    return res.status(202).json({
+      success: true,
+      jobId: job._id,
+      status: job.status,
+      statusUrl: `/api/jobs/${job._id}`,
+      message: "Quiz generation started"
+    });
+  } catch (err) {
+    console.error("Generate-quiz error:", err);
+    return res.status(500).json({ error: "Internal server error: " + err.message });
   }
+});
 
-  /** Returns a new model if rotation happened, otherwise null */
-  async rotateIfNeeded(error) {
-    const isRateLimit =
-      error.status === 429 ||
-      /quota/i.test(error.message) ||
-      /RATE_LIMIT/i.test(error.message) ||
-      /429/i.test(error.message);
+/* ==============================================================
+   OTHER ROUTES (unchanged, just minor comment cleanup)
+   ============================================================== */
 
-    if (!isRateLimit || this.keys.length === 1) return null;
+/* Per-quiz attempt stats for one user, keyed by quiz id */
+const attemptStats = async userId => {
+  const results = await QuizResult.find({ userId })
+    .select("quizId score createdAt")
+    .sort({ createdAt: 1 });
+
+  const map = {};
+  results.forEach(r => {
+    const stats = (map[r.quizId] ??= { attempts: 0, best: 0, latest: null, total: 0 });
+    stats.attempts++;
+    stats.total += r.score;
+    stats.best = Math.max(stats.best, r.score);
+    stats.latest = r.score;
+  });
+  return map;
+};
+
+const formatQuizSet = (q, stats) => ({
+  id: q._id,
+  title: q.title,
+  subject: q.subject,
+  difficulty: q.difficulty,
+  timeLimit: q.timeLimit,
+  numQuestions: q.numQuestions,
+  score: stats?.latest ?? null,
+  bestScore: stats ? stats.best : null,
+  latestScore: stats?.latest ?? null,
+  averageScore: stats ? Math.round(stats.total / stats.attempts) : null,
+  attempts: stats?.attempts ?? 0,
+  maxAttempts: attemptLimitFor(q),
+  maxScore: 100,
+  createdAt: q.createdAt,
+  status: stats ? "completed" : q.status === "in-progress" ? "in-progress" : "pending"
+});
 
-    console.warn(`ISI AI rate-limit on key #${this.currentIdx + 1}. Rotating...`);
-    this.currentIdx = (this.currentIdx + 1) % this.keys.length;
-    this.initCurrentModel();
+/* List user's quiz sets with per-quiz attempt stats */
+router.get("/sets", auth, validate(schemas.listSets), async (req, res) => {
+  try {
+    const quizzes = await Quiz.find({ userId: req.user.userId }).sort({ createdAt: -1 });
+    const map = await attemptStats(req.user.userId);
 
-    const newModel = this.getCurrentModel();
-    if (!newModel) throw new Error("All API keys exhausted.");
-    return newModel;
+    res.json({ success: true, quizzes: quizzes.map(q => formatQuizSet(q, map[q._id])) });
+  } catch (e) {
+    console.error("Fetch sets error:", e);
+    res.status(500).json({ error: "Error fetching quizzes" });
   }
-}
-
-/* --------------------------------------------------------------
-   4. Initialise AI manager
-   -------------------------------------------------------------- */
-let aiManager;
-try {
-  aiManager = new AIManager(GEMINI_API_KEYS);
-} catch (e) {
-  console.error("Failed to initialise ISI AI:", e.message);
-  process.exit(1);
-}
-
-/* --------------------------------------------------------------
-   5. Helper
-   -------------------------------------------------------------- */
-const sleep = ms => new Promise(res => setTimeout(res, ms));
+});
 
 /* ==============================================================
-   ROUTE: Generate Quiz from PDF
+   SHARING – recipients take the quiz with their own results;
+   editing stays with the owner
    ============================================================== */
-router.post("/generate-quiz", auth, async (req, res) => {
-  const currentModel = aiManager.getCurrentModel();
-  if (!currentModel) {
-    return res.status(500).json({ error: "ISI AI model not initialised." });
+
+/* Quizzes other users have shared with me, with my own attempt stats */
+router.get("/shared", auth, validate(schemas.listShared), async (req, res) => {
+  try {
+    const quizzes = await Quiz.find({ "sharedWith.userId": req.user.userId })
+      .populate("userId", "fullName")
+      .sort({ createdAt: -1 });
+    const map = await attemptStats(req.user.userId);
+
+    res.json({
+      success: true,
+      quizzes: quizzes.map(q => ({
+        // The owner's in-progress flag means nothing to a recipient
+        ...formatQuizSet(q, map[q._id]),
+        status: map[q._id] ? "completed" : "pending",
+        owner: q.userId?.fullName ?? null
+      }))
+    });
+  } catch (e) {
+    console.error("Fetch shared quizzes error:", e);
+    res.status(500).json({ error: "Error fetching shared quizzes" });
   }
+});
+
+mountSharing(router, auth, {
+  Model: Quiz,
+  path: "/:id",
+  basePath: "/api/quizzes",
+  label: "Quiz",
+  preview: quiz => ({
+    title: quiz.title,
+    subject: quiz.subject,
+    difficulty: quiz.difficulty,
+    timeLimit: quiz.timeLimit,
+    numQuestions: quiz.questions.length
+  }),
+  // The copy carries the answer key, so recipients get it on the same terms as /answer-key
+  canClone: async (quiz, userId) =>
+    (await QuizResult.exists({ quizId: quiz._id, userId })) ? null : "Submit an attempt before copying this quiz",
+  // A fresh copy: same questions and settings, no attempts, version 1
+  clone: (quiz, userId) => new Quiz({
+    userId,
+    title: quiz.title,
+    subject: quiz.subject,
+    difficulty: quiz.difficulty,
+    timeLimit: quiz.timeLimit,
+    numQuestions: quiz.questions.length,
+    questions: quiz.questions.map(q => {
+      const { _id, ...question } = q.toObject();
+      return question;
+    }),
+    questionTypes: quiz.questionTypes,
+    shortAnswerMarking: quiz.shortAnswerMarking,
+    maxAttempts: quiz.maxAttempts,
+    origin: quiz.origin
+  })
+});
 
+/* Manual creation */
+router.post("/create-quiz-manual", auth, validate(schemas.createManual), async (req, res) => {
   try {
-    const { title, subject, numQuestions, difficulty, timeLimit } = req.body;
-    const pdfFile = req.files?.pdfFile;
+    const parsed = parseQuestions(res, req.body.questions);
+    if (!parsed) return;
 
-    /* ---------- Input validation ---------- */
-    if (!pdfFile) return res.status(400).json({ error: "PDF file is required" });
-    if (pdfFile.mimetype !== "application/pdf")
-      return res.status(400).json({ error: "File must be a PDF" });
-    if (pdfFile.size > 5 * 1024 * 1024)
-      return res.status(400).json({ error: "File size exceeds 5 MB limit" });
-
-    /* ---------- Extract text from PDF ---------- */
-    let pdfText = "";
-    try {
-      const pdfParser = new PDFParser();
-      const pdfData = await new Promise((resolve, reject) => {
-        pdfParser.on("pdfParser_dataError", reject);
-        pdfParser.on("pdfParser_dataReady", resolve);
-        pdfParser.parseBuffer(pdfFile.data);
-      });
+    const quiz = new Quiz({
+      userId: req.user.userId,
+      ...settingsUpdate({ timeLimit: 0, ...req.body }),
+      numQuestions: parsed.length,
+      questionTypes: [...new Set(parsed.map(q => q.type))],
+      origin: "manual",
+      questions: parsed
+    });
+    await quiz.save();
 
-      for (const page of pdfData.Pages) {
-        for (const txt of page.Texts) {
-          pdfText += decodeURIComponent(txt.R[0].T) + " ";
-        }
-      }
-    } catch (e) {
-      console.error("PDF parsing error:", e);
-      return res.status(400).json({
-        error: "Failed to parse PDF. Ensure it is a text-based PDF."
-      });
-    }
+    res.json({ success: true, id: quiz._id, message: "Quiz created successfully" });
+  } catch (e) {
+    console.error("Create manual quiz error:", e);
+    res.status(500).json({ error: "Failed to save quiz" });
+  }
+});
 
-    if (!pdfText.trim())
-      return res.status(400).json({ error: "No text found in PDF." });
-
-    /* ---------- Build prompt ---------- */
-    const content = pdfText.substring(0, 30_000); // avoid token overflow
-    const prompt = `Generate ${numQuestions} multiple-choice questions for a quiz on "${subject}" at ${difficulty} difficulty level based on the following content:\n\n` +
-      `Each question must have:\n- question (string)\n- options (array of exactly 4 strings)\n- correctAnswer (index 0-3)\n\n` +
-      `Return ONLY a valid JSON array. No explanations.\n` +
-      `Example:\n[{"question":"What is 2+2?","options":["1","2","3","4"],"correctAnswer":3}]\n\n` +
-      `Content:\n${content}`;
-
-    /* ---------- Call ISI AI with retries + key rotation ---------- */
-    let rawResponse;
-    let attempts = 0;
-    const maxAttempts = 5;
-    let model = currentModel;
-
-    while (attempts < maxAttempts && model) {
-      try {
-        const result = await model.generateContent(prompt);
-        rawResponse = result.response.text();
-        break; // success
-      } catch (err) {
-        attempts++;
-        console.warn(`ISI AI attempt ${attempts} failed:`, err.message.slice(0, 120));
-
-        // try to rotate key
-        const rotated = await aiManager.rotateIfNeeded(err);
-        if (rotated) {
-          model = rotated;
-          attempts = 0;               // fresh attempt count for new key
-          await sleep(1000);
-          continue;
-        }
-
-        // transient back-off
-        const transient = [429, 500, 503].includes(err.status) ||
-          /quota|timeout/i.test(err.message);
-
-        if (transient && attempts < maxAttempts) {
-          const delay = Math.pow(2, attempts) * 1000;
-          console.warn(`ISI AI transient error – retry in ${delay / 1000}s`);
-          await sleep(delay);
-        } else {
-          break; // permanent failure
-        }
-      }
-    }
+/* Practice quiz from the caller's wrong answers (see GET /api/analytics/missed-questions).
+   mode "original" reuses the questions; "variants" queues AI generation of new
+   questions on the same concepts – poll GET /api/jobs/:id as for /generate-quiz */
+router.post("/from-mistakes", auth, validate(schemas.fromMistakes), async (req, res) => {
+  try {
+    const { options, error, field } = parseReviewRequest(req.body);
+    if (error) return invalid(res, field, error);
+
+    const mistakes = await collectMistakes(req.user.userId, options);
+    if (!mistakes.length)
+      return res.status(404).json({ error: `No mistakes to review${options.subject ? ` in ${options.subject}` : ""} yet` });
+
+    const labels = reviewLabels(mistakes);
+    const settings = settingsUpdate({
+      timeLimit: req.body.timeLimit ?? 0,
+      maxAttempts: req.body.maxAttempts,
+      shortAnswerMarking: req.body.shortAnswerMarking,
+      title: req.body.title || labels.title,
+      subject: labels.subject,
+      difficulty: labels.difficulty
+    });
 
-    if (!rawResponse) {
-      return res.status(500).json({
-        error: "ISI AI failed to generate quiz after retries and key rotations.",
-        suggestion: "Try later, reduce PDF size or number of questions."
+    if (options.mode === "original") {
+      const questions = reviewQuestions(mistakes);
+      const quiz = new Quiz({
+        userId: req.user.userId,
+        ...settings,
+        numQuestions: questions.length,
+        questionTypes: [...new Set(questions.map(q => q.type))],
+        origin: "review",
+        questions
       });
+      await quiz.save();
+      return res.status(201).json({ success: true, id: quiz._id, questions: questions.length, message: "Review quiz created" });
     }
 
-    /* ---------- Parse JSON response ---------- */
-    let questions;
-    try {
-      const cleaned = rawResponse
-        .replace(/^```json\s*/i, "")
-        .replace(/```$/g, "")
-        .trim();
-
-      questions = JSON.parse(cleaned);
-      if (!Array.isArray(questions) || questions.length === 0)
-        throw new Error("Empty or non-array response");
-
-      questions.forEach((q, i) => {
-        if (typeof q.question !== "string")
-          throw new Error(`Q${i}: missing/invalid question`);
-        if (!Array.isArray(q.options) || q.options.length !== 4)
-          throw new Error(`Q${i}: must have exactly 4 options`);
-        if (!Number.isInteger(q.correctAnswer) || q.correctAnswer < 0 || q.correctAnswer > 3)
-          throw new Error(`Q${i}: invalid correctAnswer`);
-      });
-    } catch (e) {
-      console.warn("ISI AI returned invalid JSON:", rawResponse.slice(0, 500));
-      return res.status(500).json({
-        error: "ISI AI returned invalid quiz format.",
-        debug: rawResponse.slice(0, 500)
-      });
-    }
+    // Same question types as the mistakes unless asked otherwise
+    const mix = req.body.questionTypes
+      ? parseTypeMix(req.body.questionTypes)
+      : { types: [...new Set(mistakes.map(m => m.question.type))] };
+    if (mix.error) return invalid(res, "questionTypes", mix.error);
 
-    /* ---------- Save quiz to DB ---------- */
-    const quiz = new Quiz({
+    const job = await enqueue({
       userId: req.user.userId,
-      title,
-      subject,
-      difficulty,
-      timeLimit: parseInt(timeLimit, 10),
-      numQuestions: parseInt(numQuestions, 10),
-      questions
+      kind: "quiz",
+      params: {
+        ...settings,
+        numQuestions: req.body.numQuestions || mistakes.length,
+        questionTypes: mix.types,
+        fromMistakes: true
+      },
+      text: mistakesAsText(mistakes)
     });
-    await quiz.save();
 
-    return res.json({
+    res.status(202).json({
       success: true,
-      id: quiz._id,
-      message: "Quiz generated successfully"
+      jobId: job._id,
+      status: job.status,
+      statusUrl: `/api/jobs/${job._id}`,
+      mistakes: mistakes.length,
+      message: "Review quiz generation started"
     });
-  } catch (err) {
-    console.error("Generate-quiz error:", err);
-    return res.status(500).json({ error: "Internal server error: " + err.message });
+  } catch (e) {
+    console.error("Review quiz error:", e);
+    res.status(500).json({ error: "Failed to build review quiz" });
   }
 });
 
-/* ==============================================================
-   OTHER ROUTES (unchanged, just minor comment cleanup)
-   ============================================================== */
+/* Edit quiz settings – title, subject, difficulty, timeLimit, maxAttempts, shortAnswerMarking */
+router.patch("/:id", auth, validate(schemas.update), ownQuiz, async (req, res) => {
+  try {
+    const quiz = req.resource;
+    quiz.set({ ...settingsUpdate(req.body), updatedAt: new Date() });
+    await quiz.save();
+
+    res.json({ success: true, message: "Quiz updated", quiz: quiz.toAttemptView() });
+  } catch (e) {
+    console.error("Update quiz error:", e);
+    res.status(500).json({ error: "Error updating quiz" });
+  }
+});
 
-/* List user's quiz sets */
-router.get("/sets", auth, async (req, res) => {
+/* Add a question – appended, or inserted at `position` */
+router.post("/:id/questions", auth, validate(schemas.addQuestion), ownQuiz, async (req, res) => {
   try {
-    const quizzes = await Quiz.find({ userId: req.user.userId }).sort({ createdAt: -1 });
-    const results = await QuizResult.find({ userId: req.user.userId }).select("quizId score");
-
-    const map = {};
-    results.forEach(r => (map[r.quizId] = r.score));
-
-    const formatted = quizzes.map(q => ({
-      id: q._id,
-      title: q.title,
-      subject: q.subject,
-      difficulty: q.difficulty,
-      timeLimit: q.timeLimit,
-      numQuestions: q.numQuestions,
-      score: map[q._id] ?? null,
-      maxScore: 100,
-      createdAt: q.createdAt,
-      status: map[q._id] !== undefined ? "completed" : "pending"
-    }));
+    const quiz = req.resource;
+
+    const [parsed] = parseQuestions(res, [req.body], "question") ?? [];
+    if (!parsed) return;
+
+    if (quiz.questions.length >= MAX_QUESTIONS)
+      return invalid(res, "id", `A quiz can have at most ${MAX_QUESTIONS} questions`, { location: "params", code: "too_long" });
+    const at = req.body.position ?? quiz.questions.length;
+    if (at > quiz.questions.length) return invalid(res, "position", `position must be between 0 and ${quiz.questions.length}`);
+
+    await beginQuestionEdit(quiz);
+    quiz.questions.splice(at, 0, parsed);
+    quiz.numQuestions = quiz.questions.length;
+    await quiz.save();
 
-    res.json({ success: true, quizzes: formatted });
+    res.status(201).json({ success: true, version: quiz.version, question: editedQuestion(quiz.questions[at], req.body) });
   } catch (e) {
-    console.error("Fetch sets error:", e);
-    res.status(500).json({ error: "Error fetching quizzes" });
+    console.error("Add question error:", e);
+    res.status(500).json({ error: "Error adding question" });
+  }
+});
+
+/* Reorder questions – body { order: [questionId, ...] } listing every question once */
+router.put("/:id/questions/order", auth, validate(schemas.reorderQuestions), ownQuiz, async (req, res) => {
+  try {
+    const quiz = req.resource;
+
+    const { order } = req.body;
+    const ids = quiz.questions.map(q => q._id.toString());
+    if (order.length !== ids.length || new Set(order).size !== ids.length || !order.every(id => ids.includes(id)))
+      return invalid(res, "order", "order must list every question id exactly once");
+
+    await beginQuestionEdit(quiz);
+    const byId = new Map(quiz.questions.map(q => [q._id.toString(), q.toObject()]));
+    quiz.questions = order.map(id => byId.get(id));
+    await quiz.save();
+
+    res.json({ success: true, version: quiz.version, order: quiz.questions.map(q => q._id) });
+  } catch (e) {
+    console.error("Reorder questions error:", e);
+    res.status(500).json({ error: "Error reordering questions" });
+  }
+});
+
+/* Edit one question – fields not sent keep their current values */
+router.patch("/:id/questions/:questionId", auth, validate(schemas.editQuestion), ownQuiz, async (req, res) => {
+  try {
+    const quiz = req.resource;
+
+    const existing = quiz.questions.id(req.params.questionId);
+    if (!existing) return res.status(404).json({ error: "Question not found in this quiz" });
+
+    const { _id, source, ...current } = existing.toObject();
+    const [parsed] = parseQuestions(res, [{ ...current, ...req.body }], "question") ?? [];
+    if (!parsed) return;
+
+    await beginQuestionEdit(quiz);
+    const idx = quiz.questions.findIndex(q => q._id.equals(_id));
+    quiz.questions.set(idx, { _id, ...parsed, source });
+    await quiz.save();
+
+    res.json({ success: true, version: quiz.version, question: editedQuestion(quiz.questions[idx], req.body) });
+  } catch (e) {
+    console.error("Edit question error:", e);
+    res.status(500).json({ error: "Error editing question" });
   }
 });
 
-/* Get single quiz */
-router.get("/:id", auth, async (req, res) => {
+/* Delete one question */
+router.delete("/:id/questions/:questionId", auth, validate(schemas.deleteQuestion), ownQuiz, async (req, res) => {
   try {
-    const quiz = await Quiz.findOne({ _id: req.params.id, userId: req.user.userId });
+    const quiz = req.resource;
+
+    const question = quiz.questions.id(req.params.questionId);
+    if (!question) return res.status(404).json({ error: "Question not found in this quiz" });
+    if (quiz.questions.length === 1)
+      return invalid(res, "questionId", "A quiz needs at least one question – delete the quiz instead", { location: "params" });
+
+    await beginQuestionEdit(quiz);
+    quiz.questions.pull(question._id);
+    quiz.numQuestions = quiz.questions.length;
+    await quiz.save();
+
+    res.json({ success: true, version: quiz.version, message: "Question deleted" });
+  } catch (e) {
+    console.error("Delete question error:", e);
+    res.status(500).json({ error: "Error deleting question" });
+  }
+});
+
+/* Get single quiz – attempt view, answer key stripped */
+router.get("/:id", auth, validate(schemas.get), async (req, res) => {
+  try {
+    const quiz = await Quiz.findOne({ _id: req.params.id, ...accessibleBy(req.user.userId) });
     if (!quiz) return res.status(404).json({ error: "Quiz not found" });
-    res.json({ success: true, quiz });
+    res.json({ success: true, quiz: quiz.toAttemptView() });
   } catch (e) {
     console.error("Fetch quiz error:", e);
     res.status(500).json({ error: "Error fetching quiz" });
   }
 });
 
-/* Save quiz result */
-router.post("/quiz-results", auth, async (req, res) => {
+/* Get full quiz incl. answer key – only once the user has submitted a result,
+   or straight away on a quiz they wrote themselves (as with /pdf below) */
+router.get("/:id/answer-key", auth, validate(schemas.answerKey), async (req, res) => {
+  try {
+    const quiz = await Quiz.findOne({ _id: req.params.id, ...accessibleBy(req.user.userId) });
+    if (!quiz) return res.status(404).json({ error: "Quiz not found" });
+
+    const authored = quiz.origin === "manual" && !quiz.clonedFrom && isOwner(quiz, req.user.userId);
+    const attempted = authored || await QuizResult.exists({ quizId: quiz._id, userId: req.user.userId });
+    if (!attempted)
+      return res.status(403).json({ error: "Submit an attempt before viewing the answer key" });
+
+    res.json({ success: true, quiz: answerKeyView(quiz, req.user.userId) });
+  } catch (e) {
+    console.error("Fetch answer key error:", e);
+    res.status(500).json({ error: "Error fetching answer key" });
+  }
+});
+
+/* Printable PDF – ?include=worksheet,answer-key&hideAnswers=false&shuffle=true&seed=&pageSize=a4|letter.
+   Answers follow the answer-key rule above (quizzes the user wrote themselves – not
+   ones shared with or cloned by them – need no attempt).
+   Pass the returned X-Shuffle-Seed back as `seed` to print a matching key. */
+router.get("/:id/pdf", auth, validate(schemas.pdf), async (req, res) => {
   try {
-    const { quizId, score, answers, timeSpent } = req.body;
-    const quiz = await Quiz.findOne({ _id: quizId, userId: req.user.userId });
+    const options = parsePrintOptions(req.query);
+
+    const quiz = await Quiz.findOne({ _id: req.params.id, ...accessibleBy(req.user.userId) });
     if (!quiz) return res.status(404).json({ error: "Quiz not found" });
 
-    const result = new QuizResult({
+    const showsAnswers = options.include.includes("answer-key") || options.hideAnswers === false;
+    const authored = quiz.origin === "manual" && !quiz.clonedFrom && isOwner(quiz, req.user.userId);
+    if (showsAnswers && !authored) {
+      const attempted = await QuizResult.exists({ quizId: quiz._id, userId: req.user.userId });
+      if (!attempted)
+        return res.status(403).json({ error: "Submit an attempt before printing the answer key" });
+    }
+
+    const { data, seed } = await quizPdf(quiz, options);
+    const name = quiz.title.replace(/[^\w\- ]+/g, "").trim() || "quiz";
+    const suffix = options.include.length === 1 && options.include[0] === "answer-key" ? " - answer key" : "";
+    res.set({
+      "Content-Type": "application/pdf",
+      "Content-Disposition": `attachment; filename="${name}${suffix}.pdf"`,
+      ...(seed !== null ? { "X-Shuffle-Seed": String(seed) } : {})
+    });
+    res.send(Buffer.from(data));
+  } catch (e) {
+    console.error("Quiz PDF export error:", e);
+    res.status(500).json({ error: "Error exporting quiz PDF" });
+  }
+});
+
+/* Start (or resume) a timed attempt – the server owns the clock */
+router.post("/:id/start", auth, validate(schemas.start), async (req, res) => {
+  try {
+    const quiz = await Quiz.findOne({ _id: req.params.id, ...accessibleBy(req.user.userId) });
+    if (!quiz) return res.status(404).json({ error: "Quiz not found" });
+
+    const now = new Date();
+    let session = await QuizSession.findOne({
+      quizId: quiz._id,
       userId: req.user.userId,
-      quizId,
-      score,
-      answers,
-      timeSpent
+      status: "in-progress"
     });
-    await result.save();
 
-    res.json({ success: true, message: "Quiz result saved successfully" });
+    // A session started before the quiz was edited can't be submitted any more
+    if (session && (isPastDeadline(session, now.getTime()) || session.quizVersion !== quiz.version)) {
+      session.status = "expired";
+      await session.save();
+      session = null;
+    }
+
+    if (!session) {
+      const previousAttempts = await QuizResult.countDocuments({ quizId: quiz._id, userId: req.user.userId });
+      const limit = attemptLimitFor(quiz);
+      if (limit && previousAttempts >= limit)
+        return res.status(403).json({ error: `Attempt limit reached (${limit})` });
+
+      session = new QuizSession({
+        userId: req.user.userId,
+        quizId: quiz._id,
+        quizVersion: quiz.version,
+        startedAt: now,
+        deadline: quiz.timeLimit > 0 ? new Date(now.getTime() + quiz.timeLimit * 60 * 1000) : null
+      });
+      await session.save();
+    }
+
+    // The quiz's own status tracks the owner; recipients have their sessions and results
+    if (isOwner(quiz, req.user.userId) && quiz.status !== "in-progress") {
+      quiz.status = "in-progress";
+      await quiz.save();
+    }
+
+    res.json({
+      success: true,
+      sessionId: session._id,
+      startedAt: session.startedAt,
+      deadline: session.deadline,
+      serverTime: now,
+      savedAnswers: session.answers ?? null,
+      quiz: quiz.toAttemptView()
+    });
   } catch (e) {
+    console.error("Start quiz error:", e);
+    res.status(500).json({ error: "Error starting quiz" });
+  }
+});
+
+/* Save in-progress answers – only accepted before the deadline */
+router.put("/sessions/:sessionId/answers", auth, validate(schemas.saveAnswers), async (req, res) => {
+  try {
+    const session = await QuizSession.findOne({ _id: req.params.sessionId, userId: req.user.userId });
+    if (!session) return res.status(404).json({ error: "Session not found" });
+    if (session.status !== "in-progress")
+      return res.status(409).json({ error: `Session is ${session.status}` });
+
+    const now = new Date();
+    if (isPastDeadline(session, now.getTime()))
+      return res.status(409).json({ error: "Time is up for this attempt", deadline: session.deadline });
+
+    const quiz = await Quiz.findOne({ _id: session.quizId, ...accessibleBy(req.user.userId) });
+    if (!quiz) return res.status(404).json({ error: "Quiz not found" });
+    if (session.quizVersion !== quiz.version)
+      return res.status(409).json({ error: "The quiz was edited after this attempt started – start again" });
+
+    const { answers } = req.body;
+    const answersError = validateAnswers(quiz, answers);
+    if (answersError) return invalid(res, "answers", answersError);
+
+    session.answers = answers;
+    session.answersSavedAt = now;
+    await session.save();
+
+    res.json({ success: true, savedAt: now, deadline: session.deadline });
+  } catch (e) {
+    console.error("Save answers error:", e);
+    res.status(500).json({ error: "Error saving answers" });
+  }
+});
+
+/* Give a claimed session back when its submit fails, so it can be retried */
+const releaseSession = session =>
+  QuizSession.updateOne({ _id: session._id, status: "submitting" }, { $set: { status: "in-progress" } })
+    .catch(err => console.error("Release session error:", err));
+
+/* Grade a claimed session and save the result – `result` is null when the
+   attempt limit has been reached */
+const gradeAttempt = async (quiz, session, answers) => {
+  const limit = attemptLimitFor(quiz);
+  const previousAttempts = await QuizResult.countDocuments({ quizId: quiz._id, userId: session.userId });
+  if (limit && previousAttempts >= limit) return { result: null, limit };
+
+  const now = new Date();
+  const late = isPastDeadline(session, now.getTime());
+  const cutOff = late && LATE_POLICY === "cutoff";
+  if (cutOff) {
+    // Only what was saved in time counts; anything else is unanswered
+    answers = session.answers?.length ? session.answers : quiz.questions.map(() => null);
+  }
+
+  const endedAt = cutOff ? session.deadline : now;
+  const timeSpent = Math.max(0, Math.round((endedAt - session.startedAt) / 1000));
+
+  const graded = await gradeQuiz(quiz, answers);
+
+  const result = await saveAttempt(new QuizResult({
+    userId: session.userId,
+    quizId: quiz._id,
+    quizVersion: quiz.version,
+    subject: quiz.subject,
+    score: graded.score,
+    correctCount: graded.correctCount,
+    totalQuestions: graded.totalQuestions,
+    answers,
+    questionResults: graded.breakdown.map(b => ({ correct: b.correct, markedBy: b.markedBy, feedback: b.feedback })),
+    timeSpent,
+    sessionId: session._id,
+    late
+  }), { limit });
+  return { result, graded, now, late, cutOff, timeSpent, limit };
+};
+
+/* Submit an attempt – graded on the server from the stored answer key,
+   timed against the session started with POST /:id/start */
+router.post("/quiz-results", auth, validate(schemas.submit), async (req, res) => {
+  try {
+    const { quizId, sessionId, answers } = req.body;
+
+    const quiz = await Quiz.findOne({ _id: quizId, ...accessibleBy(req.user.userId) });
+    if (!quiz) return res.status(404).json({ error: "Quiz not found" });
+
+    const session = await QuizSession.findOne({ _id: sessionId, quizId, userId: req.user.userId });
+    if (!session) return res.status(404).json({ error: "Session not found" });
+    if (session.status !== "in-progress")
+      return res.status(409).json({ error: `Session is ${session.status}` });
+    if (session.quizVersion !== quiz.version)
+      return res.status(409).json({ error: "The quiz was edited after this attempt started – start again" });
+
+    const answersError = validateAnswers(quiz, answers);
+    if (answersError) return invalid(res, "answers", answersError);
+
+    // Claim the session before grading, so a repeated submit can't be graded twice
+    const claimed = await QuizSession.findOneAndUpdate(
+      { _id: session._id, userId: req.user.userId, status: "in-progress" },
+      { $set: { status: "submitting" } }
+    );
+    if (!claimed) return res.status(409).json({ error: "This attempt is already being submitted" });
+
+    const { result, graded, now, late, cutOff, timeSpent, limit } = await gradeAttempt(quiz, session, answers)
+      .catch(async e => {
+        await releaseSession(session);
+        throw e;
+      });
+    if (!result) {
+      await releaseSession(session);
+      return res.status(403).json({ error: `Attempt limit reached (${limit})` });
+    }
+
+    // The attempt is saved either way; drifted totals can be fixed with POST /api/admin/stats/rebuild
+    await recordResult(result, quiz).catch(err => console.error("Stats update error:", err));
+    await recordActivity(req.user.userId, { quizzesTaken: 1, timeSpent }, now)
+      .catch(err => console.error("Streak update error:", err));
+
+    session.status = "submitted";
+    session.submittedAt = now;
+    session.resultId = result._id;
+    await session.save();
+
+    if (isOwner(quiz, req.user.userId)) {
+      quiz.status = "completed";
+      await quiz.save();
+    }
+
+    res.json({
+      success: true,
+      message: "Quiz result saved successfully",
+      resultId: result._id,
+      attemptNumber: result.attemptNumber,
+      score: graded.score,
+      percentage: graded.percentage,
+      correctCount: graded.correctCount,
+      totalQuestions: graded.totalQuestions,
+      timeSpent,
+      late,
+      cutOff,
+      results: graded.breakdown
+    });
+  } catch (e) {
+    if (e.code === 11000)
+      return res.status(409).json({ error: "Another attempt was submitted at the same time – try again" });
     console.error("Save result error:", e);
     res.status(500).json({ error: "Error saving quiz result" });
   }
 });
 
-/* Get result by quiz id */
-router.get("/quiz-results/:quizId", auth, async (req, res) => {
+/* Get latest result by quiz id – includes the answer key now that it's been attempted */
+router.get("/quiz-results/:quizId", auth, validate(schemas.latestResult), async (req, res) => {
   try {
-    const result = await QuizResult.findOne({
-      quizId: req.params.quizId,
-      userId: req.user.userId
-    });
+    const filter = { quizId: req.params.quizId, userId: req.user.userId };
+    const result = await QuizResult.findOne(filter).sort({ attemptNumber: -1 });
     if (!result) return res.status(404).json({ error: "Result not found" });
-    res.json({ success: true, result });
+
+    // Answer key as it was when this attempt was taken
+    const quiz = await Quiz.findOne({ _id: req.params.quizId, ...accessibleBy(req.user.userId) });
+    const takenAgainst = quiz ? answerKeyView(await quizAtVersion(quiz, result.quizVersion), req.user.userId) : null;
+    res.json({ success: true, result, attempts: result.attemptNumber, quiz: takenAgainst });
   } catch (e) {
     console.error("Fetch result error:", e);
     res.status(500).json({ error: "Server error" });
   }
 });
 
-/* Delete quiz + its results */
-router.delete("/sets/:id", auth, async (req, res) => {
+/* Full attempt history for a quiz, oldest first */
+router.get("/quiz-results/:quizId/attempts", auth, validate(schemas.attempts), async (req, res) => {
   try {
-    const quiz = await Quiz.findOneAndDelete({
-      _id: req.params.id,
-      userId: req.user.userId
-    });
+    const quiz = await Quiz.findOne({ _id: req.params.quizId, ...accessibleBy(req.user.userId) });
     if (!quiz) return res.status(404).json({ error: "Quiz not found" });
 
+    const results = await QuizResult.find({ quizId: quiz._id, userId: req.user.userId })
+      .sort({ attemptNumber: 1 });
+
+    const attempts = results.map(r => ({
+      id: r._id,
+      attemptNumber: r.attemptNumber,
+      quizVersion: r.quizVersion,
+      score: r.score,
+      correctCount: r.correctCount,
+      totalQuestions: r.totalQuestions,
+      answers: r.answers,
+      timeSpent: r.timeSpent,
+      late: r.late,
+      createdAt: r.createdAt
+    }));
+
+    res.json({
+      success: true,
+      quizId: quiz._id,
+      maxAttempts: attemptLimitFor(quiz),
+      attempts
+    });
+  } catch (e) {
+    console.error("Fetch attempts error:", e);
+    res.status(500).json({ error: "Error fetching attempts" });
+  }
+});
+
+/* Delete quiz + its results and any classroom assignments of it */
+router.delete("/sets/:id", auth, validate(schemas.remove), ownQuiz, async (req, res) => {
+  try {
+    const quiz = req.resource;
+    await quiz.deleteOne();
+
     await QuizResult.deleteMany({ quizId: req.params.id });
+    await QuizSession.deleteMany({ quizId: req.params.id });
+    await QuizVersion.deleteMany({ quizId: req.params.id });
+    await Assignment.deleteMany({ kind: "quiz", itemId: quiz._id });
     res.json({ success: true, message: "Quiz deleted successfully" });
   } catch (e) {
     console.error("Delete quiz error:", e);
@@ -0,0 +1,40 @@
+// routes/study.js
+// Streaks and daily goals. Activity is recorded by the quiz and flashcard routes.
+const express = require("express");
+const router = express.Router();
+const auth = require("../middlewares/auth");
+const validate = require("../middlewares/validate");
+const schemas = require("../validators/study");
+const User = require("../models/User");
+const { studySummary, goalUpdate } = require("../utils/streaks");
+
+const STUDY_FIELDS = "timezone dailyGoal streak";
+
+/* Streak, today's progress against the daily goal and a day-by-day history – ?days=30 */
+router.get("/", auth, validate(schemas.get), async (req, res) => {
+  try {
+    const { days } = req.query;
+    const user = await User.findById(req.user.userId).select(STUDY_FIELDS);
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    res.json({ success: true, ...(await studySummary(user, days)) });
+  } catch (e) {
+    console.error("Study summary error:", e);
+    res.status(500).json({ error: "Failed to fetch study summary" });
+  }
+});
+
+/* Set daily goals – { cardsReviewed, quizzesTaken, timezone }; 0 clears a goal */
+router.put("/goals", auth, validate(schemas.setGoals), async (req, res) => {
+  try {
+    const user = await User.findByIdAndUpdate(req.user.userId, { $set: goalUpdate(req.body) }, { new: true }).select(STUDY_FIELDS);
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    res.json({ success: true, message: "Goals updated", ...(await studySummary(user, 1)) });
+  } catch (e) {
+    console.error("Update goals error:", e);
+    res.status(500).json({ error: "Failed to update goals" });
+  }
+});
+
+module.exports = router;
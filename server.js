@@ -5,6 +5,20 @@ const authRoutes = require('./routes/auth');
 const dashboardRoutes = require('./routes/dashboard');
 const quizRoutes = require('./routes/quizzes');
 const flashcardRoutes = require('./routes/flashcards');
+const jobRoutes = require('./routes/jobs');
+const classroomRoutes = require('./routes/classrooms');
+const adminRoutes = require('./routes/admin');
+const leaderboardRoutes = require('./routes/leaderboards');
+const analyticsRoutes = require('./routes/analytics');
+const studyRoutes = require('./routes/study');
+const notificationRoutes = require('./routes/notifications');
+const { startJobWorker } = require('./utils/jobQueue');
+const { startReminderScheduler } = require('./utils/reminders');
+const { backfillAttemptNumbers } = require('./utils/attempts');
+const { rebuildStatsIfEmpty } = require('./utils/leaderboards');
+const { buildOpenApi } = require('./utils/openapi');
+const { invalid } = require('./middlewares/validate');
+const { MAX_UPLOAD_BYTES, MAX_JSON_BYTES } = require('./config/uploads');
 const fileUpload = require('express-fileupload');
 const cors = require('cors');
 require('dotenv').config();
@@ -18,8 +32,9 @@ app.use(
   cors({
     origin: true,               // reflect the request origin (allows any)
     credentials: true,          // allow cookies / Authorization header
-    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+    methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
     allowedHeaders: ['Content-Type', 'Authorization'],
+    exposedHeaders: ['Content-Disposition', 'X-Shuffle-Seed'], // file downloads
   })
 );
 
@@ -42,11 +57,20 @@ app.use((req, res, next) => {
 // 3. Other middleware
 // -------------------------------------------------
 connectDB();
+startJobWorker();
+startReminderScheduler();
+// Number quiz results saved before attempts were numbered, then build the
+// leaderboards from them if there are none yet (boards count first attempts)
+backfillAttemptNumbers()
+  .then(({ numbered }) => numbered && console.log(`Numbered ${numbered} earlier quiz attempts`))
+  .then(rebuildStatsIfEmpty)
+  .then(rebuilt => rebuilt && console.log(`Built stats for ${rebuilt.users} users, ${rebuilt.entries} leaderboard entries`))
+  .catch(err => console.error('Attempt number backfill / stats rebuild error:', err));
 
-app.use(express.json());
+app.use(express.json({ limit: MAX_JSON_BYTES })); // room for pasted study text
 app.use(
   fileUpload({
-    limits: { fileSize: 5 * 1024 * 1024 },
+    limits: { fileSize: MAX_UPLOAD_BYTES },
     abortOnLimit: true,
     useTempFiles: false,
     safeFileNames: true,
@@ -57,10 +81,24 @@ app.use(
 // -------------------------------------------------
 // 4. Routes
 // -------------------------------------------------
-app.use('/api/auth', authRoutes);
-app.use('/api/dashboard', dashboardRoutes);
-app.use('/api/quizzes', quizRoutes);
-app.use('/api/flashcards', flashcardRoutes);
+const routes = [
+  ['/api/auth', authRoutes],
+  ['/api/dashboard', dashboardRoutes],
+  ['/api/quizzes', quizRoutes],
+  ['/api/flashcards', flashcardRoutes],
+  ['/api/jobs', jobRoutes],
+  ['/api/classrooms', classroomRoutes],
+  ['/api/admin', adminRoutes],
+  ['/api/leaderboards', leaderboardRoutes],
+  ['/api/analytics', analyticsRoutes],
+  ['/api/study', studyRoutes],
+  ['/api/notifications', notificationRoutes],
+];
+routes.forEach(([path, router]) => app.use(path, router));
+
+// API description built from the routes' validation schemas (utils/openapi.js)
+let openApi;
+app.get('/api/openapi.json', (req, res) => res.json((openApi ??= buildOpenApi(routes))));
 
 // -------------------------------------------------
 // 5. Global error handler (still sends CORS headers)
@@ -72,6 +110,7 @@ app.use((err, req, res, next) => {
   if (origin) res.setHeader('Access-Control-Allow-Origin', origin);
   res.setHeader('Access-Control-Allow-Credentials', 'true');
 
+  if (err.type === 'entity.parse.failed') return invalid(res, null, 'Request body is not valid JSON', { code: 'invalid_json' });
   res.status(err.status || 500).json({ error: err.message || 'Something went wrong!' });
 });
 
@@ -0,0 +1,48 @@
+// utils/accountTokens.js
+// Issue and redeem the single-use tokens behind email verification and
+// password reset links.
+const crypto = require("crypto");
+const AccountToken = require("../models/AccountToken");
+
+const MINUTE_MS = 60 * 1000;
+const TTL_MINUTES = {
+  "verify-email": parseInt(process.env.EMAIL_VERIFICATION_TTL_MINUTES, 10) || 24 * 60,
+  "reset-password": parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 60,
+};
+const RESEND_COOLDOWN_MS = MINUTE_MS;
+
+const hashToken = token => crypto.createHash("sha256").update(String(token)).digest("hex");
+
+/**
+ * Create a token for `purpose`, replacing any earlier unused one so only the
+ * newest link works. Returns { token, expiresAt }, or null when one was issued
+ * less than a minute ago (stops a form being used to flood an inbox).
+ */
+const issueToken = async (userId, purpose) => {
+  const recent = await AccountToken.exists({
+    userId, purpose, usedAt: null, createdAt: { $gt: new Date(Date.now() - RESEND_COOLDOWN_MS) }
+  });
+  if (recent) return null;
+
+  await AccountToken.deleteMany({ userId, purpose, usedAt: null });
+  const token = crypto.randomBytes(32).toString("base64url");
+  const expiresAt = new Date(Date.now() + TTL_MINUTES[purpose] * MINUTE_MS);
+  await AccountToken.create({ userId, purpose, tokenHash: hashToken(token), expiresAt });
+  return { token, expiresAt };
+};
+
+/* Mark a valid token used and return its user id – null if unknown, used or expired */
+const redeemToken = async (token, purpose) => {
+  if (typeof token !== "string" || !token) return null;
+  const now = new Date();
+  const record = await AccountToken.findOneAndUpdate(
+    { tokenHash: hashToken(token), purpose, usedAt: null, expiresAt: { $gt: now } },
+    { $set: { usedAt: now } }
+  );
+  return record ? record.userId : null;
+};
+
+/* Drop outstanding tokens, e.g. reset links once the password has changed */
+const revokeTokens = (userId, purpose) => AccountToken.deleteMany({ userId, purpose, usedAt: null });
+
+module.exports = { TTL_MINUTES, issueToken, redeemToken, revokeTokens };
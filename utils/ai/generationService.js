@@ -0,0 +1,192 @@
+// utils/ai/generationService.js
+// One place for AI generation: retries, key rotation, key health and
+// JSON validation. Routes call generateJSON(prompt, schema) and never
+// talk to a model SDK directly.
+
+class GenerationError extends Error {
+  /**
+   * @param {string} message
+   * @param {"NOT_CONFIGURED"|"GENERATION_FAILED"|"INVALID_RESPONSE"} code
+   * @param {string} [raw] raw model output, for debugging invalid responses
+   */
+  constructor(message, code, raw) {
+    super(message);
+    this.name = "GenerationError";
+    this.code = code;
+    this.raw = raw;
+  }
+}
+
+const defaultSleep = ms => new Promise(res => setTimeout(res, ms));
+
+const isRateLimit = err =>
+  err.status === 429 ||
+  /quota/i.test(err.message) ||
+  /RATE_LIMIT/i.test(err.message) ||
+  /429/i.test(err.message);
+
+const isTransient = err =>
+  [429, 500, 503].includes(err.status) ||
+  /quota|timeout/i.test(err.message);
+
+/* Strip ```json fences and surrounding whitespace from a model reply */
+const cleanJSON = raw =>
+  raw
+    .replace(/^\s*```(?:json)?\s*/i, "")
+    .replace(/```\s*$/g, "")
+    .trim();
+
+class GenerationService {
+  /**
+   * @param {object} options
+   * @param {{name: string, keys: Array, generate: (prompt: string, key: any) => Promise<string>}} options.provider
+   * @param {number} [options.maxAttempts=5]  attempts per key before giving up
+   * @param {number} [options.baseDelayMs=1000] back-off base, doubled per attempt
+   * @param {number} [options.cooldownMs=60000] how long a rate-limited key is skipped
+   * @param {number} [options.validationRetries=1] extra calls when the reply fails the schema
+   * @param {(ms: number) => Promise<void>} [options.sleep]
+   */
+  constructor({ provider, maxAttempts = 5, baseDelayMs = 1000, cooldownMs = 60_000, validationRetries = 1, sleep = defaultSleep }) {
+    this.provider = provider;
+    this.maxAttempts = maxAttempts;
+    this.baseDelayMs = baseDelayMs;
+    this.cooldownMs = cooldownMs;
+    this.validationRetries = validationRetries;
+    this.sleep = sleep;
+    this.currentIdx = 0;
+    this.keyHealth = (provider?.keys || []).map(() => ({
+      successes: 0,
+      failures: 0,
+      cooldownUntil: 0,
+      lastError: null
+    }));
+  }
+
+  isConfigured() {
+    return Boolean(this.provider) && this.keyHealth.length > 0;
+  }
+
+  /** Per-key health snapshot (keys themselves are never exposed) */
+  health() {
+    return this.keyHealth.map((h, i) => ({ key: i + 1, ...h, current: i === this.currentIdx }));
+  }
+
+  /** Move to the next key that isn't cooling down; false if none is left */
+  rotate(now = Date.now()) {
+    for (let step = 1; step < this.keyHealth.length; step++) {
+      const idx = (this.currentIdx + step) % this.keyHealth.length;
+      if (this.keyHealth[idx].cooldownUntil <= now) {
+        this.currentIdx = idx;
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Raw text generation with retries, back-off and key rotation.
+   * `context` is handed to the provider untouched (the stub uses the schema).
+   */
+  async generateText(prompt, context = {}) {
+    if (!this.isConfigured())
+      throw new GenerationError("ISI AI model not initialised.", "NOT_CONFIGURED");
+
+    const label = this.provider.name;
+    let attempts = 0;
+
+    while (attempts < this.maxAttempts) {
+      const health = this.keyHealth[this.currentIdx];
+      try {
+        const text = await this.provider.generate(prompt, this.provider.keys[this.currentIdx], context);
+        health.successes++;
+        return text;
+      } catch (err) {
+        attempts++;
+        health.failures++;
+        health.lastError = err.message.slice(0, 200);
+        console.warn(`ISI AI (${label}) attempt ${attempts} failed:`, err.message.slice(0, 120));
+
+        if (isRateLimit(err) && this.keyHealth.length > 1) {
+          health.cooldownUntil = Date.now() + this.cooldownMs;
+          console.warn(`ISI AI rate-limit on key #${this.currentIdx + 1}. Rotating...`);
+          if (!this.rotate())
+            throw new GenerationError("All API keys exhausted.", "GENERATION_FAILED");
+          attempts = 0;               // fresh attempt count for new key
+          await this.sleep(this.baseDelayMs);
+          continue;
+        }
+
+        if (isTransient(err) && attempts < this.maxAttempts) {
+          const delay = Math.pow(2, attempts) * this.baseDelayMs;
+          console.warn(`ISI AI transient error – retry in ${delay / 1000}s`);
+          await this.sleep(delay);
+        } else {
+          break; // permanent failure
+        }
+      }
+    }
+
+    throw new GenerationError("ISI AI failed to generate content after retries and key rotations.", "GENERATION_FAILED");
+  }
+
+  /**
+   * Generate and parse a JSON reply, then run it through `schema`.
+   * `schema` receives the parsed value and returns the (possibly normalised)
+   * value, or throws with a message describing what is wrong.
+   */
+  async generateJSON(prompt, schema = data => data) {
+    let lastRaw = "";
+    for (let round = 0; round <= this.validationRetries; round++) {
+      lastRaw = await this.generateText(prompt, { schema });
+      try {
+        return schema(JSON.parse(cleanJSON(lastRaw)));
+      } catch (e) {
+        console.warn(`ISI AI returned invalid JSON (${e.message}):`, lastRaw.slice(0, 500));
+      }
+    }
+    throw new GenerationError("ISI AI returned an invalid response format.", "INVALID_RESPONSE", lastRaw.slice(0, 500));
+  }
+}
+
+/**
+ * Several services tried in order – when one provider fails (outage,
+ * exhausted keys, unusable output) the next one gets the same prompt.
+ */
+class FallbackGenerationService {
+  constructor(services) {
+    this.services = services;
+  }
+
+  isConfigured() {
+    return this.services.some(s => s.isConfigured());
+  }
+
+  health() {
+    return this.services.map(s => ({ provider: s.provider.name, keys: s.health() }));
+  }
+
+  async run(method, args) {
+    let lastError = new GenerationError("ISI AI model not initialised.", "NOT_CONFIGURED");
+    for (const service of this.services) {
+      if (!service.isConfigured()) continue;
+      try {
+        return await service[method](...args);
+      } catch (err) {
+        if (!(err instanceof GenerationError)) throw err;
+        console.warn(`ISI AI provider ${service.provider.name} failed (${err.code}) – trying next provider`);
+        lastError = err;
+      }
+    }
+    throw lastError;
+  }
+
+  generateText(prompt, context) {
+    return this.run("generateText", [prompt, context]);
+  }
+
+  generateJSON(prompt, schema) {
+    return this.run("generateJSON", [prompt, schema]);
+  }
+}
+
+module.exports = { GenerationService, FallbackGenerationService, GenerationError, cleanJSON };
@@ -0,0 +1,47 @@
+// utils/ai/index.js
+// Shared generation service used by every generator route.
+// Providers come from AI_PROVIDERS (see ./providers); tests or scripts can
+// swap them with setProvider() / setProviders().
+const { GenerationService, FallbackGenerationService, GenerationError } = require("./generationService");
+const providers = require("./providers");
+const schemas = require("./schemas");
+
+let service = null;
+
+const buildService = (providerList, options = {}) =>
+  new FallbackGenerationService(providerList.map(provider => new GenerationService({ provider, ...options })));
+
+/** Lazily create the process-wide service from the environment */
+const getGenerationService = () => {
+  if (!service) {
+    const configured = providers.providersFromEnv();
+    if (configured.length === 0)
+      console.error("No AI provider configured (AI_PROVIDERS / GEMINI_API_KEYS) – AI generation is disabled");
+    else
+      console.log(`ISI AI → providers: ${configured.map(p => p.name).join(" → ")}`);
+    service = buildService(configured);
+  }
+  return service;
+};
+
+/** Replace the providers, in fallback order (e.g. a local fake model in tests) */
+const setProviders = (providerList, options = {}) => {
+  service = buildService(providerList, options);
+  return service;
+};
+
+const setProvider = (provider, options = {}) => setProviders([provider], options);
+
+const generateJSON = (prompt, schema) => getGenerationService().generateJSON(prompt, schema);
+
+module.exports = {
+  generateJSON,
+  getGenerationService,
+  setProvider,
+  setProviders,
+  providers,
+  GenerationService,
+  FallbackGenerationService,
+  GenerationError,
+  schemas
+};
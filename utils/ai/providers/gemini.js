@@ -0,0 +1,62 @@
+// utils/ai/providers/gemini.js
+const { GoogleGenerativeAI } = require("@google/generative-ai");
+
+const PRIMARY_MODEL = "gemini-2.5-flash";   // fast & capable
+const FALLBACK_MODEL = "gemini-2.0-flash";
+
+/**
+ * Gemini provider. Holds one GenerativeModel per API key and falls back
+ * to the fallback model when the primary model is unavailable for a key.
+ * Key rotation itself is handled by the generation service.
+ */
+const createGeminiProvider = ({ keys, primaryModel = PRIMARY_MODEL, fallbackModel = FALLBACK_MODEL }) => {
+  const models = new Map(); // key → GenerativeModel
+
+  const modelFor = (key, useFallback = false) => {
+    const cacheKey = `${key}:${useFallback ? "fallback" : "primary"}`;
+    if (!models.has(cacheKey)) {
+      const genAI = new GoogleGenerativeAI(key);
+      models.set(cacheKey, genAI.getGenerativeModel({ model: useFallback ? fallbackModel : primaryModel }));
+    }
+    return models.get(cacheKey);
+  };
+
+  return {
+    name: "gemini",
+    keys,
+    async generate(prompt, key) {
+      try {
+        const result = await modelFor(key).generateContent(prompt);
+        return result.response.text();
+      } catch (err) {
+        if (err.status !== 404 || !fallbackModel) throw err;
+        console.warn(`ISI AI primary model ${primaryModel} unavailable, trying ${fallbackModel}...`);
+        const result = await modelFor(key, true).generateContent(prompt);
+        return result.response.text();
+      }
+    }
+  };
+};
+
+/* Comma-separated GEMINI_API_KEYS → array */
+const geminiKeysFromEnv = () =>
+  (process.env.GEMINI_API_KEYS || "")
+    .split(",")
+    .map(k => k.trim())
+    .filter(Boolean);
+
+/**
+ * Build from the environment, or null when no key is configured.
+ * GEMINI_API_KEYS, GEMINI_MODEL, GEMINI_FALLBACK_MODEL
+ */
+const fromEnv = () => {
+  const keys = geminiKeysFromEnv();
+  if (keys.length === 0) return null;
+  return createGeminiProvider({
+    keys,
+    primaryModel: process.env.GEMINI_MODEL || PRIMARY_MODEL,
+    fallbackModel: process.env.GEMINI_FALLBACK_MODEL ?? FALLBACK_MODEL
+  });
+};
+
+module.exports = { createGeminiProvider, geminiKeysFromEnv, fromEnv };
@@ -0,0 +1,37 @@
+// utils/ai/providers/index.js
+// Provider registry. AI_PROVIDERS picks which ones run and in what order,
+// e.g. AI_PROVIDERS=gemini,openai,stub – later ones are fallbacks.
+const gemini = require("./gemini");
+const openai = require("./openai");
+const stub = require("./stub");
+
+const registry = { gemini, openai, stub };
+
+const DEFAULT_ORDER = "gemini";
+
+/** Providers named in AI_PROVIDERS that are actually configured */
+const providersFromEnv = () => {
+  const names = (process.env.AI_PROVIDERS || DEFAULT_ORDER)
+    .split(",")
+    .map(n => n.trim().toLowerCase())
+    .filter(Boolean);
+
+  const providers = [];
+  for (const name of names) {
+    if (!registry[name]) {
+      console.warn(`Unknown AI provider "${name}" in AI_PROVIDERS – skipped`);
+      continue;
+    }
+    const provider = registry[name].fromEnv();
+    if (provider) providers.push(provider);
+    else console.warn(`AI provider "${name}" is not configured – skipped`);
+  }
+  return providers;
+};
+
+module.exports = {
+  providersFromEnv,
+  createGeminiProvider: gemini.createGeminiProvider,
+  createOpenAIProvider: openai.createOpenAIProvider,
+  createStubProvider: stub.createStubProvider
+};
@@ -0,0 +1,55 @@
+// utils/ai/providers/openai.js
+// Any OpenAI-compatible chat completions endpoint: OpenAI itself, or a
+// local server such as Ollama (http://localhost:11434/v1) or llama.cpp.
+const OpenAI = require("openai");
+
+const DEFAULT_MODEL = "gpt-4o-mini";
+
+const createOpenAIProvider = ({ keys, baseURL, model = DEFAULT_MODEL, timeoutMs = 120_000 }) => {
+  const clients = new Map(); // key → OpenAI client
+
+  const clientFor = key => {
+    if (!clients.has(key)) {
+      // Local servers ignore the key, but the SDK insists on one
+      clients.set(key, new OpenAI({ apiKey: key || "local", baseURL, timeout: timeoutMs, maxRetries: 0 }));
+    }
+    return clients.get(key);
+  };
+
+  return {
+    name: baseURL ? `openai-compatible (${model})` : "openai",
+    keys,
+    async generate(prompt, key) {
+      const completion = await clientFor(key).chat.completions.create({
+        model,
+        messages: [{ role: "user", content: prompt }],
+        temperature: 0.4
+      });
+      const text = completion.choices?.[0]?.message?.content;
+      if (!text) throw new Error("Empty completion");
+      return text;
+    }
+  };
+};
+
+/**
+ * Build from the environment, or null when it isn't configured.
+ * OPENAI_API_KEYS (comma-separated), OPENAI_BASE_URL, OPENAI_MODEL.
+ * A base URL without keys is fine – that's a local server.
+ */
+const fromEnv = () => {
+  const keys = (process.env.OPENAI_API_KEYS || process.env.OPENAI_API_KEY || "")
+    .split(",")
+    .map(k => k.trim())
+    .filter(Boolean);
+  const baseURL = process.env.OPENAI_BASE_URL || undefined;
+  if (keys.length === 0 && !baseURL) return null;
+
+  return createOpenAIProvider({
+    keys: keys.length ? keys : [null],
+    baseURL,
+    model: process.env.OPENAI_MODEL || DEFAULT_MODEL
+  });
+};
+
+module.exports = { createOpenAIProvider, fromEnv };
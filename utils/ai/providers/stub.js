@@ -0,0 +1,17 @@
+// utils/ai/providers/stub.js
+// Deterministic offline provider for tests, demos and outages.
+// It answers with the schema's own sample, so output always validates.
+
+const createStubProvider = ({ respond } = {}) => ({
+  name: "stub",
+  keys: [null],
+  async generate(prompt, key, { schema } = {}) {
+    if (respond) return respond(prompt, schema);
+    const sample = schema?.sample ? schema.sample(prompt) : [];
+    return JSON.stringify(sample);
+  }
+});
+
+const fromEnv = () => createStubProvider();
+
+module.exports = { createStubProvider, fromEnv };
@@ -0,0 +1,101 @@
+// utils/ai/schemas.js
+// Validators for generateJSON(). Each takes the parsed reply and returns the
+// cleaned value, or throws describing the first problem found.
+const { TYPES, DEFAULT_TYPE } = require("../questionTypes");
+
+const nonEmptyArray = (data, what) => {
+  if (!Array.isArray(data) || data.length === 0)
+    throw new Error(`Empty or non-array ${what} response`);
+  return data;
+};
+
+/* Deterministic samples used by the stub provider – "Generate N ..." sets the
+   count, and excerpts are quoted from the prompt's content so they verify */
+const requestedCount = (prompt, fallback) => {
+  const match = /Generate (\d+)/i.exec(prompt || "");
+  return match ? Math.min(parseInt(match[1], 10), 50) : fallback;
+};
+
+const sampleExcerpt = (prompt, i) => {
+  const content = String(prompt || "").split("Content:\n")[1] || "";
+  const sentences = content.split(/(?<=[.!?])\s+/).filter(s => s.trim().length >= 20);
+  return sentences.length ? sentences[i % sentences.length].trim().slice(0, 200) : content.slice(0, 200);
+};
+
+/* Every generated item explains itself and quotes the text it is based on */
+const citation = (item, label) => {
+  if (typeof item.explanation !== "string" || !item.explanation.trim())
+    throw new Error(`${label}: missing/invalid explanation`);
+  if (typeof item.sourceExcerpt !== "string" || !item.sourceExcerpt.trim())
+    throw new Error(`${label}: missing/invalid sourceExcerpt`);
+  return { explanation: item.explanation.trim(), sourceExcerpt: item.sourceExcerpt.trim() };
+};
+
+/**
+ * Validator for a quiz reply restricted to `types` (see utils/questionTypes.js).
+ * Questions without a `type` are treated as multiple-choice.
+ */
+const quizQuestionsOf = (types = [DEFAULT_TYPE]) => {
+  const validate = data =>
+    nonEmptyArray(data, "quiz").map((q, i) => {
+      const type = q.type || DEFAULT_TYPE;
+      if (!types.includes(type)) throw new Error(`Q${i}: unexpected type "${type}"`);
+      return {
+        type,
+        question: typeof q.question === "string" ? q.question.trim() : q.question,
+        ...TYPES[type].parse(q, `Q${i}`),
+        ...citation(q, `Q${i}`)
+      };
+    });
+
+  validate.sample = prompt =>
+    Array.from({ length: requestedCount(prompt, 5) }, (_, i) => {
+      const { example } = TYPES[types[i % types.length]];
+      return {
+        ...example,
+        question: example.type === "fill-blank" ? `Sample ${i + 1}: ____ fills the blank.` : `Sample question ${i + 1}?`,
+        explanation: `Sample explanation ${i + 1}.`,
+        sourceExcerpt: sampleExcerpt(prompt, i)
+      };
+    });
+
+  return validate;
+};
+
+const quizQuestions = quizQuestionsOf();
+
+const flashcards = data =>
+  nonEmptyArray(data, "flashcard").map((c, i) => {
+    if (typeof c.question !== "string" || !c.question.trim())
+      throw new Error(`Card ${i}: missing/invalid question`);
+    if (typeof c.answer !== "string" || !c.answer.trim())
+      throw new Error(`Card ${i}: missing/invalid answer`);
+    return { question: c.question.trim(), answer: c.answer.trim(), ...citation(c, `Card ${i}`) };
+  });
+
+flashcards.sample = prompt =>
+  Array.from({ length: requestedCount(prompt, 10) }, (_, i) => ({
+    question: `Sample card ${i + 1}?`,
+    answer: `Sample answer ${i + 1}`,
+    explanation: `Sample explanation ${i + 1}.`,
+    sourceExcerpt: sampleExcerpt(prompt, i)
+  }));
+
+/* AI-assisted marking of one short answer (utils/grading.js) – exactly
+   { correct, feedback? }; anything else is rejected rather than guessed at */
+const MARK_KEYS = ["correct", "feedback"];
+const MAX_FEEDBACK_CHARS = 500;
+
+const shortAnswerMark = data => {
+  if (!data || typeof data !== "object" || Array.isArray(data)) throw new Error("verdict must be an object");
+  if (Object.keys(data).some(k => !MARK_KEYS.includes(k))) throw new Error("verdict has unexpected fields");
+  if (typeof data.correct !== "boolean") throw new Error("correct must be a boolean");
+  if (data.feedback !== undefined && data.feedback !== null && typeof data.feedback !== "string")
+    throw new Error("feedback must be a string");
+  const feedback = data.feedback?.trim().slice(0, MAX_FEEDBACK_CHARS) || null;
+  return { correct: data.correct, feedback };
+};
+
+shortAnswerMark.sample = () => ({ correct: false, feedback: "Stub marking – compare with the model answer." });
+
+module.exports = { quizQuestionsOf, quizQuestions, flashcards, shortAnswerMark };
@@ -0,0 +1,318 @@
+// utils/analytics.js
+// Breaks one user's quiz history down by subject, difficulty and period, and
+// digs the questions they miss out of the per-question results.
+const Quiz = require("../models/Quiz");
+const QuizResult = require("../models/QuizResult");
+const QuizVersion = require("../models/QuizVersion");
+const FlashcardSet = require("../models/FlashcardSet");
+const FlashcardProgress = require("../models/FlashcardProgress");
+const { TYPES, DEFAULT_TYPE, normaliseText } = require("./questionTypes");
+const { periodKey } = require("./leaderboards");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const INTERVALS = ["day", "week", "month"];
+/* Default time-series window per interval, in days */
+const DEFAULT_SPAN_DAYS = { day: 30, week: 7 * 26, month: 365 };
+const MAX_SPAN_DAYS = 5 * 366;
+/* A subject counts as a weak area below this accuracy (percent) */
+const WEAK_ACCURACY = 70;
+/* Trends compare the average of the last few attempts with the few before */
+const TREND_WINDOW = 5;
+const TREND_THRESHOLD = 5;
+
+const round1 = n => Math.round(n * 10) / 10;
+const groupKey = text => String(text ?? "").trim().toLowerCase();
+
+const bucketKey = (interval, date) =>
+  interval === "day" ? date.toISOString().slice(0, 10) : periodKey(interval, date);
+
+const toDate = value => (value === undefined || value === "" ? undefined : new Date(value));
+
+/**
+ * ?from=&to=&subject=&interval=, already checked by the route's schema →
+ * { options }, or { error, field } when the range itself doesn't work.
+ * A date-only `to` includes that whole day. `from` is left open unless given,
+ * except for time series, which default to a window that suits the interval.
+ */
+const parseAnalyticsQuery = (query, { series = false } = {}) => {
+  const interval = query.interval || "day";
+  const to = toDate(query.to);
+
+  let end = to ?? new Date();
+  if (to && /^\d{4}-\d{2}-\d{2}$/.test(query.to)) end = new Date(end.getTime() + DAY_MS);
+  let start = toDate(query.from);
+  if (!start && series) start = new Date(end.getTime() - DEFAULT_SPAN_DAYS[interval] * DAY_MS);
+
+  if (start && start >= end) return { error: "from must be before to", field: "from" };
+  if (series && end - start > MAX_SPAN_DAYS * DAY_MS) return { error: "Date range can be at most 5 years", field: "from" };
+
+  const subject = typeof query.subject === "string" ? query.subject.trim() : "";
+  return { options: { from: start, to: end, subject: subject || null, interval } };
+};
+
+/**
+ * The user's results in range, oldest first, each with its quiz attached
+ * (`r.quiz`, null once the quiz is gone). `withQuestions` also attaches the
+ * questions as they were when that attempt was taken (`r.questions`).
+ */
+const loadHistory = async (userId, { from, to, subject }, { withQuestions = false } = {}) => {
+  const filter = { userId, createdAt: { $lt: to, ...(from ? { $gte: from } : {}) } };
+  const fields = "quizId quizVersion subject score correctCount totalQuestions timeSpent late createdAt" +
+    (withQuestions ? " answers questionResults" : "");
+  const results = await QuizResult.find(filter).select(fields).sort({ createdAt: 1 }).lean();
+
+  const quizIds = [...new Set(results.map(r => r.quizId.toString()))];
+  const quizzes = await Quiz.find({ _id: { $in: quizIds } })
+    .select(`title subject difficulty version${withQuestions ? " questions" : ""}`)
+    .lean();
+  const byId = new Map(quizzes.map(q => [q._id.toString(), q]));
+
+  let snapshots = new Map();
+  if (withQuestions) {
+    const older = results.filter(r => byId.get(r.quizId.toString())?.version !== r.quizVersion);
+    if (older.length) {
+      const versions = await QuizVersion.find({
+        $or: older.map(r => ({ quizId: r.quizId, version: r.quizVersion }))
+      }).lean();
+      snapshots = new Map(versions.map(v => [`${v.quizId}:${v.version}`, v.questions]));
+    }
+  }
+
+  const wanted = subject && groupKey(subject);
+  return results
+    .map(r => {
+      const quiz = byId.get(r.quizId.toString()) ?? null;
+      const entry = { ...r, quiz, subject: r.subject ?? quiz?.subject ?? null };
+      if (withQuestions) {
+        entry.questions = quiz?.version === r.quizVersion
+          ? quiz.questions
+          : snapshots.get(`${r.quizId}:${r.quizVersion}`) ?? null;
+      }
+      return entry;
+    })
+    .filter(r => !wanted || groupKey(r.subject) === wanted);
+};
+
+/* Attempts, average score, question-level accuracy and time for a list of results */
+const summarize = results => {
+  const attempts = results.length;
+  const scoreSum = results.reduce((sum, r) => sum + r.score, 0);
+  const correct = results.reduce((sum, r) => sum + (r.correctCount || 0), 0);
+  const asked = results.reduce((sum, r) => sum + (r.totalQuestions || 0), 0);
+  return {
+    attempts,
+    averageScore: attempts ? round1(scoreSum / attempts) : null,
+    bestScore: attempts ? Math.max(...results.map(r => r.score)) : null,
+    accuracy: asked ? round1((correct / asked) * 100) : null,
+    questionsAnswered: asked,
+    timeSpent: results.reduce((sum, r) => sum + (r.timeSpent || 0), 0)
+  };
+};
+
+/* Recent attempts against the ones before – results must be oldest first */
+const trendOf = results => {
+  const recent = results.slice(-TREND_WINDOW);
+  const previous = results.slice(-2 * TREND_WINDOW, -TREND_WINDOW);
+  const avg = list => list.reduce((sum, r) => sum + r.score, 0) / list.length;
+  if (!previous.length) return { direction: "not-enough-data", recentAverage: recent.length ? round1(avg(recent)) : null };
+
+  const change = round1(avg(recent) - avg(previous));
+  return {
+    direction: change >= TREND_THRESHOLD ? "improving" : change <= -TREND_THRESHOLD ? "declining" : "steady",
+    recentAverage: round1(avg(recent)),
+    previousAverage: round1(avg(previous)),
+    change
+  };
+};
+
+/* Summaries per group, keyed case-insensitively but labelled as first seen */
+const breakdown = (results, labelOf) => {
+  const groups = new Map();
+  results.forEach(r => {
+    const label = labelOf(r) ?? "Unknown";
+    const key = groupKey(label);
+    if (!groups.has(key)) groups.set(key, { label, results: [] });
+    groups.get(key).results.push(r);
+  });
+  return [...groups.values()].map(({ label, results: list }) => ({
+    label,
+    ...summarize(list),
+    trend: trendOf(list),
+    lastAttemptAt: list[list.length - 1].createdAt
+  }));
+};
+
+/* Flashcard mastery per subject – sets the user owns plus their progress on shared ones */
+const flashcardMastery = async userId => {
+  const [owned, progress] = await Promise.all([
+    FlashcardSet.find({ userId }).select("subject masteryLevel cards._id").lean(),
+    FlashcardProgress.find({ userId }).select("masteryLevel setId").populate("setId", "subject cards._id").lean()
+  ]);
+  const sets = [
+    ...owned.map(s => ({ subject: s.subject, mastery: s.masteryLevel || 0, cards: s.cards.length })),
+    ...progress.filter(p => p.setId).map(p => ({ subject: p.setId.subject, mastery: p.masteryLevel || 0, cards: p.setId.cards.length }))
+  ];
+
+  const bySubject = new Map();
+  sets.forEach(s => {
+    const key = groupKey(s.subject);
+    const entry = bySubject.get(key) ?? { label: s.subject, sets: 0, cards: 0, weighted: 0 };
+    entry.sets++;
+    entry.cards += s.cards;
+    entry.weighted += s.mastery * s.cards;
+    bySubject.set(key, entry);
+  });
+  return bySubject;
+};
+
+/**
+ * Flashcard mastery next to quiz results for every subject that has either.
+ * `gap` is mastery minus average quiz score: a large positive gap usually
+ * means the cards are known but the knowledge isn't carrying over to quizzes.
+ */
+const masteryComparison = (subjects, mastery) => {
+  const rows = new Map();
+  subjects.forEach(s => rows.set(groupKey(s.label), { subject: s.label, quizAverage: s.averageScore, quizAttempts: s.attempts }));
+  mastery.forEach((m, key) => {
+    const row = rows.get(key) ?? { subject: m.label, quizAverage: null, quizAttempts: 0 };
+    row.flashcardMastery = m.cards ? round1(m.weighted / m.cards) : 0;
+    row.flashcardSets = m.sets;
+    row.flashcardCards = m.cards;
+    rows.set(key, row);
+  });
+  return [...rows.values()].map(row => ({
+    flashcardMastery: null,
+    flashcardSets: 0,
+    flashcardCards: 0,
+    ...row,
+    gap: row.flashcardMastery != null && row.quizAverage != null ? round1(row.flashcardMastery - row.quizAverage) : null
+  }));
+};
+
+/* Per-subject, per-difficulty, weak-area and flashcard breakdown of the user's history */
+const overview = async (userId, options) => {
+  const [results, mastery] = await Promise.all([loadHistory(userId, options), flashcardMastery(userId)]);
+  const bySubject = breakdown(results, r => r.subject).sort((a, b) => b.attempts - a.attempts);
+  const byDifficulty = breakdown(results, r => r.quiz?.difficulty).sort((a, b) => b.attempts - a.attempts);
+
+  if (options.subject) {
+    const wanted = groupKey(options.subject);
+    [...mastery.keys()].forEach(key => key !== wanted && mastery.delete(key));
+  }
+
+  return {
+    overall: { ...summarize(results), trend: trendOf(results) },
+    bySubject: bySubject.map(({ label, ...s }) => ({ subject: label, ...s })),
+    byDifficulty: byDifficulty.map(({ label, ...s }) => ({ difficulty: label, ...s })),
+    weakAreas: bySubject
+      .filter(s => s.accuracy != null && s.accuracy < WEAK_ACCURACY)
+      .sort((a, b) => a.accuracy - b.accuracy)
+      .map(s => ({ subject: s.label, accuracy: s.accuracy, attempts: s.attempts, trend: s.trend.direction })),
+    flashcardsVsQuizzes: masteryComparison(bySubject, mastery)
+  };
+};
+
+/* One point per day, ISO week or month from `from` to `to`, empty periods included */
+const timeSeries = async (userId, options) => {
+  const { from, to, interval } = options;
+  const results = await loadHistory(userId, options);
+
+  const buckets = new Map();
+  for (let t = from.getTime(); t < to.getTime(); t += DAY_MS) {
+    const key = bucketKey(interval, new Date(t));
+    if (!buckets.has(key)) buckets.set(key, { period: key, startsAt: new Date(t), results: [] });
+  }
+  results.forEach(r => buckets.get(bucketKey(interval, r.createdAt))?.results.push(r));
+
+  let attemptsSoFar = 0;
+  let scoreSoFar = 0;
+  return [...buckets.values()].map(({ period, startsAt, results: list }) => {
+    const s = summarize(list);
+    attemptsSoFar += s.attempts;
+    scoreSoFar += list.reduce((sum, r) => sum + r.score, 0);
+    return {
+      period,
+      startsAt,
+      attempts: s.attempts,
+      averageScore: s.averageScore,
+      accuracy: s.accuracy,
+      timeSpent: s.timeSpent,
+      // Running average so charts have a smooth line through empty periods
+      cumulativeAverage: attemptsSoFar ? round1(scoreSoFar / attemptsSoFar) : null
+    };
+  });
+};
+
+/**
+ * Questions the user has answered wrongly, most-missed first. The same
+ * question is tracked across attempts and quiz edits by its wording.
+ * Each entry carries the full question so it can be reused for practice.
+ */
+const missedQuestions = async (userId, options, { minMisses = 1 } = {}) => {
+  const results = await loadHistory(userId, options, { withQuestions: true });
+
+  const tracked = new Map();
+  results.forEach(r => {
+    if (!r.questions || !r.questionResults?.length) return;   // graded before per-question results were kept
+    r.questionResults.forEach((qr, i) => {
+      const q = r.questions[i];
+      if (!q || typeof qr?.correct !== "boolean") return;
+      const key = `${r.quizId}|${normaliseText(q.question)}`;
+      const entry = tracked.get(key) ?? { quiz: r.quiz, quizId: r.quizId, subject: r.subject, attempts: 0, misses: 0 };
+      entry.attempts++;
+      if (!qr.correct) {
+        entry.misses++;
+        entry.lastMissedAt = r.createdAt;
+      }
+      entry.question = q;                  // latest wording wins
+      entry.lastCorrect = qr.correct;
+      entry.lastAnswer = r.answers?.[i] ?? null;
+      entry.lastAnsweredAt = r.createdAt;
+      tracked.set(key, entry);
+    });
+  });
+
+  return [...tracked.values()]
+    .filter(e => e.misses >= minMisses)
+    .sort((a, b) => b.misses - a.misses || b.misses / b.attempts - a.misses / a.attempts || b.lastMissedAt - a.lastMissedAt)
+    .map(e => {
+      const q = e.question;
+      const type = q.type || DEFAULT_TYPE;
+      return {
+        quizId: e.quizId,
+        quizTitle: e.quiz?.title ?? null,
+        subject: e.subject,
+        difficulty: e.quiz?.difficulty ?? null,
+        question: {
+          type,
+          question: q.question,
+          options: q.options?.length ? q.options : undefined,
+          correctAnswer: q.correctAnswer,
+          correctAnswers: q.correctAnswers,
+          acceptedAnswers: q.acceptedAnswers,
+          explanation: q.explanation ?? null,
+          source: q.source ?? null
+        },
+        expected: (TYPES[type] || TYPES[DEFAULT_TYPE]).expected(q),
+        attempts: e.attempts,
+        misses: e.misses,
+        missRate: round1((e.misses / e.attempts) * 100),
+        // Still wrong the last time it came up
+        stillMissing: !e.lastCorrect,
+        lastAnswer: e.lastAnswer,
+        lastMissedAt: e.lastMissedAt,
+        lastAnsweredAt: e.lastAnsweredAt
+      };
+    });
+};
+
+module.exports = {
+  INTERVALS,
+  WEAK_ACCURACY,
+  parseAnalyticsQuery,
+  loadHistory,
+  summarize,
+  overview,
+  timeSeries,
+  missedQuestions
+};
@@ -0,0 +1,65 @@
+// utils/attempts.js
+// Attempt numbers for quiz results: 1, 2, 3… per user and quiz, kept unique
+// by the { userId, quizId, attemptNumber } index on QuizResult.
+const QuizResult = require("../models/QuizResult");
+
+const SAVE_TRIES = 3;
+
+/* One past the highest number used so far (or the number of results, for
+   results saved before attempts were numbered) */
+const nextAttemptNumber = async (userId, quizId) => {
+  const [count, latest] = await Promise.all([
+    QuizResult.countDocuments({ userId, quizId }),
+    QuizResult.findOne({ userId, quizId, attemptNumber: { $type: "number" } })
+      .sort({ attemptNumber: -1 })
+      .select("attemptNumber")
+  ]);
+  return Math.max(count, latest?.attemptNumber ?? 0) + 1;
+};
+
+/* Number and save a new result, taking the next number again when a
+   concurrent submit got there first. Resolves null instead when the number
+   would pass `limit`, so racing submits can't exceed the attempt limit.
+   Still colliding after a few tries throws the duplicate key error (code 11000). */
+const saveAttempt = async (result, { limit = null } = {}) => {
+  for (let tries = 1; ; tries++) {
+    result.attemptNumber = await nextAttemptNumber(result.userId, result.quizId);
+    if (limit && result.attemptNumber > limit) return null;
+    try {
+      return await result.save();
+    } catch (e) {
+      if (e.code !== 11000 || !e.keyPattern?.attemptNumber || tries >= SAVE_TRIES) throw e;
+    }
+  }
+};
+
+/* Number results saved before attempts were numbered, oldest first, using
+   the lowest numbers not already taken for that user and quiz */
+const backfillAttemptNumbers = async () => {
+  const pairs = await QuizResult.aggregate([
+    { $match: { attemptNumber: null } },
+    { $group: { _id: { userId: "$userId", quizId: "$quizId" } } }
+  ]);
+
+  let numbered = 0;
+  for (const { _id: { userId, quizId } } of pairs) {
+    const results = await QuizResult.find({ userId, quizId })
+      .sort({ createdAt: 1, _id: 1 })
+      .select("attemptNumber")
+      .lean();
+    const taken = new Set(results.map(r => r.attemptNumber).filter(Boolean));
+    let next = 1;
+    const updates = [];
+    for (const r of results) {
+      if (r.attemptNumber) continue;
+      while (taken.has(next)) next++;
+      taken.add(next);
+      updates.push({ updateOne: { filter: { _id: r._id }, update: { $set: { attemptNumber: next } } } });
+    }
+    if (updates.length) await QuizResult.bulkWrite(updates, { ordered: false });
+    numbered += updates.length;
+  }
+  return { numbered };
+};
+
+module.exports = { nextAttemptNumber, saveAttempt, backfillAttemptNumbers };
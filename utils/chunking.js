@@ -0,0 +1,114 @@
+// utils/chunking.js
+// Splitting long documents into model-sized chunks, spreading the requested
+// number of items across them, and merging the results back together.
+
+/**
+ * Group document sections ({ page, heading, text }) into chunks of at most
+ * `maxChars`, keeping sections whole where possible. An oversized section is
+ * split on paragraph (then sentence) boundaries.
+ * Each chunk: { index, text, pageStart, pageEnd, heading }.
+ */
+const chunkSections = (sections, maxChars) => {
+  const pieces = [];
+  for (const section of sections) {
+    const text = section.text.trim();
+    if (!text) continue;
+    if (text.length <= maxChars) {
+      pieces.push({ ...section, text });
+      continue;
+    }
+    splitLongText(text, maxChars).forEach(part => pieces.push({ ...section, text: part }));
+  }
+
+  const chunks = [];
+  let current = null;
+  for (const piece of pieces) {
+    if (current && current.text.length + piece.text.length + 2 <= maxChars) {
+      current.text += "\n\n" + piece.text;
+      if (piece.page != null) current.pageEnd = piece.page;
+      continue;
+    }
+    current = {
+      index: chunks.length,
+      text: piece.text,
+      pageStart: piece.page ?? null,
+      pageEnd: piece.page ?? null,
+      heading: piece.heading ?? null
+    };
+    chunks.push(current);
+  }
+  return chunks;
+};
+
+const splitLongText = (text, maxChars) => {
+  const parts = [];
+  let buffer = "";
+  const units = text.split(/\n\s*\n/).flatMap(p =>
+    p.length <= maxChars ? [p] : p.match(/[^.!?]+[.!?]*\s*/g) ?? [p]
+  );
+  for (let unit of units) {
+    while (unit.length > maxChars) {       // a single enormous sentence
+      parts.push(unit.slice(0, maxChars));
+      unit = unit.slice(maxChars);
+    }
+    if (buffer && buffer.length + unit.length + 2 > maxChars) {
+      parts.push(buffer);
+      buffer = "";
+    }
+    buffer = buffer ? `${buffer}\n\n${unit}` : unit;
+  }
+  if (buffer) parts.push(buffer);
+  return parts;
+};
+
+/**
+ * Spread `total` items over chunks in proportion to their length
+ * (largest-remainder rounding, so the counts always add up to `total`).
+ */
+const allocate = (total, chunks) => {
+  const totalChars = chunks.reduce((sum, c) => sum + c.text.length, 0);
+  if (!totalChars) return chunks.map(() => 0);
+
+  const exact = chunks.map(c => (c.text.length / totalChars) * total);
+  const counts = exact.map(Math.floor);
+  let remaining = total - counts.reduce((a, b) => a + b, 0);
+  exact
+    .map((value, i) => ({ i, rest: value - Math.floor(value) }))
+    .sort((a, b) => b.rest - a.rest)
+    .forEach(({ i }) => {
+      if (remaining > 0) {
+        counts[i]++;
+        remaining--;
+      }
+    });
+  return counts;
+};
+
+const normalise = text =>
+  String(text).toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, " ").replace(/\s+/g, " ").trim();
+
+const similarity = (a, b) => {
+  const setA = new Set(a.split(" "));
+  const setB = new Set(b.split(" "));
+  let shared = 0;
+  setA.forEach(w => { if (setB.has(w)) shared++; });
+  return shared / (setA.size + setB.size - shared || 1);
+};
+
+/**
+ * Drop items whose question is identical or nearly identical (word overlap
+ * at or above `threshold`) to one already kept. Order is preserved.
+ */
+const dedupe = (items, keyFn = item => item.question, threshold = 0.8) => {
+  const kept = [];
+  const keys = [];
+  for (const item of items) {
+    const key = normalise(keyFn(item));
+    if (keys.some(k => k === key || similarity(k, key) >= threshold)) continue;
+    kept.push(item);
+    keys.push(key);
+  }
+  return kept;
+};
+
+module.exports = { chunkSections, allocate, dedupe };
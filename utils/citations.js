@@ -0,0 +1,58 @@
+// utils/citations.js
+// Checks that a model's "source excerpt" really appears in the document
+// and works out which page/section it came from. Matching ignores case,
+// whitespace and punctuation, because PDF extraction mangles all three.
+
+const MIN_FRAGMENT_CHARS = 12;   // shorter fragments match too easily to prove anything
+
+const squash = text => String(text).toLowerCase().replace(/[^\p{L}\p{N}]/gu, "");
+
+/**
+ * Find `excerpt` in the document sections ({ page, heading, text }).
+ * Ellipses are allowed: every fragment between them must appear, in order,
+ * within one section. Returns { page, section } or null when not found.
+ */
+const locateExcerpt = (excerpt, sections) => {
+  const fragments = String(excerpt)
+    .split(/\.{3}|…/)
+    .map(squash)
+    .filter(f => f.length > 0);
+  if (!fragments.length || fragments.every(f => f.length < MIN_FRAGMENT_CHARS)) return null;
+
+  for (const section of sections) {
+    const haystack = squash(section.text);
+    let from = 0;
+    const found = fragments.every(fragment => {
+      const at = haystack.indexOf(fragment, from);
+      if (at === -1) return false;
+      from = at + fragment.length;
+      return true;
+    });
+    if (found) return { page: section.page ?? null, section: section.heading ?? null };
+  }
+  return null;
+};
+
+/**
+ * Keep only items whose sourceExcerpt is found in the document, moving the
+ * excerpt into item.source with the page it was actually found on.
+ * Returns { verified, rejected }.
+ */
+const verifyCitations = (items, sections) => {
+  const verified = [];
+  const rejected = [];
+  for (const { sourceExcerpt, ...item } of items) {
+    const location = locateExcerpt(sourceExcerpt, sections);
+    if (!location) {
+      rejected.push({ question: item.question, sourceExcerpt });
+      continue;
+    }
+    verified.push({
+      ...item,
+      source: { ...item.source, excerpt: sourceExcerpt.trim(), page: location.page, section: location.section ?? item.source?.section ?? null }
+    });
+  }
+  return { verified, rejected };
+};
+
+module.exports = { locateExcerpt, verifyCitations };
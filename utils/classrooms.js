@@ -0,0 +1,86 @@
+// utils/classrooms.js
+// Keeps classroom assignments and item access in step, and works out where
+// each student is with an assignment.
+const crypto = require("crypto");
+const Quiz = require("../models/Quiz");
+const QuizResult = require("../models/QuizResult");
+const FlashcardSet = require("../models/FlashcardSet");
+const FlashcardProgress = require("../models/FlashcardProgress");
+
+const ITEM_MODELS = { quiz: Quiz, flashcards: FlashcardSet };
+
+/* Join codes avoid look-alike characters (0/O, 1/I/L) */
+const CODE_ALPHABET = "ABCDEFGHJKMNPQRSTUVWXYZ23456789";
+const newJoinCode = (length = 7) =>
+  Array.from(crypto.randomBytes(length), b => CODE_ALPHABET[b % CODE_ALPHABET.length]).join("");
+
+/* Give students access to an assigned item through its share list – once
+   per student and classroom, however often it's granted */
+const grantAccess = (assignment, userIds) => {
+  if (!userIds.length) return null;
+  const { classroomId } = assignment;
+  return ITEM_MODELS[assignment.kind].bulkWrite(
+    userIds.map(userId => ({
+      updateOne: {
+        filter: {
+          _id: assignment.itemId,
+          sharedWith: { $not: { $elemMatch: { userId, via: "class", classroomId } } }
+        },
+        update: { $push: { sharedWith: { userId, via: "class", classroomId } } }
+      }
+    })),
+    { ordered: false }
+  );
+};
+
+/* Take back what a classroom granted – for some students, or everyone when userIds is omitted */
+const revokeAccess = (assignment, userIds) => {
+  const match = { via: "class", classroomId: assignment.classroomId, ...(userIds ? { userId: { $in: userIds } } : {}) };
+  return ITEM_MODELS[assignment.kind].updateOne({ _id: assignment.itemId }, { $pull: { sharedWith: match } });
+};
+
+/**
+ * Per-student progress on one assignment, keyed by user id.
+ * Quizzes: attempts, best/latest score and whether one came in by the due date.
+ * Flashcard sets: the student's mastery and when they last studied.
+ * status is "submitted", "late", "missing" (past due, nothing yet) or "pending".
+ */
+const assignmentProgress = async (assignment, studentIds, now = new Date()) => {
+  const pastDue = assignment.dueDate < now;
+  const progress = {};
+  studentIds.forEach(id => {
+    progress[id.toString()] = { status: pastDue ? "missing" : "pending", submittedAt: null };
+  });
+
+  if (assignment.kind === "quiz") {
+    const results = await QuizResult.find({ quizId: assignment.itemId, userId: { $in: studentIds } })
+      .select("userId score createdAt late")
+      .sort({ createdAt: 1 });
+    results.forEach(r => {
+      const entry = progress[r.userId.toString()];
+      if (!entry) return;
+      entry.attempts = (entry.attempts ?? 0) + 1;
+      entry.bestScore = Math.max(entry.bestScore ?? 0, r.score);
+      entry.latestScore = r.score;
+      if (!entry.submittedAt) {
+        entry.submittedAt = r.createdAt;
+        entry.status = r.createdAt <= assignment.dueDate ? "submitted" : "late";
+      }
+    });
+  } else {
+    const records = await FlashcardProgress.find({ setId: assignment.itemId, userId: { $in: studentIds } })
+      .select("userId masteryLevel lastStudied createdAt");
+    records.forEach(p => {
+      const entry = progress[p.userId.toString()];
+      if (!entry || !p.lastStudied) return;
+      entry.masteryLevel = p.masteryLevel;
+      entry.lastStudied = p.lastStudied;
+      // A set counts as handed in once the student has started studying it
+      entry.submittedAt = p.createdAt;
+      entry.status = p.createdAt <= assignment.dueDate ? "submitted" : "late";
+    });
+  }
+  return progress;
+};
+
+module.exports = { ITEM_MODELS, newJoinCode, grantAccess, revokeAccess, assignmentProgress };
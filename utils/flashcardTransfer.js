@@ -0,0 +1,353 @@
+// utils/flashcardTransfer.js
+// Import and export of flashcard sets: CSV, Quizlet-style TSV, Anki .apkg
+// and a lossless JSON format that keeps mastery and review scheduling.
+// Importers return { cards, skipped: [{ row, reason }], title? }.
+const crypto = require("crypto");
+const path = require("path");
+const JSZip = require("jszip");
+const initSqlJs = require("sql.js");
+const { htmlToText } = require("./ingestion");
+const { MIN_EASE } = require("./spacedRepetition");
+
+const MAX_IMPORT_CARDS = 5000;
+const MAX_FIELD_CHARS = 5000;
+const JSON_FORMAT = "sidis-flashcards";
+const JSON_VERSION = 1;
+
+let sqlPromise = null;
+const getSql = () => (sqlPromise ??= initSqlJs());
+
+/* ---------------------------------------------------------------
+   Shared helpers
+   --------------------------------------------------------------- */
+
+/* RFC 4180 parsing: quoted fields may contain the delimiter, quotes ("") and newlines */
+const parseDelimited = (text, delimiter) => {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"' && field === "") {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== "" || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+};
+
+/**
+ * Turn [question, answer, explanation?] rows into cards, recording why
+ * any row was skipped. `rowOffset` makes row numbers match the file.
+ */
+const rowsToCards = (rows, rowOffset = 1) => {
+  const cards = [];
+  const skipped = [];
+  rows.forEach((cols, i) => {
+    const row = i + rowOffset;
+    if (cols.every(c => !String(c ?? "").trim())) return;           // blank line
+    const [question = "", answer = "", explanation = ""] = cols.map(c => String(c ?? "").trim());
+    if (cards.length >= MAX_IMPORT_CARDS) return skipped.push({ row, reason: `more than ${MAX_IMPORT_CARDS} cards` });
+    if (!question) return skipped.push({ row, reason: "question/front is empty" });
+    if (!answer) return skipped.push({ row, reason: "answer/back is empty" });
+    if (question.length > MAX_FIELD_CHARS || answer.length > MAX_FIELD_CHARS)
+      return skipped.push({ row, reason: `a field is longer than ${MAX_FIELD_CHARS} characters` });
+    cards.push({ question, answer, ...(explanation ? { explanation } : {}) });
+  });
+  return { cards, skipped };
+};
+
+const HEADER_NAMES = {
+  question: ["question", "front", "term", "prompt"],
+  answer: ["answer", "back", "definition"],
+  explanation: ["explanation", "notes", "note", "extra"],
+};
+
+/* ---------------------------------------------------------------
+   Importers
+   --------------------------------------------------------------- */
+
+/* CSV – an optional header row picks the columns, otherwise question,answer[,explanation] */
+const importCsv = buffer => {
+  const rows = parseDelimited(buffer.toString("utf8").replace(/^\uFEFF/, ""), ",");
+  if (!rows.length) return { cards: [], skipped: [] };
+
+  const header = rows[0].map(h => h.trim().toLowerCase());
+  const columns = Object.fromEntries(
+    Object.entries(HEADER_NAMES).map(([key, names]) => [key, header.findIndex(h => names.includes(h))])
+  );
+  if (columns.question === -1 || columns.answer === -1) return rowsToCards(rows, 1);
+
+  const picked = rows.slice(1).map(r => [r[columns.question], r[columns.answer], columns.explanation === -1 ? "" : r[columns.explanation]]);
+  return rowsToCards(picked, 2);
+};
+
+/**
+ * Quizlet export – "term<sep>definition" per line. Quizlet lets users pick
+ * both separators, so they can be overridden (defaults: tab and newline).
+ */
+const importQuizlet = (buffer, { separator = "\t", rowSeparator = "\n" } = {}) => {
+  const text = buffer.toString("utf8").replace(/^\uFEFF/, "").replace(/\r\n/g, "\n");
+  const rows = text.split(rowSeparator).map(line => {
+    const at = line.indexOf(separator);
+    return at === -1 ? [line] : [line.slice(0, at), line.slice(at + separator.length)];
+  });
+  return rowsToCards(rows, 1);
+};
+
+/* Anki fields are HTML; media references are dropped */
+const ankiFieldToText = html => htmlToText(String(html).replace(/\[sound:[^\]]*\]/g, ""));
+
+/* Anki .apkg – a zip holding the SQLite collection; first two note fields become front/back */
+const importApkg = async buffer => {
+  const zip = await JSZip.loadAsync(buffer);
+  if (zip.file("collection.anki21b") && !zip.file("collection.anki21") && !zip.file("collection.anki2"))
+    throw new Error("This deck uses the newest Anki format – export it with \"Support older Anki versions\" ticked");
+  const entry = zip.file("collection.anki21") || zip.file("collection.anki2");
+  if (!entry) throw new Error("Not an Anki package (no collection inside)");
+
+  const SQL = await getSql();
+  const db = new SQL.Database(await entry.async("uint8array"));
+  try {
+    const [deckRow] = db.exec("SELECT decks FROM col LIMIT 1");
+    const decks = deckRow ? Object.values(JSON.parse(deckRow.values[0][0])) : [];
+    const deck = decks.find(d => d.name && d.name !== "Default") || decks[0];
+
+    const [notes] = db.exec("SELECT flds FROM notes ORDER BY id");
+    const rows = (notes?.values ?? []).map(([flds]) => {
+      const fields = String(flds).split("\x1f").map(ankiFieldToText);
+      return [fields[0], fields[1], fields.slice(2).filter(Boolean).join("\n")];
+    });
+    return { ...rowsToCards(rows, 1), title: deck?.name?.split("::").pop() };
+  } finally {
+    db.close();
+  }
+};
+
+/* Lossless JSON (our own export) – keeps mastery and SM-2 scheduling */
+const MAX_INTERVAL_DAYS = 365 * 100;
+
+/* A finite number (numeric strings allowed) clamped to [min, max], else undefined */
+const clampedNumber = (min, max, round = false) => value => {
+  const n = typeof value === "string" && value.trim() ? Number(value) : value;
+  if (typeof n !== "number" || !Number.isFinite(n)) return undefined;
+  const clamped = Math.min(max, Math.max(min, n));
+  return round ? Math.round(clamped) : clamped;
+};
+
+const validDate = value => {
+  if (typeof value !== "string" && typeof value !== "number") return undefined;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+};
+
+/* Scheduling fields as they may come from a hand-edited file – out-of-range
+   values are clamped, anything unusable is dropped for the default */
+const SCHEDULING_FIELDS = {
+  masteryLevel: clampedNumber(0, 100),
+  easeFactor: clampedNumber(MIN_EASE, 10),
+  interval: clampedNumber(0, MAX_INTERVAL_DAYS),
+  repetitions: clampedNumber(0, 10000, true),
+  dueDate: validDate,
+  lastReviewed: validDate
+};
+
+const importJson = buffer => {
+  let data;
+  try {
+    data = JSON.parse(buffer.toString("utf8"));
+  } catch (e) {
+    throw new Error("File is not valid JSON");
+  }
+  if (data?.format !== JSON_FORMAT || !Array.isArray(data.set?.cards))
+    throw new Error(`Not a ${JSON_FORMAT} export`);
+
+  const { cards: basic, skipped } = rowsToCards(data.set.cards.map(c => [c?.question, c?.answer, c?.explanation]), 1);
+  // rowsToCards drops rows, so re-attach scheduling by matching question + answer in order
+  const remaining = [...data.set.cards];
+  const cards = basic.map(card => {
+    const idx = remaining.findIndex(c => String(c?.question ?? "").trim() === card.question && String(c?.answer ?? "").trim() === card.answer);
+    const original = idx === -1 ? {} : remaining.splice(idx, 1)[0];
+    const extra = {};
+    Object.entries(SCHEDULING_FIELDS).forEach(([f, parse]) => {
+      const value = parse(original[f]);
+      if (value !== undefined) extra[f] = value;
+    });
+    if (original.source && typeof original.source === "object" && !Array.isArray(original.source)) extra.source = original.source;
+    return { ...card, ...extra };
+  });
+  return { cards, skipped, title: data.set.title, subject: data.set.subject };
+};
+
+const IMPORTERS = { csv: importCsv, quizlet: importQuizlet, apkg: importApkg, json: importJson };
+
+/* Guess the import format from a file name */
+const detectImportFormat = name => {
+  const ext = path.extname(name || "").toLowerCase();
+  return { ".csv": "csv", ".tsv": "quizlet", ".txt": "quizlet", ".apkg": "apkg", ".json": "json" }[ext] ?? null;
+};
+
+/* ---------------------------------------------------------------
+   Exporters – each returns { data, mimetype, extension }
+   --------------------------------------------------------------- */
+
+const csvField = value => {
+  const text = String(value ?? "");
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const exportCsv = set => ({
+  data: Buffer.from(
+    ["question,answer,explanation", ...set.cards.map(c => [c.question, c.answer, c.explanation].map(csvField).join(","))].join("\r\n"),
+    "utf8"
+  ),
+  mimetype: "text/csv; charset=utf-8",
+  extension: "csv",
+});
+
+/* Quizlet can't quote, so tabs and line breaks inside a card become spaces */
+const flatten = text => String(text ?? "").replace(/[\t\r\n]+/g, " ").trim();
+
+const exportQuizlet = set => ({
+  data: Buffer.from(set.cards.map(c => `${flatten(c.question)}\t${flatten(c.answer)}`).join("\n"), "utf8"),
+  mimetype: "text/tab-separated-values; charset=utf-8",
+  extension: "tsv",
+});
+
+const exportJson = set => ({
+  data: Buffer.from(JSON.stringify({
+    format: JSON_FORMAT,
+    version: JSON_VERSION,
+    exportedAt: new Date().toISOString(),
+    set: {
+      title: set.title,
+      subject: set.subject,
+      masteryLevel: set.masteryLevel,
+      lastStudied: set.lastStudied,
+      cards: set.cards.map(c => ({
+        question: c.question,
+        answer: c.answer,
+        explanation: c.explanation,
+        source: c.source,
+        ...Object.fromEntries(Object.keys(SCHEDULING_FIELDS).map(f => [f, c[f]])),
+      })),
+    },
+  }, null, 2), "utf8"),
+  mimetype: "application/json; charset=utf-8",
+  extension: "json",
+});
+
+const escapeHtml = text =>
+  String(text ?? "").replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/\n/g, "<br>");
+
+/* Anki collection schema (version 11), as written by Anki 2.1 for .apkg */
+const ANKI_SCHEMA = `
+CREATE TABLE col (id integer primary key, crt integer not null, mod integer not null, scm integer not null, ver integer not null, dty integer not null, usn integer not null, ls integer not null, conf text not null, models text not null, decks text not null, dconf text not null, tags text not null);
+CREATE TABLE notes (id integer primary key, guid text not null, mid integer not null, mod integer not null, usn integer not null, tags text not null, flds text not null, sfld integer not null, csum integer not null, flags integer not null, data text not null);
+CREATE TABLE cards (id integer primary key, nid integer not null, did integer not null, ord integer not null, mod integer not null, usn integer not null, type integer not null, queue integer not null, due integer not null, ivl integer not null, factor integer not null, reps integer not null, lapses integer not null, left integer not null, odue integer not null, odid integer not null, flags integer not null, data text not null);
+CREATE TABLE revlog (id integer primary key, cid integer not null, usn integer not null, ease integer not null, ivl integer not null, lastIvl integer not null, factor integer not null, time integer not null, type integer not null);
+CREATE TABLE graves (usn integer not null, oid integer not null, type integer not null);
+CREATE INDEX ix_notes_usn on notes (usn);
+CREATE INDEX ix_cards_usn on cards (usn);
+CREATE INDEX ix_revlog_usn on revlog (usn);
+CREATE INDEX ix_cards_nid on cards (nid);
+CREATE INDEX ix_cards_sched on cards (did, queue, due);
+CREATE INDEX ix_revlog_cid on revlog (cid);
+CREATE INDEX ix_notes_csum on notes (csum);
+`;
+
+const ankiChecksum = text => parseInt(crypto.createHash("sha1").update(text).digest("hex").slice(0, 8), 16);
+
+/* A stable id in Anki's millisecond-timestamp style, derived from `seed` */
+const ankiId = seed => 1_000_000_000_000 + (parseInt(crypto.createHash("sha1").update(String(seed)).digest("hex").slice(0, 10), 16) % 1_000_000_000_000);
+
+const exportApkg = async set => {
+  const SQL = await getSql();
+  const db = new SQL.Database();
+  const now = Math.floor(Date.now() / 1000);
+  const deckId = ankiId(`deck:${set._id}`);
+  const modelId = ankiId(`model:basic`);
+
+  const field = (name, ord) => ({ name, ord, sticky: false, rtl: false, font: "Arial", size: 20, media: [] });
+  const model = {
+    id: modelId, name: "Basic (Sidis)", type: 0, mod: now, usn: -1, sortf: 0, did: deckId,
+    tmpls: [{ name: "Card 1", ord: 0, qfmt: "{{Front}}", afmt: "{{FrontSide}}<hr id=answer>{{Back}}", did: null, bqfmt: "", bafmt: "" }],
+    flds: [field("Front", 0), field("Back", 1)],
+    css: ".card { font-family: arial; font-size: 20px; text-align: center; color: black; background-color: white; }",
+    latexPre: "\\documentclass[12pt]{article}\n\\special{papersize=3in,5in}\n\\usepackage[utf8]{inputenc}\n\\usepackage{amssymb,amsmath}\n\\pagestyle{empty}\n\\setlength{\\parindent}{0in}\n\\begin{document}\n",
+    latexPost: "\\end{document}", tags: [], vers: [], req: [[0, "any", [0]]],
+  };
+  const deck = (id, name) => ({
+    id, name, desc: "", mod: now, usn: -1, collapsed: false, browserCollapsed: false, dyn: 0, conf: 1,
+    extendNew: 0, extendRev: 0, newToday: [0, 0], revToday: [0, 0], lrnToday: [0, 0], timeToday: [0, 0],
+  });
+  const dconf = {
+    id: 1, name: "Default", mod: 0, usn: 0, maxTaken: 60, autoplay: true, timer: 0, replayq: true, dyn: false,
+    new: { bury: true, delays: [1, 10], initialFactor: 2500, ints: [1, 4, 7], order: 1, perDay: 20, separate: true },
+    lapse: { delays: [10], leechAction: 0, leechFails: 8, minInt: 1, mult: 0 },
+    rev: { bury: true, ease4: 1.3, fuzz: 0.05, ivlFct: 1, maxIvl: 36500, minSpace: 1, perDay: 100 },
+  };
+  const conf = { nextPos: set.cards.length + 1, estTimes: true, activeDecks: [1], sortType: "noteFld", timeLim: 0, sortBackwards: false, addToCur: true, curDeck: 1, newBury: true, newSpread: 0, dueCounts: true, curModel: String(modelId), collapseTime: 1200 };
+
+  try {
+    db.run(ANKI_SCHEMA);
+    db.run("INSERT INTO col VALUES (1, ?, ?, ?, 11, 0, 0, 0, ?, ?, ?, ?, '{}')", [
+      now, now * 1000, now * 1000, JSON.stringify(conf),
+      JSON.stringify({ [modelId]: model }),
+      JSON.stringify({ 1: deck(1, "Default"), [deckId]: deck(deckId, set.title) }),
+      JSON.stringify({ 1: dconf }),
+    ]);
+
+    set.cards.forEach((c, i) => {
+      const noteId = ankiId(`note:${c._id ?? i}`) + i;
+      const front = escapeHtml(c.question);
+      const back = escapeHtml(c.answer) + (c.explanation ? `<br><br><i>${escapeHtml(c.explanation)}</i>` : "");
+      const guid = crypto.createHash("sha1").update(`${set._id}:${c._id ?? i}`).digest("base64").slice(0, 10);
+      db.run("INSERT INTO notes VALUES (?, ?, ?, ?, -1, '', ?, ?, ?, 0, '')",
+        [noteId, guid, modelId, now, `${front}\x1f${back}`, c.question, ankiChecksum(c.question)]);
+      db.run("INSERT INTO cards VALUES (?, ?, ?, 0, ?, -1, 0, 0, ?, 0, 0, 0, 0, 0, 0, 0, 0, '')",
+        [noteId + 1, noteId, deckId, now, i + 1]);
+    });
+
+    const zip = new JSZip();
+    zip.file("collection.anki2", db.export());
+    zip.file("media", "{}");
+    return {
+      data: await zip.generateAsync({ type: "nodebuffer", compression: "DEFLATE" }),
+      mimetype: "application/apkg",
+      extension: "apkg",
+    };
+  } finally {
+    db.close();
+  }
+};
+
+const EXPORTERS = { csv: exportCsv, quizlet: exportQuizlet, tsv: exportQuizlet, apkg: exportApkg, json: exportJson };
+
+module.exports = {
+  IMPORTERS,
+  EXPORTERS,
+  MAX_IMPORT_CARDS,
+  detectImportFormat,
+  parseDelimited,
+};
@@ -0,0 +1,113 @@
+// utils/generators.js
+// What each kind of generation job needs: the prompt, the reply schema,
+// how to turn validated items into a document, and user-facing errors.
+const Quiz = require("../models/Quiz");
+const FlashcardSet = require("../models/FlashcardSet");
+const { schemas } = require("./ai");
+const { TYPES, DEFAULT_TYPE } = require("./questionTypes");
+const { MAX_QUESTIONS, MAX_GENERATED_CARDS } = require("../config/limits");
+
+const DEFAULT_CARD_COUNT = 10;
+
+/* The routes validate counts; jobs queued before a limit was lowered are clamped here */
+const countFrom = (value, fallback, max) =>
+  Math.min(Math.max(parseInt(value, 10) || fallback, 1), max);
+
+const typesOf = params => params.questionTypes?.length ? params.questionTypes : [DEFAULT_TYPE];
+
+/* "Review my mistakes" jobs get the questions a student missed as their
+   content (see utils/review.js) and must test the same ideas afresh */
+const VARIANTS_NOTE =
+  `The content lists questions a student answered wrongly, with the correct answers. ` +
+  `Test the same concepts with new wording, new examples and new answer options – ` +
+  `do not copy or lightly rephrase the original questions.\n\n`;
+
+const quiz = {
+  resultType: "quiz",
+  schemaFor: params => schemas.quizQuestionsOf(typesOf(params)),
+
+  targetCount: ({ numQuestions }) => countFrom(numQuestions, 10, MAX_QUESTIONS),
+
+  /* One prompt per document chunk; `count` is this chunk's share */
+  buildPrompt(params, content, count) {
+    const { subject, difficulty } = params;
+    const types = typesOf(params);
+    const examples = types.map(t => ({
+      ...TYPES[t].example,
+      explanation: "One or two sentences on why this is the answer.",
+      sourceExcerpt: "a short passage copied word for word from the content"
+    }));
+    return `Generate ${count} questions for a quiz on "${subject}" at ${difficulty} difficulty level based on the following content:\n\n` +
+      (params.fromMistakes ? VARIANTS_NOTE : "") +
+      (types.length > 1
+        ? `Use a mix of these question types, spread roughly evenly: ${types.join(", ")}.\n\n`
+        : `Every question must be of type "${types[0]}".\n\n`) +
+      `Each question must have:\n- type (string)\n- question (string)\n` +
+      types.map(t => `- for ${TYPES[t].prompt}`).join("\n") + `\n` +
+      `- explanation (string, 1-2 sentences on why the answer is correct)\n` +
+      `- sourceExcerpt (string, a short passage copied word for word from the content that supports the answer)\n\n` +
+      `Return ONLY a valid JSON array. No text outside the JSON.\n` +
+      `Example:\n${JSON.stringify(examples)}\n\n` +
+      `Content:\n${content}`;
+  },
+
+  build(userId, params, questions) {
+    const { title, subject, difficulty, timeLimit, maxAttempts, shortAnswerMarking } = params;
+    return new Quiz({
+      origin: params.fromMistakes ? "review" : "ai",
+      userId,
+      title,
+      subject,
+      difficulty,
+      timeLimit: parseInt(timeLimit, 10) || 0,
+      numQuestions: questions.length,
+      maxAttempts: maxAttempts ? parseInt(maxAttempts, 10) : null,
+      questionTypes: typesOf(params),
+      shortAnswerMarking: shortAnswerMarking === "ai" ? "ai" : "normalized",
+      questions
+    });
+  },
+
+  errors: {
+    INVALID_RESPONSE: "ISI AI returned invalid quiz format.",
+    UNVERIFIED: "ISI AI could not support any question with a quote from the document.",
+    GENERATION_FAILED: "ISI AI failed to generate quiz after retries and key rotations.",
+    suggestion: "Try later, reduce the document size or number of questions."
+  }
+};
+
+const flashcards = {
+  resultType: "flashcardSet",
+  schemaFor: () => schemas.flashcards,
+
+  targetCount: ({ numCards }) => countFrom(numCards, DEFAULT_CARD_COUNT, MAX_GENERATED_CARDS),
+
+  buildPrompt({ subject, fromMistakes }, content, count) {
+    return `Generate ${count} flashcards from the following content for subject "${subject}".\n\n` +
+      (fromMistakes ? VARIANTS_NOTE : "") +
+      `Each flashcard must have:\n- question (string)\n- answer (string)\n` +
+      `- explanation (string, 1-2 sentences of context for the answer)\n` +
+      `- sourceExcerpt (string, a short passage copied word for word from the content that supports the answer)\n\n` +
+      `Return ONLY a valid JSON array. No text outside the JSON.\n` +
+      `Example:\n[{"question":"Capital of France?","answer":"Paris","explanation":"Paris has been the French capital since 987.","sourceExcerpt":"Paris is the capital of France"}]\n\n` +
+      `Content:\n${content}`;
+  },
+
+  build(userId, { title, subject }, cards) {
+    return new FlashcardSet({
+      userId,
+      title,
+      subject,
+      cards: cards.map(c => ({ ...c, masteryLevel: 0 }))
+    });
+  },
+
+  errors: {
+    INVALID_RESPONSE: "ISI AI returned invalid flashcard format.",
+    UNVERIFIED: "ISI AI could not support any flashcard with a quote from the document.",
+    GENERATION_FAILED: "ISI AI failed to generate flashcards after retries and key rotations.",
+    suggestion: "Try again later or use a smaller document."
+  }
+};
+
+module.exports = { quiz, flashcards };
@@ -0,0 +1,163 @@
+// utils/ingestion.js
+// Turns uploaded study material (or pasted text) into sections of plain
+// text for the generators. Supported: PDF, DOCX, PPTX, TXT, Markdown, HTML.
+// A section is { page, heading, text }: PDFs give one per page, slides one
+// per slide (numbered as pages), the rest one per heading (page null).
+const path = require("path");
+const mammoth = require("mammoth");
+const JSZip = require("jszip");
+const { extractPdfPages } = require("./pdfText");
+const { MAX_UPLOAD_MB, MAX_UPLOAD_BYTES } = require("../config/uploads");
+
+const FORMATS = {
+  pdf:  { label: "PDF",        mimetypes: ["application/pdf"], extensions: [".pdf"] },
+  docx: { label: "Word (DOCX)", mimetypes: ["application/vnd.openxmlformats-officedocument.wordprocessingml.document"], extensions: [".docx"] },
+  pptx: { label: "PowerPoint (PPTX)", mimetypes: ["application/vnd.openxmlformats-officedocument.presentationml.presentation"], extensions: [".pptx"] },
+  txt:  { label: "plain text", mimetypes: ["text/plain"], extensions: [".txt"] },
+  md:   { label: "Markdown",   mimetypes: ["text/markdown", "text/x-markdown"], extensions: [".md", ".markdown"] },
+  html: { label: "HTML",       mimetypes: ["text/html", "application/xhtml+xml"], extensions: [".html", ".htm"] },
+};
+
+const SUPPORTED_DESCRIPTION = Object.values(FORMATS).map(f => f.label).join(", ");
+
+/**
+ * Work out the format of an uploaded file. The extension wins because
+ * browsers often send .md / .docx as application/octet-stream.
+ * Returns a key of FORMATS, or null when unsupported.
+ */
+const detectFormat = ({ name = "", mimetype = "" }) => {
+  const ext = path.extname(name).toLowerCase();
+  const byExt = Object.keys(FORMATS).find(k => FORMATS[k].extensions.includes(ext));
+  if (byExt) return byExt;
+  return Object.keys(FORMATS).find(k => FORMATS[k].mimetypes.includes(mimetype)) ?? null;
+};
+
+const decodeEntities = str =>
+  str
+    .replace(/&nbsp;/g, " ")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, n) => String.fromCodePoint(parseInt(n, 10)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, n) => String.fromCodePoint(parseInt(n, 16)))
+    .replace(/&amp;/g, "&");
+
+const htmlToText = html =>
+  decodeEntities(
+    html
+      .replace(/<(script|style|head)[\s\S]*?<\/\1>/gi, " ")
+      .replace(/<br\s*\/?>/gi, "\n")
+      .replace(/<\/(p|div|li|h[1-6]|tr|section|article)>/gi, "\n")
+      .replace(/<[^>]+>/g, " ")
+  )
+    .replace(/[ \t]+/g, " ")
+    .replace(/\n\s*\n+/g, "\n\n")
+    .trim();
+
+/* Split HTML into one section per <h1>-<h6> heading */
+const htmlSections = html => {
+  const parts = html.split(/(?=<h[1-6][\s>])/i);
+  return parts.map(part => {
+    const heading = /<h[1-6][^>]*>([\s\S]*?)<\/h[1-6]>/i.exec(part);
+    return {
+      page: null,
+      heading: heading ? htmlToText(heading[1]) : null,
+      text: htmlToText(part)
+    };
+  });
+};
+
+/* Split Markdown (and pasted text) into one section per # heading */
+const markdownSections = text => {
+  const sections = [];
+  let current = { page: null, heading: null, text: "" };
+  for (const line of text.split(/\r?\n/)) {
+    const heading = /^#{1,6}\s+(.*)$/.exec(line);
+    if (heading) {
+      if (current.text.trim()) sections.push(current);
+      current = { page: null, heading: heading[1].trim(), text: "" };
+    }
+    current.text += line + "\n";
+  }
+  if (current.text.trim()) sections.push(current);
+  return sections;
+};
+
+/* Slides are ppt/slides/slideN.xml; text runs live in <a:t>, paragraphs in <a:p> */
+const extractPptxSlides = async buffer => {
+  const zip = await JSZip.loadAsync(buffer);
+  const slides = Object.keys(zip.files)
+    .filter(name => /^ppt\/slides\/slide\d+\.xml$/.test(name))
+    .sort((a, b) => parseInt(a.match(/(\d+)\.xml$/)[1], 10) - parseInt(b.match(/(\d+)\.xml$/)[1], 10));
+
+  const sections = [];
+  for (const [i, name] of slides.entries()) {
+    const xml = await zip.file(name).async("string");
+    const paragraphs = xml.split(/<\/a:p>/).map(p =>
+      [...p.matchAll(/<a:t>([\s\S]*?)<\/a:t>/g)].map(m => decodeEntities(m[1])).join("")
+    ).filter(Boolean);
+    sections.push({ page: i + 1, heading: paragraphs[0] ?? null, text: paragraphs.join("\n") });
+  }
+  return sections;
+};
+
+const extractors = {
+  pdf: async buffer => (await extractPdfPages(buffer)).map(p => ({ ...p, heading: null })),
+  docx: async buffer => htmlSections((await mammoth.convertToHtml({ buffer })).value),
+  pptx: extractPptxSlides,
+  txt: async buffer => [{ page: null, heading: null, text: buffer.toString("utf8") }],
+  md: async buffer => markdownSections(buffer.toString("utf8")),
+  html: async buffer => htmlSections(buffer.toString("utf8")),
+};
+
+/**
+ * Extract sections from a stored upload ({ name, mimetype, data }).
+ * Returns { format, sections, text }. Throws when the format is
+ * unsupported or the file can't be read.
+ */
+const extractText = async file => {
+  const format = file.format || detectFormat(file);
+  if (!format) throw new Error(`Unsupported file type. Supported: ${SUPPORTED_DESCRIPTION}`);
+  const sections = (await extractors[format](file.data))
+    .map(s => ({ ...s, text: s.text.trim() }))
+    .filter(s => s.text);
+  return { format, sections, text: sections.map(s => s.text).join("\n\n") };
+};
+
+/* Pasted text is treated as Markdown so headings still split it up */
+const sectionsFromText = text => markdownSections(text);
+
+/**
+ * Pick the study material off a generator request: an uploaded `file`
+ * (`pdfFile` still works for older clients) or a pasted `text` field.
+ * Returns { file } or { text }, or { error, field } with a message for a 400.
+ */
+const getStudyMaterial = req => {
+  const file = req.files?.file ?? req.files?.pdfFile;
+  const pasted = typeof req.body.text === "string" ? req.body.text.trim() : "";
+
+  if (file) {
+    const format = detectFormat(file);
+    if (!format) return { error: `Unsupported file type. Supported: ${SUPPORTED_DESCRIPTION}`, field: "file" };
+    if (file.size > MAX_UPLOAD_BYTES) return { error: `File size exceeds ${MAX_UPLOAD_MB} MB limit`, field: "file" };
+    return { file: { name: file.name, mimetype: file.mimetype, format, data: file.data } };
+  }
+
+  if (pasted) {
+    if (Buffer.byteLength(pasted) > MAX_UPLOAD_BYTES) return { error: `Text exceeds ${MAX_UPLOAD_MB} MB limit`, field: "text" };
+    return { text: pasted };
+  }
+
+  return { error: "Upload a file (PDF, DOCX, PPTX, TXT, Markdown or HTML) or paste text", field: "file" };
+};
+
+module.exports = {
+  FORMATS,
+  SUPPORTED_DESCRIPTION,
+  detectFormat,
+  extractText,
+  sectionsFromText,
+  htmlToText,
+  getStudyMaterial
+};
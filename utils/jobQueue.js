@@ -0,0 +1,195 @@
+// utils/jobQueue.js
+// In-process worker for GenerationJob documents. Jobs live in MongoDB, so a
+// restart only delays them: stale in-flight jobs are re-queued and picked up
+// again. On serverless hosts the status endpoint also kicks the worker.
+const GenerationJob = require("../models/GenerationJob");
+const generators = require("./generators");
+const { extractText, sectionsFromText, FORMATS } = require("./ingestion");
+const { chunkSections, allocate, dedupe } = require("./chunking");
+const { verifyCitations } = require("./citations");
+const { CHUNK_CHARS } = require("../config/uploads");
+const { generateJSON, GenerationError } = require("./ai");
+
+const MAX_RUNS = 3;                          // give up after this many tries
+const STALE_MS = parseInt(process.env.GENERATION_JOB_STALE_MS, 10) || 10 * 60 * 1000;
+const POLL_MS = 30 * 1000;
+
+let draining = false;
+let pollTimer = null;
+
+/* Move an in-flight job to its next stage */
+const setStatus = (job, status) => {
+  job.status = status;
+  return job.save();
+};
+
+/* Heartbeat for long stages – keeps recoverStaleJobs from re-queueing a live job */
+const touch = job => GenerationJob.updateOne({ _id: job._id }, { $set: { updatedAt: new Date() } });
+
+const fail = (job, error, details) => {
+  job.status = "failed";
+  job.error = error;
+  job.errorDetails = details;
+  job.finishedAt = new Date();
+  job.file = undefined;
+  job.sourceSections = undefined;
+  return job.save();
+};
+
+const runJob = async job => {
+  const generator = generators[job.kind];
+
+  try {
+    if (!job.sourceSections?.length) {
+      await setStatus(job, "extracting");
+      const label = FORMATS[job.file.format]?.label ?? "file";
+      let sections;
+      try {
+        ({ sections } = await extractText(job.file));
+      } catch (e) {
+        console.error("Text extraction error:", e);
+        return fail(job, job.file.format === "pdf"
+          ? "Failed to parse PDF. Ensure it is a text-based PDF."
+          : `Failed to read ${label}: ${e.message}`);
+      }
+      if (!sections.length) return fail(job, `No text found in ${label}.`);
+
+      job.sourceSections = sections;
+      job.file = undefined;        // the text is all we need from here on
+    }
+
+    /* Generate per chunk, in proportion to how much of the document it holds */
+    await setStatus(job, "generating");
+    const requested = generator.targetCount(job.params);
+    const sections = job.toObject().sourceSections;
+    const chunks = chunkSections(sections, CHUNK_CHARS);
+    const counts = allocate(requested, chunks);
+    const schema = generator.schemaFor(job.params);
+
+    const generated = [];
+    let failedChunks = 0;
+    let lastError = null;
+    for (const chunk of chunks) {
+      const count = counts[chunk.index];
+      if (!count) continue;
+      try {
+        const items = await generateJSON(generator.buildPrompt(job.params, chunk.text, count), schema);
+        const source = { pageStart: chunk.pageStart, pageEnd: chunk.pageEnd, section: chunk.heading };
+        generated.push(...items.map(item => ({ ...item, source })));
+      } catch (e) {
+        if (!(e instanceof GenerationError)) throw e;
+        if (e.code === "NOT_CONFIGURED") return fail(job, e.message);
+        console.warn(`Generation job ${job._id}: chunk ${chunk.index + 1}/${chunks.length} failed (${e.code})`);
+        failedChunks++;
+        lastError = e;
+      }
+      await touch(job);
+    }
+
+    if (!generated.length) {
+      if (lastError?.code === "INVALID_RESPONSE")
+        return fail(job, generator.errors.INVALID_RESPONSE, { debug: lastError.raw });
+      return fail(job, generator.errors.GENERATION_FAILED, { suggestion: generator.errors.suggestion });
+    }
+
+    /* Drop anything quoting text that isn't in the document, then duplicates */
+    await setStatus(job, "validating");
+    const { verified, rejected } = verifyCitations(generated, sections);
+    if (!verified.length)
+      return fail(job, generator.errors.UNVERIFIED, { rejected: rejected.slice(0, 5) });
+
+    const unique = dedupe(verified);
+    const merged = unique.slice(0, requested);
+    job.summary = {
+      requested,
+      generated: merged.length,
+      duplicatesRemoved: verified.length - unique.length,
+      unverifiedRemoved: rejected.length,
+      chunks: chunks.length,
+      failedChunks
+    };
+
+    const doc = generator.build(job.userId, job.params, merged);
+    try {
+      await doc.validate();
+    } catch (e) {
+      return fail(job, generator.errors.INVALID_RESPONSE, { debug: e.message });
+    }
+    await doc.save();
+
+    job.status = "done";
+    job.resultId = doc._id;
+    job.finishedAt = new Date();
+    job.sourceSections = undefined;
+    await job.save();
+  } catch (err) {
+    console.error(`Generation job ${job._id} error:`, err);
+    await fail(job, "Internal server error: " + err.message);
+  }
+};
+
+/* Re-queue jobs whose worker died mid-run; fail those that keep dying */
+const recoverStaleJobs = async () => {
+  const staleBefore = new Date(Date.now() - STALE_MS);
+  const inFlight = { $in: ["extracting", "generating", "validating"] };
+
+  await GenerationJob.updateMany(
+    { status: inFlight, updatedAt: { $lt: staleBefore }, runs: { $gte: MAX_RUNS } },
+    { $set: { status: "failed", error: "Generation kept failing – please try again.", finishedAt: new Date() }, $unset: { file: 1, sourceSections: 1 } }
+  );
+  await GenerationJob.updateMany(
+    { status: inFlight, updatedAt: { $lt: staleBefore } },
+    { $set: { status: "queued" } }
+  );
+};
+
+/* Atomically claim the oldest queued job so two workers never share one */
+const claimNext = () =>
+  GenerationJob.findOneAndUpdate(
+    { status: "queued" },
+    { $set: { status: "extracting", startedAt: new Date() }, $inc: { runs: 1 } },
+    { sort: { createdAt: 1 }, new: true }
+  );
+
+const drain = async () => {
+  if (draining) return;
+  draining = true;
+  try {
+    await recoverStaleJobs();
+    let job;
+    while ((job = await claimNext())) {
+      await runJob(job);
+    }
+  } finally {
+    draining = false;
+  }
+};
+
+/** Process queued jobs now (no-op if the worker is already busy) */
+const kick = () => {
+  drain().catch(err => console.error("Generation worker error:", err));
+};
+
+/** Create a queued job and start working on it. Pasted text skips extraction. */
+const enqueue = async ({ userId, kind, params, file, text }) => {
+  const job = await GenerationJob.create({
+    userId,
+    kind,
+    params,
+    ...(file
+      ? { file: { name: file.name, mimetype: file.mimetype, format: file.format, data: file.data } }
+      : { sourceSections: sectionsFromText(text) })
+  });
+  kick();
+  return job;
+};
+
+/** Resume leftover jobs at boot and keep polling for new ones */
+const startJobWorker = () => {
+  if (pollTimer) return;
+  kick();
+  pollTimer = setInterval(kick, POLL_MS);
+  pollTimer.unref();
+};
+
+module.exports = { enqueue, kick, startJobWorker };
@@ -0,0 +1,198 @@
+// utils/leaderboards.js
+// Keeps user stats and leaderboard totals up to date as results are
+// submitted, so reads never have to scan everyone's history. Stats count
+// every attempt; boards only count a user's first attempt at a quiz someone
+// else owns, so retakes and self-written (or review) quizzes can't be farmed.
+const User = require("../models/User");
+const QuizResult = require("../models/QuizResult");
+const LeaderboardEntry = require("../models/LeaderboardEntry");
+
+const PERIODS = ["all", "week", "month"];
+
+const pad = n => String(n).padStart(2, "0");
+
+/* ISO-8601 week, in UTC – e.g. "2026-W07" */
+const isoWeek = date => {
+  const d = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  const day = d.getUTCDay() || 7;
+  d.setUTCDate(d.getUTCDate() + 4 - day);   // the Thursday of this week decides the year
+  const week = Math.ceil(((d - Date.UTC(d.getUTCFullYear(), 0, 1)) / 86400000 + 1) / 7);
+  return `${d.getUTCFullYear()}-W${pad(week)}`;
+};
+
+/* The stored period key for "week", "month" or "all" at a given time */
+const periodKey = (period, date = new Date()) => {
+  if (period === "week") return isoWeek(date);
+  if (period === "month") return `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}`;
+  return "all";
+};
+
+const subjectBoard = subject => `subject:${String(subject).trim().toLowerCase()}`;
+
+/* Whether a result earns leaderboard points – see the top of this file */
+const countsTowardsBoards = (result, quizOwnerId) =>
+  result.attemptNumber === 1 && Boolean(quizOwnerId) && String(quizOwnerId) !== String(result.userId);
+
+/* Every (board, period) total one result counts towards */
+const entryUpdates = ({ userId, subject, score, timeSpent, createdAt }) => {
+  const boards = [{ board: "all" }];
+  if (subject?.trim()) boards.push({ board: subjectBoard(subject), subject: subject.trim() });
+
+  return boards.flatMap(({ board, subject: label }) =>
+    PERIODS.map(period => ({
+      updateOne: {
+        filter: { board, period: periodKey(period, createdAt), userId },
+        update: {
+          $inc: { points: score, quizzes: 1, timeSpent },
+          $set: { updatedAt: createdAt },
+          ...(label ? { $setOnInsert: { subject: label } } : {})
+        },
+        upsert: true
+      }
+    }))
+  );
+};
+
+/* Count a newly saved result towards the user's stats and, when it earns
+   points, every leaderboard */
+const recordResult = async (result, quiz) => {
+  await User.updateOne(
+    { _id: result.userId },
+    { $inc: { quizzesTaken: 1, totalScore: result.score, hoursPracticed: result.timeSpent / 3600 } }
+  );
+  if (countsTowardsBoards(result, quiz.userId))
+    await LeaderboardEntry.bulkWrite(entryUpdates(result), { ordered: false });
+};
+
+/* Position on the all-time board – ties share a rank */
+const userRank = async user => {
+  const board = { board: "all", period: "all" };
+  const mine = await LeaderboardEntry.findOne({ ...board, userId: user._id }).select("points");
+  return (await LeaderboardEntry.countDocuments({ ...board, points: { $gt: mine?.points || 0 } })) + 1;
+};
+
+/**
+ * One page of a leaderboard plus the caller's own standing.
+ * Ties share a rank ("1, 2, 2, 4"); within a tie order is by user id so
+ * pages don't shuffle between requests.
+ */
+const leaderboardPage = async ({ board, period, page, limit, userId }) => {
+  const filter = { board, period };
+  const [entries, total, mine] = await Promise.all([
+    LeaderboardEntry.find(filter)
+      .sort({ points: -1, userId: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate("userId", "fullName"),
+    LeaderboardEntry.countDocuments(filter),
+    LeaderboardEntry.findOne({ ...filter, userId })
+  ]);
+
+  let rank = entries.length
+    ? (await LeaderboardEntry.countDocuments({ ...filter, points: { $gt: entries[0].points } })) + 1
+    : null;
+  const rows = entries.map((e, i) => {
+    if (i > 0 && e.points !== entries[i - 1].points) rank = (page - 1) * limit + i + 1;
+    const id = e.userId?._id ?? e.userId;
+    return {
+      rank,
+      userId: id,
+      fullName: e.userId?.fullName ?? "Deleted user",
+      points: e.points,
+      quizzes: e.quizzes,
+      averageScore: e.quizzes ? Math.round(e.points / e.quizzes) : 0,
+      isMe: String(id) === String(userId)
+    };
+  });
+
+  const me = mine
+    ? {
+        rank: (await LeaderboardEntry.countDocuments({ ...filter, points: { $gt: mine.points } })) + 1,
+        points: mine.points,
+        quizzes: mine.quizzes,
+        averageScore: mine.quizzes ? Math.round(mine.points / mine.quizzes) : 0
+      }
+    : { rank: null, points: 0, quizzes: 0, averageScore: 0 };
+
+  return { total, entries: rows, me };
+};
+
+/* Subjects that have an all-time board, most active first */
+const leaderboardSubjects = () =>
+  LeaderboardEntry.aggregate([
+    { $match: { board: /^subject:/, period: "all" } },
+    { $group: { _id: "$board", subject: { $first: "$subject" }, players: { $sum: 1 }, quizzes: { $sum: "$quizzes" } } },
+    { $sort: { players: -1, subject: 1 } },
+    { $project: { _id: 0, subject: 1, players: 1, quizzes: 1 } }
+  ]);
+
+/**
+ * Recompute every user's stats and all leaderboard totals from the full
+ * result history – for data that predates incremental updates, or after
+ * results are removed by hand. Results without a stored subject take their
+ * quiz's.
+ */
+const rebuildStats = async () => {
+  const totals = new Map();
+  const entries = new Map();
+
+  const cursor = QuizResult.aggregate([
+    { $lookup: { from: "quizzes", localField: "quizId", foreignField: "_id", as: "quiz", pipeline: [{ $project: { subject: 1, userId: 1 } }] } },
+    {
+      $project: {
+        userId: 1, score: 1, timeSpent: 1, createdAt: 1, attemptNumber: 1,
+        quizOwner: { $first: "$quiz.userId" },
+        subject: { $ifNull: ["$subject", { $first: "$quiz.subject" }] }
+      }
+    }
+  ]).cursor();
+
+  for await (const r of cursor) {
+    const t = totals.get(String(r.userId)) ?? { quizzesTaken: 0, totalScore: 0, hoursPracticed: 0 };
+    t.quizzesTaken++;
+    t.totalScore += r.score;
+    t.hoursPracticed += r.timeSpent / 3600;
+    totals.set(String(r.userId), t);
+
+    if (!countsTowardsBoards(r, r.quizOwner)) continue;
+    entryUpdates(r).forEach(({ updateOne: { filter, update } }) => {
+      const key = `${filter.board}|${filter.period}|${filter.userId}`;
+      const e = entries.get(key) ?? { ...filter, subject: update.$setOnInsert?.subject, points: 0, quizzes: 0, timeSpent: 0, updatedAt: r.createdAt };
+      e.points += r.score;
+      e.quizzes++;
+      e.timeSpent += r.timeSpent;
+      if (r.createdAt > e.updatedAt) e.updatedAt = r.createdAt;
+      entries.set(key, e);
+    });
+  }
+
+  await User.updateMany({}, { $set: { quizzesTaken: 0, totalScore: 0, hoursPracticed: 0 } });
+  if (totals.size) {
+    await User.bulkWrite(
+      [...totals].map(([userId, stats]) => ({ updateOne: { filter: { _id: userId }, update: { $set: stats } } })),
+      { ordered: false }
+    );
+  }
+
+  await LeaderboardEntry.deleteMany({});
+  if (entries.size) await LeaderboardEntry.insertMany([...entries.values()], { ordered: false });
+
+  return { users: totals.size, entries: entries.size };
+};
+
+/* Build the boards on first start (or after they were emptied) – needs
+   attempt numbers in place, so run it after backfillAttemptNumbers() */
+const rebuildStatsIfEmpty = async () =>
+  (await LeaderboardEntry.exists({})) ? null : rebuildStats();
+
+module.exports = {
+  PERIODS,
+  periodKey,
+  subjectBoard,
+  recordResult,
+  userRank,
+  leaderboardPage,
+  leaderboardSubjects,
+  rebuildStats,
+  rebuildStatsIfEmpty
+};
@@ -1,28 +1,26 @@
 const nodemailer = require('nodemailer');
+const { MAIL_FROM, MAIL_TRANSPORT, MAIL_LOG_ONLY } = require('../config/mail');
 
-// Create reusable transporter object using Gmail SMTP
-const transporter = nodemailer.createTransport({
-  service: 'gmail',
-  auth: {
-    user: process.env.SMTP_EMAIL,
-    pass: process.env.SMTP_PASSWORD
-  }
-});
+// Created on first use so .env is loaded by then – see config/mail.js for settings
+let transporter = null;
+const getTransporter = () => (transporter ??= nodemailer.createTransport(MAIL_TRANSPORT));
 
-// Function to send emails
-const sendEmail = async ({ to, subject, text }) => {
+// Function to send emails. `secret` mail (e.g. password resets) never has its
+// body logged, even in log-only mode.
+const sendEmail = async ({ to, subject, text, html, headers, secret = false }) => {
+  if (!MAIL_TRANSPORT) {
+    console.error(`Email to ${to} not sent: no SMTP settings (see config/mail.js)`);
+    throw new Error('Email is not configured');
+  }
   try {
-    await transporter.sendMail({
-      from: `"Tender App" <${process.env.SMTP_EMAIL}>`,
-      to,
-      subject,
-      text
-    });
-    console.log(`Email sent to ${to}: ${subject}`);
+    const info = await getTransporter().sendMail({ from: MAIL_FROM, to, subject, text, html, headers });
+    if (MAIL_LOG_ONLY) console.log(`Email (not sent – MAIL_LOG_ONLY) to ${to}: ${subject}\n${secret ? '[body withheld]' : text}`);
+    else console.log(`Email sent to ${to}: ${subject}`);
+    return info;
   } catch (err) {
     console.error('Email send error:', err);
     throw new Error('Failed to send email');
   }
 };
 
-module.exports = sendEmail;
\ No newline at end of file
+module.exports = sendEmail;
@@ -0,0 +1,176 @@
+// utils/openapi.js
+// An OpenAPI 3 description of the API, read off the routers themselves:
+// paths and methods from Express, inputs and summaries from the schemas
+// given to validate() (middlewares/validate.js), and bearer auth wherever
+// the auth middleware runs – on the route or router-wide via router.use().
+const auth = require("../middlewares/auth");
+const { APP_NAME } = require("../config/mail");
+const { version } = require("../package.json");
+
+const ERROR_CODES = [
+  "required", "invalid_type", "invalid_value", "invalid_id", "invalid_date",
+  "invalid_email", "out_of_range", "too_short", "too_long"
+];
+
+const KEYWORDS = [
+  "description", "enum", "default", "pattern", "minimum", "maximum",
+  "minLength", "maxLength", "minItems", "maxItems"
+];
+
+/* One validate() field spec as JSON Schema */
+const toJsonSchema = spec => {
+  const forType = type => ({
+    string: { type: "string" },
+    integer: { type: "integer" },
+    number: { type: "number" },
+    boolean: { type: "boolean" },
+    array: { type: "array", items: spec.items ? toJsonSchema(spec.items) : {} },
+    object: spec.properties ? objectSchema(spec.properties) : { type: "object" },
+    objectId: { type: "string", pattern: "^[0-9a-fA-F]{24}$" },
+    date: { type: "string", format: "date-time" },
+    email: { type: "string", format: "email" },
+    timezone: { type: "string", example: "Europe/London" }
+  })[type];
+
+  const types = [].concat(spec.type || []);
+  const schema = types.length > 1 ? { oneOf: types.map(forType) } : types.length ? forType(types[0]) : {};
+  KEYWORDS.forEach(k => { if (spec[k] !== undefined) schema[k] = spec[k]; });
+  if (spec.nullable) schema.nullable = true;
+  return schema;
+};
+
+const objectSchema = fields => {
+  const required = Object.keys(fields).filter(name => fields[name].required);
+  return {
+    type: "object",
+    properties: Object.fromEntries(Object.entries(fields).map(([name, spec]) => [name, toJsonSchema(spec)])),
+    ...(required.length ? { required } : {})
+  };
+};
+
+/* "/:id/invites/:decision(accept|decline)" → "/{id}/invites/{decision}" */
+const PATH_PARAM = /:(\w+)(?:\([^)]*\))?/g;
+
+const parameters = (path, schema) => {
+  const params = { ...schema.params };
+  // Path params without a schema still have to be listed
+  for (const [, name] of path.matchAll(PATH_PARAM)) params[name] ??= { type: "string" };
+  const list = (location, fields) => Object.entries(fields || {}).map(([name, spec]) => ({
+    name,
+    in: location,
+    required: location === "path" || Boolean(spec.required),
+    ...(spec.description ? { description: spec.description } : {}),
+    schema: toJsonSchema({ ...spec, description: undefined })
+  }));
+  return [...list("path", params), ...list("query", schema.query)];
+};
+
+const requestBody = schema => {
+  if (!schema.body && !schema.files) return undefined;
+  const json = objectSchema(schema.body || {});
+  if (schema.nonEmptyBody) json.minProperties = 1;
+  const content = { "application/json": { schema: json } };
+  if (schema.files) {
+    const files = Object.entries(schema.files).map(([name, { description }]) =>
+      [name, { type: "string", format: "binary", ...(description ? { description } : {}) }]);
+    content["multipart/form-data"] = {
+      schema: { ...json, properties: { ...json.properties, ...Object.fromEntries(files) } }
+    };
+  }
+  return { required: Boolean(json.required || schema.nonEmptyBody), content };
+};
+
+const operation = (tag, path, { schema, secured }) => {
+  const inputs = schema.params || schema.query || schema.body || path.includes(":");
+  const optionalAuth = !secured && schema.auth === "optional";
+  const body = requestBody(schema);
+  return {
+    tags: [tag],
+    ...(schema.summary ? { summary: schema.summary } : {}),
+    ...(secured ? { security: [{ bearerAuth: [] }] } : optionalAuth ? { security: [{ bearerAuth: [] }, {}] } : {}),
+    parameters: parameters(path, schema),
+    ...(body ? { requestBody: body } : {}),
+    responses: {
+      200: { description: "Success" },
+      ...(inputs ? { 400: { $ref: "#/components/responses/ValidationError" } } : {}),
+      ...(secured || optionalAuth ? { 401: { $ref: "#/components/responses/Unauthorized" } } : {})
+    }
+  };
+};
+
+/* Routes in mounting order; auth added with router.use() covers every route after it */
+const routesOf = router => {
+  let securedFromHere = false;
+  return router.stack.flatMap(layer => {
+    if (!layer.route) {
+      if (layer.handle === auth) securedFromHere = true;
+      return [];
+    }
+    const handlers = layer.route.stack.map(l => l.handle);
+    const schema = handlers.find(h => h.schema)?.schema ?? {};
+    const secured = securedFromHere || handlers.includes(auth);
+    return Object.keys(layer.route.methods)
+      .filter(method => method !== "_all")
+      .map(method => ({ method, path: layer.route.path, schema, secured }));
+  });
+};
+
+/**
+ * The full document for `mounts`, a list of [basePath, router] pairs as
+ * passed to app.use(). Routes without a validate() schema still appear,
+ * just without a summary or documented inputs.
+ */
+const buildOpenApi = mounts => {
+  const paths = {};
+  for (const [base, router] of mounts) {
+    const tag = base.replace(/^\/api\//, "");
+    for (const route of routesOf(router)) {
+      const path = (base + route.path).replace(/\/$/, "").replace(PATH_PARAM, "{$1}");
+      (paths[path] ??= {})[route.method] = operation(tag, route.path, route);
+    }
+  }
+
+  return {
+    openapi: "3.0.3",
+    info: { title: `${APP_NAME} API`, version },
+    paths,
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: "http", scheme: "bearer", bearerFormat: "JWT", description: "Access token from /api/auth/login or /api/auth/refresh" }
+      },
+      schemas: {
+        ValidationError: {
+          type: "object",
+          properties: {
+            error: { type: "string", description: "The first problem, for display" },
+            errors: {
+              type: "array",
+              items: {
+                type: "object",
+                properties: {
+                  field: { type: "string", nullable: true, example: "cards[2].answer", description: "null when the problem is the body as a whole" },
+                  location: { type: "string", enum: ["params", "query", "body"] },
+                  message: { type: "string" },
+                  code: { type: "string", enum: ERROR_CODES }
+                }
+              }
+            }
+          }
+        },
+        Error: { type: "object", properties: { error: { type: "string" } } }
+      },
+      responses: {
+        ValidationError: {
+          description: "Invalid input",
+          content: { "application/json": { schema: { $ref: "#/components/schemas/ValidationError" } } }
+        },
+        Unauthorized: {
+          description: "Missing, invalid or expired access token",
+          content: { "application/json": { schema: { $ref: "#/components/schemas/Error" } } }
+        }
+      }
+    }
+  };
+};
+
+module.exports = { buildOpenApi };
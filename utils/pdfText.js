@@ -0,0 +1,26 @@
+// utils/pdfText.js
+const PDFParser = require("pdf2json");
+
+/** Extract text per page from a text-based PDF buffer → [{ page, text }] */
+const extractPdfPages = async buffer => {
+  const pdfParser = new PDFParser();
+  const pdfData = await new Promise((resolve, reject) => {
+    pdfParser.on("pdfParser_dataError", reject);
+    pdfParser.on("pdfParser_dataReady", resolve);
+    pdfParser.parseBuffer(buffer);
+  });
+
+  return pdfData.Pages.map((page, i) => {
+    let text = "";
+    for (const txt of page.Texts) {
+      text += decodeURIComponent(txt.R[0].T) + " ";
+    }
+    return { page: i + 1, text };
+  });
+};
+
+/** Whole-document text, pages joined by spaces */
+const extractPdfText = async buffer =>
+  (await extractPdfPages(buffer)).map(p => p.text).join(" ");
+
+module.exports = { extractPdfPages, extractPdfText };
@@ -0,0 +1,394 @@
+// utils/printables.js
+// Printable PDFs rendered with pdf-lib: quiz worksheets, answer keys and
+// cut-out flashcards (fronts and backs on alternate pages for duplex printing).
+// Only the standard Helvetica fonts are used, so text outside WinAnsi is
+// transliterated or replaced before drawing.
+const { PDFDocument, StandardFonts, PageSizes, rgb } = require("pdf-lib");
+
+const PAGE_SIZES = { a4: PageSizes.A4, letter: PageSizes.Letter };
+const MARGIN = 50;
+const BLACK = rgb(0, 0, 0);
+const GREY = rgb(0.4, 0.4, 0.4);
+const LIGHT = rgb(0.75, 0.75, 0.75);
+const ACCENT = rgb(0.1, 0.45, 0.2);
+const LETTERS = "ABCDEFGHIJ";
+
+/* ---------------------------------------------------------------
+   Shuffling – seeded so a worksheet and its answer key downloaded
+   separately come out in the same order
+   --------------------------------------------------------------- */
+
+const newSeed = () => Math.floor(Math.random() * 900000) + 100000;
+
+/* mulberry32 */
+const seededRandom = seed => {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const shuffled = (items, random) => {
+  const out = [...items];
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+};
+
+/* Shuffle question order and choice order, remapping the answer key to match.
+   True/false keeps True before False. */
+const shuffleQuestions = (questions, seed) => {
+  const random = seededRandom(seed);
+  return shuffled(questions, random).map(q => {
+    if (!q.options?.length || q.type === "true-false") return q;
+    const order = shuffled(q.options.map((_, i) => i), random);
+    return {
+      ...q,
+      options: order.map(i => q.options[i]),
+      ...(q.correctAnswer !== undefined && q.correctAnswer !== null ? { correctAnswer: order.indexOf(q.correctAnswer) } : {}),
+      ...(q.correctAnswers ? { correctAnswers: q.correctAnswers.map(c => order.indexOf(c)).sort((a, b) => a - b) } : {})
+    };
+  });
+};
+
+/* ---------------------------------------------------------------
+   Text layout helpers
+   --------------------------------------------------------------- */
+
+/* Map text onto what the font can encode: strip accents, swap unknowns for "?" */
+const encodable = font => {
+  const supported = new Set(font.getCharacterSet());
+  return text =>
+    [...String(text ?? "").replace(/\r\n?/g, "\n").replace(/\t/g, "    ")]
+      .map(ch => {
+        if (ch === "\n" || supported.has(ch.codePointAt(0))) return ch;
+        const plain = ch.normalize("NFKD").replace(/[\u0300-\u036f]/g, "");
+        return [...plain].every(c => supported.has(c.codePointAt(0))) && plain ? plain : "?";
+      })
+      .join("");
+};
+
+/* Word-wrap to `width`, breaking words that are wider than a whole line */
+const wrap = (text, font, size, width) => {
+  const lines = [];
+  for (const paragraph of String(text).split("\n")) {
+    let line = "";
+    for (const word of paragraph.split(/ +/)) {
+      const candidate = line ? `${line} ${word}` : word;
+      if (font.widthOfTextAtSize(candidate, size) <= width) {
+        line = candidate;
+        continue;
+      }
+      if (line) lines.push(line);
+      line = "";
+      let rest = word;
+      while (font.widthOfTextAtSize(rest, size) > width) {
+        let cut = rest.length - 1;
+        while (cut > 1 && font.widthOfTextAtSize(rest.slice(0, cut), size) > width) cut--;
+        lines.push(rest.slice(0, cut));
+        rest = rest.slice(cut);
+      }
+      line = rest;
+    }
+    lines.push(line);
+  }
+  return lines;
+};
+
+/**
+ * A flowing document: keeps a cursor, starts new pages as needed and
+ * numbers the pages at the end.
+ */
+const createFlow = async (title, pageSize) => {
+  const doc = await PDFDocument.create();
+  doc.setTitle(title);
+  doc.setProducer("Sidis");
+  const fonts = {
+    regular: await doc.embedFont(StandardFonts.Helvetica),
+    bold: await doc.embedFont(StandardFonts.HelveticaBold),
+    italic: await doc.embedFont(StandardFonts.HelveticaOblique)
+  };
+  const clean = encodable(fonts.regular);
+  const [pageWidth, pageHeight] = pageSize;
+  const width = pageWidth - 2 * MARGIN;
+  let page = null;
+  let y = 0;
+
+  const flow = {
+    doc,
+    fonts,
+    clean,
+    width,
+    newPage() {
+      page = doc.addPage(pageSize);
+      y = pageHeight - MARGIN;
+    },
+    /* Make sure `height` fits on the current page */
+    ensure(height) {
+      if (!page || y - height < MARGIN + 20) flow.newPage();
+    },
+    gap(height) {
+      y -= height;
+    },
+    /* Wrapped paragraph; returns nothing, advances the cursor */
+    text(text, { size = 11, font = fonts.regular, color = BLACK, indent = 0, lineGap = 4 } = {}) {
+      for (const line of wrap(clean(text), font, size, width - indent)) {
+        flow.ensure(size + lineGap);
+        y -= size;
+        page.drawText(line, { x: MARGIN + indent, y, size, font, color });
+        y -= lineGap;
+      }
+    },
+    /* Keep a block together when it fits on one page */
+    keepTogether(height) {
+      if (page && y - height < MARGIN + 20 && height < pageHeight - 2 * MARGIN) flow.newPage();
+    },
+    measure(text, { size = 11, font = fonts.regular, indent = 0, lineGap = 4 } = {}) {
+      return wrap(clean(text), font, size, width - indent).length * (size + lineGap);
+    },
+    /* A choice with an empty (or, when marked, filled) circle or square */
+    choice(label, text, { square = false, marked = false, indent = 18 } = {}) {
+      const size = 11;
+      const lines = wrap(clean(`${label}. ${text}`), marked ? fonts.bold : fonts.regular, size, width - indent - 18);
+      flow.ensure(size + 4);
+      const boxY = y - size + 1;
+      const colour = marked ? ACCENT : BLACK;
+      if (square) {
+        page.drawRectangle({ x: MARGIN + indent, y: boxY, width: 9, height: 9, borderColor: colour, borderWidth: 0.8, color: marked ? ACCENT : undefined });
+      } else {
+        page.drawCircle({ x: MARGIN + indent + 4.5, y: boxY + 4.5, size: 4.5, borderColor: colour, borderWidth: 0.8, color: marked ? ACCENT : undefined });
+      }
+      lines.forEach(line => {
+        flow.ensure(size + 4);
+        y -= size;
+        page.drawText(line, { x: MARGIN + indent + 18, y, size, font: marked ? fonts.bold : fonts.regular, color: colour });
+        y -= 4;
+      });
+    },
+    /* Ruled lines to write an answer on, optionally pre-filled */
+    writingLines(count, { indent = 18, filled } = {}) {
+      for (let i = 0; i < count; i++) {
+        flow.ensure(22);
+        y -= 20;
+        page.drawLine({ start: { x: MARGIN + indent, y }, end: { x: MARGIN + width, y }, thickness: 0.5, color: LIGHT });
+        if (i === 0 && filled)
+          page.drawText(wrap(clean(filled), fonts.bold, 11, width - indent - 8)[0], { x: MARGIN + indent + 4, y: y + 4, size: 11, font: fonts.bold, color: ACCENT });
+      }
+      y -= 4;
+    },
+    /* "Page x of y" plus an optional note on every page */
+    footer(note) {
+      const pages = doc.getPages();
+      pages.forEach((p, i) => {
+        const label = `Page ${i + 1} of ${pages.length}`;
+        p.drawText(label, { x: pageWidth - MARGIN - fonts.regular.widthOfTextAtSize(label, 8), y: MARGIN / 2, size: 8, font: fonts.regular, color: GREY });
+        if (note) p.drawText(clean(note), { x: MARGIN, y: MARGIN / 2, size: 8, font: fonts.regular, color: GREY });
+      });
+    }
+  };
+  return flow;
+};
+
+/* ---------------------------------------------------------------
+   Quizzes
+   --------------------------------------------------------------- */
+
+const answerText = q => {
+  switch (q.type) {
+    case "multiple-select":
+      return q.correctAnswers.map(c => `${LETTERS[c]}. ${q.options[c]}`).join("; ");
+    case "fill-blank":
+    case "short-answer":
+      return q.acceptedAnswers.join(" / ");
+    default:
+      return `${LETTERS[q.correctAnswer]}. ${q.options[q.correctAnswer]}`;
+  }
+};
+
+const drawQuestion = (flow, q, number, { showAnswers }) => {
+  const { fonts } = flow;
+  const note = q.type === "multiple-select" ? "  (select all that apply)" : "";
+  flow.keepTogether(flow.measure(`${number}. ${q.question}${note}`, { font: fonts.bold }) + 20 * Math.min(q.options?.length || 3, 4));
+  flow.text(`${number}. ${q.question}${note}`, { font: fonts.bold });
+  flow.gap(4);
+
+  if (q.options?.length) {
+    const correct = q.type === "multiple-select" ? q.correctAnswers : [q.correctAnswer];
+    q.options.forEach((option, i) =>
+      flow.choice(LETTERS[i], option, { square: q.type === "multiple-select", marked: showAnswers && correct.includes(i) })
+    );
+  } else {
+    flow.writingLines(q.type === "short-answer" ? 3 : 1, { filled: showAnswers ? q.acceptedAnswers[0] : undefined });
+  }
+  if (showAnswers && q.explanation) flow.text(q.explanation, { size: 9, font: fonts.italic, color: GREY, indent: 18 });
+  flow.gap(12);
+};
+
+const drawAnswerKey = (flow, quiz, questions) => {
+  const { fonts } = flow;
+  flow.newPage();
+  flow.text(`Answer key: ${quiz.title}`, { size: 18, font: fonts.bold });
+  flow.text(`${quiz.subject} - ${questions.length} questions`, { size: 10, color: GREY });
+  flow.gap(14);
+  questions.forEach((q, i) => {
+    flow.keepTogether(flow.measure(`${i + 1}. ${answerText(q)}`, { font: fonts.bold }) + 30);
+    flow.text(`${i + 1}. ${answerText(q)}`, { font: fonts.bold });
+    flow.text(q.question, { size: 9, color: GREY, indent: 18 });
+    if (q.explanation) flow.text(q.explanation, { size: 9, font: fonts.italic, color: GREY, indent: 18 });
+    flow.gap(8);
+  });
+};
+
+/**
+ * Render a quiz as a worksheet and/or answer key.
+ * Options: include (["worksheet", "answer-key"]), hideAnswers (default true –
+ * false marks the answers on the worksheet itself), shuffle, seed, pageSize.
+ * Returns { data: Uint8Array, seed } – seed is null when not shuffled.
+ */
+const quizPdf = async (quiz, { include = ["worksheet"], hideAnswers = true, shuffle = false, seed, pageSize = "a4" } = {}) => {
+  const usedSeed = shuffle ? seed ?? newSeed() : null;
+  const source = quiz.questions.map(q => (typeof q.toObject === "function" ? q.toObject() : q));
+  const questions = shuffle ? shuffleQuestions(source, usedSeed) : source;
+
+  const flow = await createFlow(quiz.title, PAGE_SIZES[pageSize] ?? PAGE_SIZES.a4);
+  const { fonts } = flow;
+
+  if (include.includes("worksheet")) {
+    flow.newPage();
+    flow.text(quiz.title, { size: 20, font: fonts.bold });
+    const details = [quiz.subject, quiz.difficulty, `${questions.length} questions`, quiz.timeLimit ? `${quiz.timeLimit} minutes` : null];
+    flow.text(details.filter(Boolean).join(" - "), { size: 10, color: GREY });
+    flow.gap(10);
+    flow.text("Name: ________________________________    Date: ______________", { size: 11 });
+    flow.gap(16);
+    questions.forEach((q, i) => drawQuestion(flow, q, i + 1, { showAnswers: !hideAnswers }));
+  }
+  if (include.includes("answer-key")) drawAnswerKey(flow, quiz, questions);
+
+  flow.footer(usedSeed ? `Shuffle code ${usedSeed}` : quiz.title);
+  return { data: await flow.doc.save(), seed: usedSeed };
+};
+
+/* ---------------------------------------------------------------
+   Flashcards – a grid of cards per sheet. Each sheet of fronts is
+   followed by its backs with the columns mirrored, so printing
+   double-sided (flip on long edge) lines answers up behind questions.
+   --------------------------------------------------------------- */
+
+const CARD_COLUMNS = 2;
+const CARD_ROWS = 4;
+const CARD_PADDING = 12;
+
+/* Largest font size (down to 7pt) at which `text` fits the box; truncates below that */
+const fitText = (text, font, width, height, maxSize) => {
+  for (let size = maxSize; size >= 7; size--) {
+    const lines = wrap(text, font, size, width);
+    if (lines.length * size * 1.25 <= height) return { lines, size };
+  }
+  const size = 7;
+  const lines = wrap(text, font, size, width).slice(0, Math.floor(height / (size * 1.25)));
+  if (lines.length) lines[lines.length - 1] = lines[lines.length - 1].replace(/.{0,3}$/, "...");
+  return { lines, size };
+};
+
+/* Cut lines are dashed, and drawn around every slot so half-empty sheets still cut cleanly */
+const drawCard = (page, fonts, clean, { x, y, width, height }, { label, text, note }) => {
+  page.drawRectangle({ x, y, width, height, borderColor: LIGHT, borderWidth: 0.5, borderDashArray: [4, 3] });
+  if (label) page.drawText(clean(label), { x: x + CARD_PADDING, y: y + height - CARD_PADDING - 7, size: 7, font: fonts.regular, color: GREY });
+
+  const innerWidth = width - 2 * CARD_PADDING;
+  const noteBlock = note ? fitText(clean(note), fonts.italic, innerWidth, height * 0.3, 9) : null;
+  const noteHeight = noteBlock ? noteBlock.lines.length * noteBlock.size * 1.25 + 6 : 0;
+  const { lines, size } = fitText(clean(text), fonts.bold, innerWidth, height - 2 * CARD_PADDING - 14 - noteHeight, 16);
+
+  // Vertically centre the main text in the space above the note
+  const blockHeight = lines.length * size * 1.25 + noteHeight;
+  let cursor = y + height / 2 + blockHeight / 2;
+  lines.forEach(line => {
+    cursor -= size * 1.25;
+    const lineWidth = fonts.bold.widthOfTextAtSize(line, size);
+    page.drawText(line, { x: x + (width - lineWidth) / 2, y: cursor, size, font: fonts.bold, color: BLACK });
+  });
+  if (noteBlock) {
+    cursor -= 6;
+    noteBlock.lines.forEach(line => {
+      cursor -= noteBlock.size * 1.25;
+      const lineWidth = fonts.italic.widthOfTextAtSize(line, noteBlock.size);
+      page.drawText(line, { x: x + (width - lineWidth) / 2, y: cursor, size: noteBlock.size, font: fonts.italic, color: GREY });
+    });
+  }
+};
+
+/**
+ * Render a flashcard set as cut-out cards.
+ * Options: hideAnswers (fronts only), shuffle, seed, pageSize.
+ * Returns { data: Uint8Array, seed } – seed is null when not shuffled.
+ */
+const flashcardsPdf = async (set, { hideAnswers = false, shuffle = false, seed, pageSize = "a4" } = {}) => {
+  const usedSeed = shuffle ? seed ?? newSeed() : null;
+  const cards = shuffle ? shuffled(set.cards, seededRandom(usedSeed)) : set.cards;
+
+  const size = PAGE_SIZES[pageSize] ?? PAGE_SIZES.a4;
+  const flow = await createFlow(set.title, size);
+  const { doc, fonts, clean } = flow;
+  const [pageWidth, pageHeight] = size;
+  const margin = 30;
+  const cardWidth = (pageWidth - 2 * margin) / CARD_COLUMNS;
+  const cardHeight = (pageHeight - 2 * margin) / CARD_ROWS;
+  const perSheet = CARD_COLUMNS * CARD_ROWS;
+
+  const slot = (i, mirrored) => {
+    const row = Math.floor(i / CARD_COLUMNS);
+    const col = i % CARD_COLUMNS;
+    const column = mirrored ? CARD_COLUMNS - 1 - col : col;
+    return { x: margin + column * cardWidth, y: pageHeight - margin - (row + 1) * cardHeight, width: cardWidth, height: cardHeight };
+  };
+
+  for (let start = 0; start < cards.length; start += perSheet) {
+    const sheet = cards.slice(start, start + perSheet);
+    const fronts = doc.addPage(size);
+    sheet.forEach((c, i) =>
+      drawCard(fronts, fonts, clean, slot(i, false), { label: `${set.title} - ${start + i + 1}`, text: c.question })
+    );
+    if (hideAnswers) continue;
+    const backs = doc.addPage(size);
+    sheet.forEach((c, i) =>
+      drawCard(backs, fonts, clean, slot(i, true), { label: `${start + i + 1}`, text: c.answer, note: c.explanation })
+    );
+  }
+
+  flow.footer(usedSeed ? `Shuffle code ${usedSeed}` : hideAnswers ? set.title : `${set.title} - print double-sided, flip on long edge`);
+  return { data: await doc.save(), seed: usedSeed };
+};
+
+/* ---------------------------------------------------------------
+   Query options shared by the quiz and flashcard PDF endpoints
+   --------------------------------------------------------------- */
+
+const flag = value => value === true || value === "true" || value === "1";
+const QUIZ_PARTS = ["worksheet", "answer-key"];
+
+/**
+ * Turn ?include=&hideAnswers=&shuffle=&seed=&pageSize= – already checked by
+ * the printOptions schema (validators/common.js) – into options for
+ * quizPdf / flashcardsPdf.
+ */
+const parsePrintOptions = query => {
+  const seed = query.seed === undefined ? undefined : Number(query.seed);
+  return {
+    include: String(query.include || "worksheet").split(",").map(p => p.trim()).filter(Boolean),
+    pageSize: query.pageSize || "a4",
+    // Answers are hidden on quiz worksheets unless asked for; flashcards show them unless asked not to
+    hideAnswers: query.hideAnswers === undefined ? undefined : flag(query.hideAnswers),
+    shuffle: flag(query.shuffle) || seed !== undefined,
+    seed
+  };
+};
+
+module.exports = { quizPdf, flashcardsPdf, parsePrintOptions, PAGE_SIZES, QUIZ_PARTS };
@@ -0,0 +1,174 @@
+// utils/questionTypes.js
+// Everything type-specific about quiz questions in one place: how the model
+// is asked for them, how generated ones are checked, which submitted answers
+// are acceptable, and how they are graded.
+
+const MAX_TEXT_ANSWER = 2000;
+
+const isIndex = (value, count) => Number.isInteger(value) && value >= 0 && value < count;
+
+/* Lower-case, strip accents/punctuation/leading articles, collapse spaces */
+const normaliseText = text =>
+  String(text)
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s.]/gu, " ")
+    .replace(/(?<!\d)\.|\.(?!\d)/g, " ")
+    .replace(/^\s*(a|an|the)\s+/, "")
+    .replace(/\s+/g, " ")
+    .trim();
+
+const textMatches = (answer, accepted) => {
+  const given = normaliseText(answer);
+  if (!given) return false;
+  return accepted.some(a => {
+    const expected = normaliseText(a);
+    if (given === expected) return true;
+    const [x, y] = [Number(given), Number(expected)];
+    return !Number.isNaN(x) && !Number.isNaN(y) && x === y;
+  });
+};
+
+const checkText = (q, label) => {
+  if (typeof q.question !== "string" || !q.question.trim())
+    throw new Error(`${label}: missing/invalid question`);
+};
+
+const checkAccepted = (q, label) => {
+  if (!Array.isArray(q.acceptedAnswers) || q.acceptedAnswers.length === 0 ||
+      q.acceptedAnswers.some(a => typeof a !== "string" || !a.trim()))
+    throw new Error(`${label}: acceptedAnswers must be a non-empty array of strings`);
+  return q.acceptedAnswers.map(a => a.trim());
+};
+
+const textAnswer = i => answer =>
+  typeof answer === "string" && answer.length <= MAX_TEXT_ANSWER
+    ? null
+    : `answers[${i}] must be null or a string of at most ${MAX_TEXT_ANSWER} characters`;
+
+const TYPES = {
+  "multiple-choice": {
+    prompt: `"multiple-choice": options (array of exactly 4 strings), correctAnswer (index 0-3)`,
+    example: { type: "multiple-choice", question: "What is 2+2?", options: ["1", "2", "3", "4"], correctAnswer: 3 },
+    parse(q, label) {
+      checkText(q, label);
+      if (!Array.isArray(q.options) || q.options.length !== 4)
+        throw new Error(`${label}: must have exactly 4 options`);
+      if (!isIndex(q.correctAnswer, 4)) throw new Error(`${label}: invalid correctAnswer`);
+      return { options: q.options.map(String), correctAnswer: q.correctAnswer };
+    },
+    checkAnswer: (q, answer, i) =>
+      isIndex(answer, q.options.length) ? null
+        : `answers[${i}] must be null or an option index from 0 to ${q.options.length - 1}`,
+    expected: q => q.correctAnswer,
+    grade: (q, answer) => answer === q.correctAnswer,
+  },
+
+  "true-false": {
+    prompt: `"true-false": correctAnswer (0 = True, 1 = False)`,
+    example: { type: "true-false", question: "The sun is a star.", correctAnswer: 0 },
+    parse(q, label) {
+      checkText(q, label);
+      const correct = typeof q.correctAnswer === "boolean" ? (q.correctAnswer ? 0 : 1) : q.correctAnswer;
+      if (!isIndex(correct, 2)) throw new Error(`${label}: invalid correctAnswer`);
+      return { options: ["True", "False"], correctAnswer: correct };
+    },
+    checkAnswer: (q, answer, i) =>
+      isIndex(answer, 2) ? null : `answers[${i}] must be null, 0 (True) or 1 (False)`,
+    expected: q => q.correctAnswer,
+    grade: (q, answer) => answer === q.correctAnswer,
+  },
+
+  "multiple-select": {
+    prompt: `"multiple-select": options (array of 4-6 strings), correctAnswers (array of every correct index, at least 2)`,
+    example: { type: "multiple-select", question: "Which are prime?", options: ["2", "3", "4", "6"], correctAnswers: [0, 1] },
+    parse(q, label) {
+      checkText(q, label);
+      if (!Array.isArray(q.options) || q.options.length < 4 || q.options.length > 6)
+        throw new Error(`${label}: must have 4 to 6 options`);
+      const correct = [...new Set(q.correctAnswers)];
+      if (!Array.isArray(q.correctAnswers) || correct.length < 2 ||
+          correct.some(c => !isIndex(c, q.options.length)))
+        throw new Error(`${label}: invalid correctAnswers`);
+      return { options: q.options.map(String), correctAnswers: correct.sort((a, b) => a - b) };
+    },
+    checkAnswer: (q, answer, i) =>
+      Array.isArray(answer) && new Set(answer).size === answer.length &&
+      answer.every(a => isIndex(a, q.options.length))
+        ? null
+        : `answers[${i}] must be null or an array of distinct option indexes from 0 to ${q.options.length - 1}`,
+    expected: q => q.correctAnswers,
+    // All or nothing: exactly the right set of options
+    grade: (q, answer) => {
+      const chosen = [...answer].sort((a, b) => a - b);
+      return chosen.length === q.correctAnswers.length &&
+        chosen.every((c, idx) => c === q.correctAnswers[idx]);
+    },
+  },
+
+  "fill-blank": {
+    prompt: `"fill-blank": question containing "____" where the missing word(s) go, acceptedAnswers (array of acceptable fillings)`,
+    example: { type: "fill-blank", question: "Water boils at ____ degrees Celsius.", acceptedAnswers: ["100", "one hundred"] },
+    parse(q, label) {
+      checkText(q, label);
+      if (!q.question.includes("____")) throw new Error(`${label}: question must contain ____`);
+      return { acceptedAnswers: checkAccepted(q, label) };
+    },
+    checkAnswer: (q, answer, i) => textAnswer(i)(answer),
+    expected: q => q.acceptedAnswers[0],
+    grade: (q, answer) => textMatches(answer, q.acceptedAnswers),
+  },
+
+  "short-answer": {
+    prompt: `"short-answer": acceptedAnswers (array; first is the model answer, the rest are acceptable short forms)`,
+    example: { type: "short-answer", question: "What gas do plants absorb?", acceptedAnswers: ["Carbon dioxide", "CO2"] },
+    parse(q, label) {
+      checkText(q, label);
+      return { acceptedAnswers: checkAccepted(q, label) };
+    },
+    checkAnswer: (q, answer, i) => textAnswer(i)(answer),
+    // Normalised matching here; AI-assisted marking is layered on in utils/grading.js
+    expected: q => q.acceptedAnswers[0],
+    grade: (q, answer) => textMatches(answer, q.acceptedAnswers),
+  },
+};
+
+const TYPE_NAMES = Object.keys(TYPES);
+const DEFAULT_TYPE = "multiple-choice";
+
+/**
+ * Parse a requested mix ("multiple-choice,true-false" or an array) into
+ * known type names. Returns { types } or { error }.
+ */
+const parseTypeMix = value => {
+  if (value === undefined || value === null || value === "") return { types: [DEFAULT_TYPE] };
+  const list = (Array.isArray(value) ? value : String(value).split(","))
+    .map(t => String(t).trim().toLowerCase())
+    .filter(Boolean);
+  const unknown = list.filter(t => !TYPES[t]);
+  if (unknown.length)
+    return { error: `Unknown question type(s): ${unknown.join(", ")}. Allowed: ${TYPE_NAMES.join(", ")}` };
+  return { types: list.length ? [...new Set(list)] : [DEFAULT_TYPE] };
+};
+
+/**
+ * Validate one hand-written question (manual authoring and editing).
+ * Same per-type rules as generated questions; the explanation is optional.
+ * Throws with a message naming `label` on the first problem.
+ */
+const parseQuestion = (q, label) => {
+  if (!q || typeof q !== "object") throw new Error(`${label}: must be an object`);
+  const type = q.type || DEFAULT_TYPE;
+  if (!TYPES[type]) throw new Error(`${label}: unknown type "${type}"`);
+  if (q.explanation !== undefined && q.explanation !== null && typeof q.explanation !== "string")
+    throw new Error(`${label}: explanation must be a string`);
+  return {
+    type,
+    question: typeof q.question === "string" ? q.question.trim() : q.question,
+    ...TYPES[type].parse(q, label),
+    explanation: q.explanation?.trim() || undefined
+  };
+};
+
+module.exports = { TYPES, TYPE_NAMES, DEFAULT_TYPE, normaliseText, textMatches, parseTypeMix, parseQuestion };
@@ -0,0 +1,164 @@
+// utils/reminders.js
+// Daily reminder emails: a streak about to end or just ended, flashcards
+// due for review and quizzes left half-done. Each user gets at most one
+// email a day, sent on the first check after their chosen local hour.
+// Settings in .env:
+//   REMINDERS_ENABLED=false – turn the scheduler off (e.g. on extra instances)
+//     It also stays off while no mail is configured (see config/mail.js).
+//   REMINDER_CHECK_MINUTES – how often to look for users to remind (default 15)
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const FlashcardSet = require("../models/FlashcardSet");
+const FlashcardProgress = require("../models/FlashcardProgress");
+const QuizSession = require("../models/QuizSession");
+const sendEmail = require("./nodemailer");
+const { APP_NAME, APP_URL, API_URL, MAIL_TRANSPORT } = require("../config/mail");
+const { dayKey, hourIn, shiftDay } = require("./streaks");
+require("dotenv").config();
+
+const CHECK_MS = (parseInt(process.env.REMINDER_CHECK_MINUTES, 10) || 15) * 60 * 1000;
+const ENABLED = process.env.REMINDERS_ENABLED !== "false" && Boolean(MAIL_TRANSPORT);
+
+let running = false;
+let timer = null;
+
+const newUnsubscribeToken = () => crypto.randomBytes(24).toString("base64url");
+
+/* Cards due now in the user's own sets and in progress they keep on shared ones */
+const dueCardCount = async (userId, now) => {
+  const id = new mongoose.Types.ObjectId(userId);
+  const dueCards = [
+    { $unwind: "$cards" },
+    { $match: { $or: [{ "cards.dueDate": { $lte: now } }, { "cards.dueDate": { $exists: false } }] } },
+    { $count: "count" }
+  ];
+  const [owned, shared] = await Promise.all([
+    FlashcardSet.aggregate([{ $match: { userId: id } }, ...dueCards]),
+    FlashcardProgress.aggregate([{ $match: { userId: id } }, ...dueCards])
+  ]);
+  return (owned[0]?.count || 0) + (shared[0]?.count || 0);
+};
+
+/* Started but not submitted, and still open */
+const unfinishedQuizCount = (userId, now) =>
+  QuizSession.countDocuments({
+    userId,
+    status: "in-progress",
+    $or: [{ deadline: null }, { deadline: { $gt: now } }]
+  });
+
+/* What to remind one user about today – an array of lines, empty if nothing */
+const remindersFor = async (user, now) => {
+  const prefs = user.notifications ?? {};
+  const today = dayKey(now, user.timezone);
+  const lines = [];
+
+  if (prefs.streakReminders !== false) {
+    const last = user.streak?.lastStudyDay;
+    const current = user.streak?.current || 0;
+    if (last === shiftDay(today, -1) && current >= 1)
+      lines.push(`Your ${current}-day study streak ends at midnight – a few minutes today keeps it going.`);
+    else if (last === shiftDay(today, -2) && current >= 2)
+      lines.push(`Your ${current}-day study streak ended yesterday. Start a new one today!`);
+  }
+
+  if (prefs.reviewReminders !== false) {
+    const due = await dueCardCount(user._id, now);
+    if (due) lines.push(`${due} flashcard${due === 1 ? " is" : "s are"} due for review: ${APP_URL}/flashcards/review`);
+  }
+
+  if (prefs.quizReminders !== false) {
+    const open = await unfinishedQuizCount(user._id, now);
+    if (open) lines.push(`You have ${open} unfinished quiz attempt${open === 1 ? "" : "s"}: ${APP_URL}/quizzes`);
+  }
+
+  return lines;
+};
+
+/* Send one user's reminder if it's due; returns whether an email went out */
+const remindUser = async (user, now) => {
+  const prefs = user.notifications ?? {};
+  const today = dayKey(now, user.timezone);
+  if (prefs.lastReminderDay === today) return false;
+  if (hourIn(now, user.timezone) < (prefs.reminderHour ?? 18)) return false;
+
+  // Claim today's reminder first so overlapping runs or instances can't double-send
+  const token = prefs.unsubscribeToken || newUnsubscribeToken();
+  const claimed = await User.updateOne(
+    { _id: user._id, "notifications.lastReminderDay": { $ne: today } },
+    { $set: { "notifications.lastReminderDay": today, "notifications.unsubscribeToken": token } }
+  );
+  if (!claimed.modifiedCount) return false;
+
+  const lines = await remindersFor(user, now);
+  if (!lines.length) return false;
+
+  // The link in the text opens the app's page; mail clients' own unsubscribe
+  // button POSTs straight to the API (RFC 8058 one-click)
+  const unsubscribe = `${APP_URL}/unsubscribe?token=${token}`;
+  const oneClick = `${API_URL}/api/notifications/unsubscribe?token=${token}`;
+  await sendEmail({
+    to: user.email,
+    subject: `Your ${APP_NAME} study reminder`,
+    text: `Hi ${user.fullName},\n\n` + lines.map(l => `• ${l}`).join("\n") + "\n\n" +
+      `Change which reminders you get in your notification settings, or stop them all here:\n${unsubscribe}`,
+    headers: {
+      "List-Unsubscribe": `<${oneClick}>`,
+      "List-Unsubscribe-Post": "List-Unsubscribe=One-Click"
+    }
+  });
+  await User.updateOne({ _id: user._id }, { $set: { "notifications.lastReminderAt": now } });
+  return true;
+};
+
+/**
+ * One pass over everyone who still wants reminders – verified addresses only,
+ * so unconfirmed or mistyped signups are never mailed. Users are streamed, and
+ * anyone already reminded today is skipped before any per-user queries run.
+ */
+const runReminders = async (now = new Date()) => {
+  if (running) return { skipped: true };
+  running = true;
+  let sent = 0;
+  let failed = 0;
+  try {
+    const cursor = User.find({
+      suspended: { $ne: true },
+      emailVerified: true,
+      "notifications.email": { $ne: false },
+      $or: [
+        { "notifications.streakReminders": { $ne: false } },
+        { "notifications.reviewReminders": { $ne: false } },
+        { "notifications.quizReminders": { $ne: false } }
+      ]
+    })
+      .select("fullName email timezone streak notifications")
+      .lean()
+      .cursor();
+
+    for await (const user of cursor) {
+      try {
+        if (await remindUser(user, now)) sent++;
+      } catch (err) {
+        failed++;
+        console.error(`Reminder for user ${user._id} failed:`, err.message);
+      }
+    }
+  } finally {
+    running = false;
+  }
+  if (sent || failed) console.log(`Reminders: ${sent} sent, ${failed} failed`);
+  return { sent, failed };
+};
+
+/** Check for reminders to send now and every REMINDER_CHECK_MINUTES after */
+const startReminderScheduler = () => {
+  if (!ENABLED || timer) return;
+  const tick = () => runReminders().catch(err => console.error("Reminder scheduler error:", err));
+  timer = setInterval(tick, CHECK_MS);
+  timer.unref();
+  tick();
+};
+
+module.exports = { newUnsubscribeToken, remindersFor, runReminders, startReminderScheduler };
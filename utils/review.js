@@ -0,0 +1,122 @@
+// utils/review.js
+// "Review my mistakes": practice quizzes and flashcard sets built from the
+// questions a user got wrong (found by missedQuestions in utils/analytics.js).
+// "original" mode reuses those questions as they were; "variants" hands them
+// to the AI generator as study material so it writes new ones on the same
+// concepts.
+const { parseAnalyticsQuery, missedQuestions } = require("./analytics");
+
+const REVIEW_MODES = ["original", "variants"];
+const DEFAULT_REVIEW_ITEMS = 10;
+const MAX_REVIEW_ITEMS = 50;
+
+/**
+ * Body (checked by the route's schema) → { options }, or { error, field } for a bad date range.
+ * subject / from / to narrow which results count; limit caps how many
+ * mistakes are used; minMisses=2 keeps only repeat offenders;
+ * onlyStillMissing drops questions answered correctly since.
+ */
+const parseReviewRequest = body => {
+  const parsed = parseAnalyticsQuery({ from: body.from, to: body.to, subject: body.subject });
+  if (parsed.error) return parsed;
+
+  return {
+    options: {
+      ...parsed.options,
+      mode: body.mode,
+      limit: body.limit ?? DEFAULT_REVIEW_ITEMS,
+      minMisses: body.minMisses ?? 1,
+      onlyStillMissing: body.onlyStillMissing === true
+    }
+  };
+};
+
+/* The mistakes to review, most-missed first */
+const collectMistakes = async (userId, options) => {
+  let missed = await missedQuestions(userId, options, { minMisses: options.minMisses });
+  if (options.onlyStillMissing) missed = missed.filter(m => m.stillMissing);
+  return missed.slice(0, options.limit);
+};
+
+/* The value every mistake shares, or `fallback` when they differ */
+const shared = (values, fallback) => {
+  const distinct = new Map();
+  values.filter(Boolean).forEach(v => distinct.has(v.trim().toLowerCase()) || distinct.set(v.trim().toLowerCase(), v.trim()));
+  return distinct.size === 1 ? [...distinct.values()][0] : fallback;
+};
+
+/* Subject, difficulty and default title for the practice item */
+const reviewLabels = mistakes => {
+  const subject = shared(mistakes.map(m => m.subject), "Mixed");
+  return {
+    subject,
+    difficulty: shared(mistakes.map(m => m.difficulty), "mixed"),
+    title: `Review: ${subject === "Mixed" ? "my mistakes" : subject}`
+  };
+};
+
+/* The correct answer written out, for card backs and the generator */
+const answerText = ({ question: q, expected }) => {
+  if (Array.isArray(expected)) return expected.map(i => q.options?.[i]).join("; ");
+  if (typeof expected === "number") return q.options?.[expected] ?? String(expected);
+  return String(expected);
+};
+
+/* Quiz questions, exactly as they were asked */
+const reviewQuestions = mistakes =>
+  mistakes.map(({ question: q }) => {
+    const copy = {
+      type: q.type,
+      question: q.question,
+      options: q.options,
+      correctAnswer: q.correctAnswer,
+      correctAnswers: q.correctAnswers,
+      acceptedAnswers: q.acceptedAnswers,
+      explanation: q.explanation ?? undefined,
+      source: q.source ?? undefined
+    };
+    Object.keys(copy).forEach(k => copy[k] === undefined && delete copy[k]);
+    return copy;
+  });
+
+/* One card per mistake – choice questions list their options on the front */
+const reviewCards = mistakes =>
+  mistakes.map(m => {
+    const q = m.question;
+    const choices = q.options?.length && q.type !== "true-false"
+      ? "\n\n" + q.options.map((o, i) => `${String.fromCharCode(65 + i)}. ${o}`).join("\n")
+      : "";
+    return {
+      question: `${q.question}${choices}`,
+      answer: answerText(m),
+      explanation: q.explanation ?? undefined,
+      source: q.source ?? undefined,
+      masteryLevel: 0
+    };
+  });
+
+/* Study material for variant generation – a Markdown section per quiz */
+const mistakesAsText = mistakes => {
+  const byQuiz = new Map();
+  mistakes.forEach(m => {
+    const heading = m.quizTitle || m.subject || "Questions";
+    if (!byQuiz.has(heading)) byQuiz.set(heading, []);
+    byQuiz.get(heading).push(
+      `Question: ${m.question.question}\n` +
+      `Correct answer: ${answerText(m)}\n` +
+      (m.question.explanation ? `Explanation: ${m.question.explanation}\n` : "")
+    );
+  });
+  return [...byQuiz].map(([heading, items]) => `## ${heading}\n\n${items.join("\n")}`).join("\n\n");
+};
+
+module.exports = {
+  REVIEW_MODES,
+  MAX_REVIEW_ITEMS,
+  parseReviewRequest,
+  collectMistakes,
+  reviewLabels,
+  reviewQuestions,
+  reviewCards,
+  mistakesAsText
+};
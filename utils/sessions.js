@@ -0,0 +1,139 @@
+// utils/sessions.js
+// Short-lived access tokens plus rotating refresh tokens, one Session per
+// signed-in device. Settings in .env:
+//   ACCESS_TOKEN_TTL – jsonwebtoken duration for access tokens (default 15m)
+//   REFRESH_TOKEN_TTL_DAYS – how long an unused session lasts (default 30)
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const Session = require("../models/Session");
+require("dotenv").config();
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const hashToken = token => crypto.createHash("sha256").update(String(token)).digest("hex");
+const newRefreshToken = () => crypto.randomBytes(48).toString("base64url");
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * DAY_MS);
+
+/* Who's asking – shown in the session list */
+const clientInfo = req => ({
+  userAgent: (req.get("user-agent") || "").slice(0, 300),
+  ip: req.ip || ""
+});
+
+const signAccessToken = (user, sessionId) =>
+  jwt.sign({ userId: user._id, role: user.role, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL
+  });
+
+/* The body login, signup and refresh reply with */
+const tokenPair = (user, session, refreshToken) => ({
+  token: signAccessToken(user, session._id),
+  refreshToken,
+  refreshTokenExpiresAt: session.expiresAt,
+  sessionId: session._id
+});
+
+/* Sign a user in on a new device */
+const startSession = async (user, req) => {
+  const refreshToken = newRefreshToken();
+  const session = await Session.create({
+    userId: user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    expiresAt: refreshExpiry(),
+    ...clientInfo(req)
+  });
+  return tokenPair(user, session, refreshToken);
+};
+
+/**
+ * Swap a refresh token for a new one, extending the session.
+ * Returns { session, refreshToken }, or null when the token isn't live.
+ * Presenting a token that has already been rotated means it was copied, so
+ * the whole session is revoked and both holders have to sign in again.
+ */
+const rotateRefreshToken = async (refreshToken, req) => {
+  if (typeof refreshToken !== "string" || !refreshToken) return null;
+  const hash = hashToken(refreshToken);
+  const next = newRefreshToken();
+  const now = new Date();
+
+  const session = await Session.findOneAndUpdate(
+    { refreshTokenHash: hash, revokedAt: null, expiresAt: { $gt: now } },
+    {
+      $set: {
+        refreshTokenHash: hashToken(next),
+        previousTokenHash: hash,
+        lastUsedAt: now,
+        expiresAt: refreshExpiry(),
+        ...clientInfo(req)
+      }
+    },
+    { new: true }
+  );
+  if (session) return { session, refreshToken: next };
+
+  await Session.updateOne(
+    { previousTokenHash: hash, revokedAt: null },
+    { $set: { revokedAt: now, revokedReason: "refresh token reused" } }
+  );
+  return null;
+};
+
+/* End one session; returns whether there was a live one to end */
+const revokeSession = async (filter, reason = "logout") => {
+  const result = await Session.updateOne(
+    { ...filter, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount > 0;
+};
+
+const revokeByRefreshToken = (refreshToken, reason) =>
+  typeof refreshToken === "string" && refreshToken
+    ? revokeSession({ refreshTokenHash: hashToken(refreshToken) }, reason)
+    : false;
+
+/* End every session a user has, optionally keeping one; returns how many ended */
+const revokeAllSessions = async (userId, { except, reason = "logout everywhere" } = {}) => {
+  const result = await Session.updateMany(
+    { userId, revokedAt: null, ...(except ? { _id: { $ne: except } } : {}) },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount;
+};
+
+/* Whether an access token's session is still live (checked on every request) */
+const isSessionActive = (sessionId, userId) =>
+  Session.exists({ _id: sessionId, userId, revokedAt: null, expiresAt: { $gt: new Date() } });
+
+const listSessions = userId =>
+  Session.find({ userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .select("userAgent ip createdAt lastUsedAt expiresAt")
+    .sort({ lastUsedAt: -1 });
+
+const formatSession = (s, currentId) => ({
+  id: s._id,
+  userAgent: s.userAgent,
+  ip: s.ip,
+  createdAt: s.createdAt,
+  lastUsedAt: s.lastUsedAt,
+  expiresAt: s.expiresAt,
+  current: Boolean(currentId) && s._id.equals(currentId)
+});
+
+module.exports = {
+  ACCESS_TOKEN_TTL,
+  REFRESH_TOKEN_TTL_DAYS,
+  signAccessToken,
+  tokenPair,
+  startSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeByRefreshToken,
+  revokeAllSessions,
+  isSessionActive,
+  listSessions,
+  formatSession
+};
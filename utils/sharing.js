@@ -0,0 +1,175 @@
+// utils/sharing.js
+// Sharing for quizzes and flashcard sets. Owners share with chosen users or
+// publish a revocable link; recipients get read access (their results and
+// mastery are stored separately), and anyone with access can clone a copy.
+const crypto = require("crypto");
+const User = require("../models/User");
+const validate = require("../middlewares/validate");
+const { sharingSchemas } = require("../validators/sharing");
+
+/* Query filter: documents the user owns or has been given access to */
+const accessibleBy = userId => ({ $or: [{ userId }, { "sharedWith.userId": userId }] });
+
+const isOwner = (doc, userId) => String(doc.userId?._id ?? doc.userId) === String(userId);
+
+const newShareToken = () => crypto.randomBytes(18).toString("base64url");
+
+/**
+ * Mount the sharing endpoints for one kind of document on `router`:
+ *
+ *   GET    <path>/share            recipients and link (owner)
+ *   POST   <path>/share            { emails: [...] } – share with users (owner)
+ *   DELETE <path>/share/:userId    remove a recipient (owner, or a recipient leaving)
+ *   POST   <path>/share-link       create or rotate the share link (owner)
+ *   DELETE <path>/share-link       revoke it, dropping everyone who joined through it (owner)
+ *   POST   <path>/clone            copy into the caller's library (owner or recipient)
+ *   GET    /shared/:token          preview what a link points at
+ *   POST   /shared/:token/join     add the caller as a recipient
+ *
+ * `path` holds the :id param ("/:id", "/sets/:id"); `preview(doc)` gives the
+ * public summary and `clone(doc, userId)` builds the unsaved copy. The optional
+ * `canClone(doc, userId)` resolves to an error message when a recipient may
+ * not copy the document yet (owners always can).
+ */
+const mountSharing = (router, auth, { Model, path, label, basePath, preview, clone, canClone }) => {
+  const noun = label.toLowerCase();
+  const schemas = sharingSchemas(label);
+  const notFound = res => res.status(404).json({ error: `${label} not found` });
+
+  /* Wrap a handler with the usual 500 reply */
+  const handle = (action, fn) => async (req, res) => {
+    try {
+      await fn(req, res);
+    } catch (err) {
+      console.error(`Error ${action}:`, err);
+      res.status(500).json({ error: `Failed ${action}` });
+    }
+  };
+
+  const findOwned = req => Model.findOne({ _id: req.params.id, userId: req.user.userId });
+
+  const formatShare = async doc => {
+    const users = await User.find({ _id: { $in: doc.sharedWith.map(r => r.userId) } }).select("fullName email").lean();
+    const byId = new Map(users.map(u => [u._id.toString(), u]));
+    return {
+      recipients: doc.sharedWith.map(r => ({
+        userId: r.userId,
+        fullName: byId.get(r.userId.toString())?.fullName ?? null,
+        email: byId.get(r.userId.toString())?.email ?? null,
+        via: r.via,
+        addedAt: r.addedAt
+      })),
+      shareToken: doc.shareToken ?? null,
+      sharePath: doc.shareToken ? `${basePath}/shared/${doc.shareToken}` : null
+    };
+  };
+
+  router.get(`${path}/share`, auth, validate(schemas.getShare), handle("fetching share settings", async (req, res) => {
+    const doc = await findOwned(req);
+    if (!doc) return notFound(res);
+    res.json({ success: true, ...(await formatShare(doc)) });
+  }));
+
+  router.post(`${path}/share`, auth, validate(schemas.share), handle("sharing", async (req, res) => {
+    const { emails } = req.body;
+    const doc = await findOwned(req);
+    if (!doc) return notFound(res);
+
+    const wanted = [...new Set(emails.map(e => e.trim()))];
+    const users = await User.find({ email: { $in: [...wanted, ...wanted.map(e => e.toLowerCase())] } }).select("email").lean();
+    const found = new Map(users.map(u => [u.email.toLowerCase(), u]));
+
+    const added = [];
+    const skipped = [];
+    for (const email of wanted) {
+      const user = found.get(email.toLowerCase());
+      if (!user) { skipped.push({ email, reason: "no account with this email" }); continue; }
+      if (isOwner(doc, user._id)) { skipped.push({ email, reason: "that's the owner" }); continue; }
+      const existing = doc.sharedWith.find(r => r.userId.equals(user._id));
+      if (existing) {
+        existing.via = "invite";     // an explicit invite survives revoking the link
+        skipped.push({ email, reason: "already shared" });
+        continue;
+      }
+      doc.sharedWith.push({ userId: user._id, via: "invite" });
+      added.push(email);
+    }
+    await doc.save();
+
+    res.json({ success: true, added, skipped, ...(await formatShare(doc)) });
+  }));
+
+  router.delete(`${path}/share/:userId`, auth, validate(schemas.removeRecipient), handle("removing recipient", async (req, res) => {
+    const doc = await Model.findOne({ _id: req.params.id, ...accessibleBy(req.user.userId) });
+    if (!doc) return notFound(res);
+    const leaving = req.params.userId === "me" || req.params.userId === String(req.user.userId);
+    if (!isOwner(doc, req.user.userId) && !leaving)
+      return res.status(403).json({ error: `Only the owner can change who this ${noun} is shared with` });
+
+    const target = leaving ? String(req.user.userId) : req.params.userId;
+    const before = doc.sharedWith.length;
+    doc.sharedWith = doc.sharedWith.filter(r => r.userId.toString() !== target);
+    if (doc.sharedWith.length === before) return res.status(404).json({ error: "Not shared with that user" });
+    await doc.save();
+
+    res.json({ success: true, message: leaving ? `You no longer have access to this ${noun}` : "Recipient removed" });
+  }));
+
+  router.post(`${path}/share-link`, auth, validate(schemas.createLink), handle("creating share link", async (req, res) => {
+    const doc = await findOwned(req);
+    if (!doc) return notFound(res);
+    doc.shareToken = newShareToken();   // rotating invalidates the old link for new joins
+    await doc.save();
+    res.status(201).json({ success: true, ...(await formatShare(doc)) });
+  }));
+
+  router.delete(`${path}/share-link`, auth, validate(schemas.revokeLink), handle("revoking share link", async (req, res) => {
+    const doc = await findOwned(req);
+    if (!doc) return notFound(res);
+    const removed = doc.sharedWith.filter(r => r.via === "link").length;
+    doc.shareToken = undefined;
+    doc.sharedWith = doc.sharedWith.filter(r => r.via !== "link");
+    await doc.save();
+    res.json({ success: true, message: "Share link revoked", removedRecipients: removed });
+  }));
+
+  router.post(`${path}/clone`, auth, validate(schemas.clone), handle("cloning", async (req, res) => {
+    const doc = await Model.findOne({ _id: req.params.id, ...accessibleBy(req.user.userId) });
+    if (!doc) return notFound(res);
+    if (canClone && !isOwner(doc, req.user.userId)) {
+      const refusal = await canClone(doc, req.user.userId);
+      if (refusal) return res.status(403).json({ error: refusal });
+    }
+    const copy = clone(doc, req.user.userId);
+    copy.clonedFrom = doc._id;
+    await copy.save();
+    res.status(201).json({ success: true, id: copy._id, message: `${label} copied to your library` });
+  }));
+
+  router.get("/shared/:token", auth, validate(schemas.previewLink), handle("fetching shared link", async (req, res) => {
+    const doc = await Model.findOne({ shareToken: req.params.token }).populate("userId", "fullName");
+    if (!doc) return res.status(404).json({ error: "This share link is invalid or has been revoked" });
+    res.json({
+      success: true,
+      id: doc._id,
+      owner: doc.userId?.fullName ?? null,
+      isOwner: isOwner(doc, req.user.userId),
+      joined: doc.sharedWith.some(r => r.userId.toString() === String(req.user.userId)),
+      ...preview(doc)
+    });
+  }));
+
+  router.post("/shared/:token/join", auth, validate(schemas.joinLink), handle("joining shared link", async (req, res) => {
+    const doc = await Model.findOne({ shareToken: req.params.token });
+    if (!doc) return res.status(404).json({ error: "This share link is invalid or has been revoked" });
+    if (!isOwner(doc, req.user.userId)) {
+      await Model.updateOne(
+        { _id: doc._id, shareToken: req.params.token, "sharedWith.userId": { $ne: req.user.userId } },
+        { $push: { sharedWith: { userId: req.user.userId, via: "link" } } }
+      );
+    }
+    res.json({ success: true, id: doc._id, message: `Joined shared ${noun}` });
+  }));
+};
+
+module.exports = { accessibleBy, isOwner, newShareToken, mountSharing };
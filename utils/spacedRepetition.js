@@ -0,0 +1,51 @@
+// utils/spacedRepetition.js
+// SM-2 scheduling for flashcards (SuperMemo 2, with Anki-style grade names).
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MIN_EASE = 1.3;
+const DEFAULT_EASE = 2.5;
+const MATURE_INTERVAL_DAYS = 21; // interval at which a card counts as fully mastered
+
+/* Grade name → SM-2 response quality (0-5). Anything below 3 is a lapse. */
+const GRADES = { again: 1, hard: 3, good: 4, easy: 5 };
+
+/**
+ * Apply one review to a card (mutates and returns it).
+ * A lapse ("again") resets the repetition count and makes the card due
+ * immediately so it comes back in the same session's queue.
+ */
+const reviewCard = (card, grade, now = new Date()) => {
+  const quality = GRADES[grade];
+  if (quality === undefined) throw new Error(`Unknown grade "${grade}"`);
+
+  const ease = card.easeFactor || DEFAULT_EASE;
+  const repetitions = card.repetitions || 0;
+  const interval = card.interval || 0;
+
+  if (quality < 3) {
+    card.repetitions = 0;
+    card.interval = 0;
+  } else {
+    if (repetitions === 0) card.interval = 1;
+    else if (repetitions === 1) card.interval = 6;
+    else card.interval = Math.round(interval * ease);
+    card.repetitions = repetitions + 1;
+  }
+
+  const nextEase = ease + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02));
+  card.easeFactor = Math.max(MIN_EASE, Math.round(nextEase * 100) / 100);
+  card.dueDate = new Date(now.getTime() + card.interval * DAY_MS);
+  card.lastReviewed = now;
+  card.masteryLevel = Math.min(100, Math.round((card.interval / MATURE_INTERVAL_DAYS) * 100));
+
+  return card;
+};
+
+/* Cutoff for "due today" – the daily review queue includes anything due before midnight */
+const endOfToday = (now = new Date()) => {
+  const end = new Date(now);
+  end.setHours(23, 59, 59, 999);
+  return end;
+};
+
+module.exports = { GRADES, MIN_EASE, DEFAULT_EASE, reviewCard, endOfToday };
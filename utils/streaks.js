@@ -0,0 +1,151 @@
+// utils/streaks.js
+// Study days, streaks and daily goals. Activity is recorded as it happens
+// (flashcard reviews, quiz submissions); a day is any day with activity,
+// counted in the user's own timezone.
+const User = require("../models/User");
+const StudyDay = require("../models/StudyDay");
+
+const GOAL_FIELDS = ["cardsReviewed", "quizzesTaken"];
+const MAX_DAILY_GOAL = 500;
+
+/* YYYY-MM-DD for `date` as seen in `timeZone` */
+const dayKey = (date = new Date(), timeZone = "UTC") =>
+  new Intl.DateTimeFormat("en-CA", { timeZone, year: "numeric", month: "2-digit", day: "2-digit" }).format(date);
+
+/* The hour (0-23) it is in `timeZone` */
+const hourIn = (date, timeZone = "UTC") =>
+  parseInt(new Intl.DateTimeFormat("en-GB", { timeZone, hour: "2-digit", hourCycle: "h23" }).format(date), 10);
+
+/* Move a YYYY-MM-DD key by whole days */
+const shiftDay = (key, days) => {
+  const d = new Date(`${key}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+};
+
+const isValidTimeZone = zone => {
+  if (typeof zone !== "string" || !zone) return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: zone });
+    return true;
+  } catch (e) {
+    return false;
+  }
+};
+
+/* true/false once any goal is set; null when the user has none */
+const goalMet = (goal, day) => {
+  const set = GOAL_FIELDS.filter(f => goal?.[f] > 0);
+  if (!set.length) return null;
+  return set.every(f => (day?.[f] || 0) >= goal[f]);
+};
+
+/**
+ * Count activity towards today and extend the streak on the first activity
+ * of the day. `activity` holds increments: { cardsReviewed, quizzesTaken, timeSpent }.
+ */
+const recordActivity = async (userId, activity, now = new Date()) => {
+  const user = await User.findById(userId).select("timezone dailyGoal streak").lean();
+  if (!user) return null;
+  const today = dayKey(now, user.timezone);
+
+  const inc = {};
+  ["cardsReviewed", "quizzesTaken", "timeSpent"].forEach(f => { if (activity[f]) inc[f] = activity[f]; });
+  const day = await StudyDay.findOneAndUpdate(
+    { userId, day: today },
+    { $inc: inc, $set: { updatedAt: now } },
+    { upsert: true, new: true }
+  );
+  if (!day.goalMet && goalMet(user.dailyGoal, day)) {
+    day.goalMet = true;
+    await day.save();
+  }
+
+  const last = user.streak?.lastStudyDay;
+  if (last !== today) {
+    const current = last === shiftDay(today, -1) ? (user.streak.current || 0) + 1 : 1;
+    // Matching on the old lastStudyDay means two requests at once only extend it once
+    await User.updateOne(
+      { _id: userId, "streak.lastStudyDay": last ?? null },
+      { $set: { "streak.current": current, "streak.lastStudyDay": today }, $max: { "streak.longest": current } }
+    );
+  }
+  return day;
+};
+
+/* The streak as it stands now – a stored streak is already over if the last study day was before yesterday */
+const streakStatus = (user, now = new Date()) => {
+  const today = dayKey(now, user.timezone);
+  const last = user.streak?.lastStudyDay ?? null;
+  const alive = last === today || last === shiftDay(today, -1);
+  return {
+    current: alive ? user.streak.current : 0,
+    longest: user.streak?.longest || 0,
+    lastStudyDay: last,
+    studiedToday: last === today,
+    // Studied yesterday but not yet today – the streak ends at midnight
+    atRisk: last === shiftDay(today, -1)
+  };
+};
+
+/* Today's activity against the daily goal */
+const goalProgress = (user, day) => {
+  const goal = { cardsReviewed: user.dailyGoal?.cardsReviewed || 0, quizzesTaken: user.dailyGoal?.quizzesTaken || 0 };
+  return {
+    goal,
+    cardsReviewed: day?.cardsReviewed || 0,
+    quizzesTaken: day?.quizzesTaken || 0,
+    timeSpent: day?.timeSpent || 0,
+    met: goalMet(goal, day)
+  };
+};
+
+/* Streak, today's goal progress and the last `days` days, oldest first with empty days filled in */
+const studySummary = async (user, days = 30, now = new Date()) => {
+  const today = dayKey(now, user.timezone);
+  const since = shiftDay(today, -(days - 1));
+  const records = await StudyDay.find({ userId: user._id, day: { $gte: since, $lte: today } }).lean();
+  const byDay = new Map(records.map(r => [r.day, r]));
+
+  const history = Array.from({ length: days }, (_, i) => {
+    const key = shiftDay(since, i);
+    const r = byDay.get(key);
+    return {
+      day: key,
+      cardsReviewed: r?.cardsReviewed || 0,
+      quizzesTaken: r?.quizzesTaken || 0,
+      timeSpent: r?.timeSpent || 0,
+      goalMet: r?.goalMet || false
+    };
+  });
+
+  return {
+    timezone: user.timezone,
+    streak: streakStatus(user, now),
+    today: { day: today, ...goalProgress(user, byDay.get(today)) },
+    history
+  };
+};
+
+/* The User update for a checked goals body (validators/study.js) – { dailyGoal fields?, timezone? } */
+const goalUpdate = body => {
+  const update = {};
+  for (const field of GOAL_FIELDS)
+    if (body[field] !== undefined) update[`dailyGoal.${field}`] = body[field];
+  if (body.timezone !== undefined) update.timezone = body.timezone;
+  return update;
+};
+
+module.exports = {
+  GOAL_FIELDS,
+  MAX_DAILY_GOAL,
+  dayKey,
+  hourIn,
+  shiftDay,
+  isValidTimeZone,
+  recordActivity,
+  streakStatus,
+  goalProgress,
+  studySummary,
+  goalUpdate
+};
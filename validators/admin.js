@@ -0,0 +1,31 @@
+// validators/admin.js
+// Request schemas for routes/admin.js.
+const User = require("../models/User");
+const { idParam, pagination } = require("./common");
+
+const userId = idParam("id", "User id");
+
+module.exports = {
+  listUsers: {
+    summary: "List users",
+    query: {
+      ...pagination(),
+      search: { type: "string", maxLength: 100, description: "Matches name or email" },
+      role: { type: "string", enum: User.ROLES },
+      suspended: { type: "boolean" }
+    }
+  },
+  getUser: { summary: "Get a user", params: userId },
+  setRole: {
+    summary: "Change a user's role",
+    params: userId,
+    body: { role: { type: "string", required: true, enum: User.ROLES } }
+  },
+  suspend: {
+    summary: "Suspend a user and sign them out everywhere",
+    params: userId,
+    body: { reason: { type: "string", maxLength: 500 } }
+  },
+  unsuspend: { summary: "Lift a suspension", params: userId },
+  rebuildStats: { summary: "Recompute user stats and leaderboards from quiz results" }
+};
@@ -0,0 +1,20 @@
+// validators/analytics.js
+// Request schemas for routes/analytics.js.
+const { INTERVALS } = require("../utils/analytics");
+const { historyFilter } = require("./common");
+
+module.exports = {
+  overview: { summary: "Accuracy by subject and difficulty", query: historyFilter },
+  timeSeries: {
+    summary: "Scores over time",
+    query: { ...historyFilter, interval: { type: "string", enum: INTERVALS, default: "day" } }
+  },
+  missedQuestions: {
+    summary: "Questions I get wrong most often",
+    query: {
+      ...historyFilter,
+      minMisses: { type: "integer", minimum: 1, default: 1 },
+      limit: { type: "integer", minimum: 1, maximum: 100, default: 20 }
+    }
+  }
+};
@@ -0,0 +1,39 @@
+// validators/auth.js
+// Request schemas for routes/auth.js.
+const { MIN_PASSWORD_LENGTH, MAX_PASSWORD_LENGTH, MAX_NAME_LENGTH } = require("../config/limits");
+const { idParam } = require("./common");
+
+const email = { type: "email", required: true, maxLength: 254 };
+/* Existing passwords are only capped – the minimum applies when one is set */
+const password = { type: "string", required: true, maxLength: MAX_PASSWORD_LENGTH };
+const newPassword = { ...password, minLength: MIN_PASSWORD_LENGTH };
+const token = { type: "string", required: true, maxLength: 200 };
+
+module.exports = {
+  signup: {
+    summary: "Create an account",
+    body: {
+      fullName: { type: "string", required: true, maxLength: MAX_NAME_LENGTH },
+      email,
+      password: newPassword
+    }
+  },
+  login: { summary: "Log in", body: { email, password } },
+  verifyEmail: { summary: "Confirm an email address", body: { token } },
+  resendVerification: { summary: "Send the verification email again", body: { email } },
+  forgotPassword: { summary: "Email a password reset link", body: { email } },
+  resetPassword: { summary: "Set a new password with a reset token", body: { token, password: newPassword } },
+  changePassword: {
+    summary: "Change my password (signs out other devices)",
+    body: { currentPassword: password, newPassword }
+  },
+  refresh: { summary: "Swap a refresh token for a new token pair", body: { refreshToken: token } },
+  logout: {
+    summary: "Log out this device, by refresh token or access token",
+    auth: "optional",
+    body: { refreshToken: { ...token, required: false } }
+  },
+  logoutAll: { summary: "Log out every device" },
+  listSessions: { summary: "List signed-in devices" },
+  endSession: { summary: "Sign out one device", params: idParam("id", "Session id") }
+};
@@ -0,0 +1,80 @@
+// validators/classrooms.js
+// Request schemas for routes/classrooms.js.
+const { MAX_TEXT_LENGTH, MAX_INVITES } = require("../config/limits");
+const { idParam, title } = require("./common");
+
+const classroomId = idParam("id", "Classroom id");
+const assignmentParams = { ...classroomId, ...idParam("assignmentId", "Assignment id") };
+const instructions = { type: "string", nullable: true, maxLength: MAX_TEXT_LENGTH };
+
+module.exports = {
+  create: {
+    summary: "Create a classroom (instructors and admins)",
+    body: {
+      name: title({ required: true }),
+      description: { type: "string", maxLength: MAX_TEXT_LENGTH }
+    }
+  },
+  list: { summary: "List classrooms I teach or attend" },
+  listInvites: { summary: "List my pending classroom invites" },
+  join: {
+    summary: "Join a classroom with its code",
+    body: { code: { type: "string", required: true, maxLength: 20 } }
+  },
+  get: { summary: "Get a classroom", params: classroomId },
+  update: {
+    summary: "Edit a classroom",
+    params: classroomId,
+    body: {
+      name: title(),
+      description: { type: "string", nullable: true, maxLength: MAX_TEXT_LENGTH }
+    }
+  },
+  remove: { summary: "Delete a classroom", params: classroomId },
+  rotateJoinCode: { summary: "Issue a new join code", params: classroomId },
+  invite: {
+    summary: "Invite students by email",
+    params: classroomId,
+    body: {
+      emails: { type: "array", required: true, minItems: 1, maxItems: MAX_INVITES, items: { type: "email" } }
+    }
+  },
+  cancelInvite: {
+    summary: "Cancel an invite",
+    params: { ...classroomId, email: { type: "email", required: true } }
+  },
+  answerInvite: {
+    summary: "Accept or decline an invite",
+    params: { ...classroomId, decision: { type: "string", required: true, enum: ["accept", "decline"] } }
+  },
+  removeStudent: {
+    summary: "Remove a student (\"me\" to leave)",
+    params: {
+      ...classroomId,
+      userId: { type: "string", required: true, pattern: "^(me|[0-9a-fA-F]{24})$", description: "A user id or me" }
+    }
+  },
+  addInstructor: {
+    summary: "Add a co-instructor by email",
+    params: classroomId,
+    body: { email: { type: "email", required: true } }
+  },
+  createAssignment: {
+    summary: "Assign a quiz or flashcard set",
+    params: classroomId,
+    body: {
+      kind: { type: "string", required: true, enum: ["quiz", "flashcards"] },
+      itemId: { type: "objectId", required: true, description: "One of my quizzes or flashcard sets" },
+      dueDate: { type: "date", required: true },
+      instructions
+    }
+  },
+  listAssignments: { summary: "List a classroom's assignments", params: classroomId },
+  updateAssignment: {
+    summary: "Edit an assignment",
+    params: assignmentParams,
+    body: { dueDate: { type: "date" }, instructions }
+  },
+  removeAssignment: { summary: "Delete an assignment", params: assignmentParams },
+  submissions: { summary: "Per-student progress on an assignment", params: assignmentParams }
+};
@@ -0,0 +1,90 @@
+// validators/common.js
+// Field specs shared by the route schemas (see middlewares/validate.js).
+const { MAX_NAME_LENGTH, MAX_TITLE_LENGTH, MAX_TIME_LIMIT, MAX_ATTEMPTS } = require("../config/limits");
+const { REVIEW_MODES, MAX_REVIEW_ITEMS } = require("../utils/review");
+const { PAGE_SIZES, QUIZ_PARTS } = require("../utils/printables");
+
+/* A required :param holding a document id */
+const idParam = (name, description) => ({ [name]: { type: "objectId", required: true, description } });
+
+/* ?page=&limit= for paged lists */
+const pagination = ({ limit = 20, maxLimit = 100 } = {}) => ({
+  page: { type: "integer", minimum: 1, default: 1 },
+  limit: { type: "integer", minimum: 1, maximum: maxLimit, default: limit }
+});
+
+/* Short text that can't be blank, even when optional */
+const notBlank = { pattern: "\\S", description: "Can't be blank" };
+const title = (extra = {}) => ({ type: "string", ...notBlank, maxLength: MAX_TITLE_LENGTH, ...extra });
+const name = (extra = {}) => ({ type: "string", ...notBlank, maxLength: MAX_NAME_LENGTH, ...extra });
+
+/* Quiz settings accepted wherever a quiz is created or edited */
+const quizSettings = ({ required = false } = {}) => ({
+  title: title({ required }),
+  subject: name({ required }),
+  difficulty: name({ required, description: "e.g. easy, medium or hard" }),
+  timeLimit: { type: "integer", minimum: 0, maximum: MAX_TIME_LIMIT, description: "Minutes; 0 = untimed" },
+  maxAttempts: { type: "integer", minimum: 1, maximum: MAX_ATTEMPTS, nullable: true, description: "null = the server default" },
+  shortAnswerMarking: { type: "string", enum: ["normalized", "ai"] }
+});
+
+const questionTypes = {
+  type: ["string", "array"],
+  description: "Comma-separated list or array of multiple-choice, true-false, short-answer…"
+};
+
+/* Study material for generation: an uploaded file or pasted text */
+const materialText = { type: "string", description: "Pasted study text, used when no file is uploaded" };
+const materialFiles = { file: { description: "PDF, DOCX, PPTX, TXT, Markdown or HTML" } };
+
+/* The date range and subject filter used by analytics and review */
+const historyFilter = {
+  from: { type: "date", description: "ISO date or date-time" },
+  to: { type: "date", description: "ISO date (inclusive) or date-time" },
+  subject: { type: "string", maxLength: MAX_NAME_LENGTH }
+};
+
+/* GET /:id/pdf print options (see utils/printables.js) */
+const printPart = `(${QUIZ_PARTS.join("|")})`;
+const printOptions = {
+  include: {
+    type: "string",
+    pattern: `^\\s*${printPart}\\s*(,\\s*${printPart}\\s*)*$`,
+    description: `Comma-separated: ${QUIZ_PARTS.join(", ")}`
+  },
+  hideAnswers: { type: "boolean" },
+  shuffle: { type: "boolean" },
+  seed: { type: "integer", minimum: 0, description: "Repeat a shuffle, e.g. from X-Shuffle-Seed" },
+  pageSize: { type: "string", enum: Object.keys(PAGE_SIZES) }
+};
+
+/* POST /from-mistakes – which missed questions to practise (see utils/review.js) */
+const reviewRequest = {
+  mode: { type: "string", enum: REVIEW_MODES, default: "original", description: "variants = new AI-written items" },
+  ...historyFilter,
+  limit: { type: "integer", minimum: 1, maximum: MAX_REVIEW_ITEMS, description: "Most-missed first" },
+  minMisses: { type: "integer", minimum: 1 },
+  onlyStillMissing: { type: "boolean", description: "Skip questions answered right since" }
+};
+
+const timezone = { type: "timezone", maxLength: 64, description: "IANA time zone, e.g. Europe/London" };
+
+/* { order: [id, ...] } for reordering questions or cards */
+const order = { type: "array", required: true, items: { type: "objectId" }, description: "Every id exactly once" };
+
+module.exports = {
+  idParam,
+  pagination,
+  notBlank,
+  title,
+  name,
+  quizSettings,
+  questionTypes,
+  materialText,
+  materialFiles,
+  historyFilter,
+  printOptions,
+  reviewRequest,
+  timezone,
+  order
+};
@@ -0,0 +1,5 @@
+// validators/dashboard.js
+// Request schemas for routes/dashboard.js.
+module.exports = {
+  get: { summary: "My stats, rank, streak and recent activity" }
+};
@@ -0,0 +1,115 @@
+// validators/flashcards.js
+// Request schemas for routes/flashcards.js.
+const { MAX_GENERATED_CARDS, MAX_TEXT_LENGTH } = require("../config/limits");
+const { GRADES } = require("../utils/spacedRepetition");
+const { IMPORTERS, EXPORTERS, MAX_IMPORT_CARDS } = require("../utils/flashcardTransfer");
+const { idParam, notBlank, title, name, materialText, materialFiles, printOptions, reviewRequest, order } = require("./common");
+
+const setId = idParam("id", "Flashcard set id");
+
+const card = (required = true) => ({
+  question: { type: "string", required, ...notBlank, maxLength: MAX_TEXT_LENGTH },
+  answer: { type: "string", required, ...notBlank, maxLength: MAX_TEXT_LENGTH },
+  explanation: { type: "string", nullable: true, maxLength: MAX_TEXT_LENGTH }
+});
+
+const numCards = { type: "integer", minimum: 1, maximum: MAX_GENERATED_CARDS };
+
+module.exports = {
+  generate: {
+    summary: "Generate flashcards from study material (background job)",
+    body: {
+      title: title({ required: true }),
+      subject: name({ required: true }),
+      numCards: { ...numCards, default: 10 },
+      text: materialText
+    },
+    files: materialFiles
+  },
+  createManual: {
+    summary: "Create a flashcard set from written cards",
+    body: {
+      title: title({ required: true }),
+      subject: name({ required: true }),
+      cards: {
+        type: "array",
+        required: true,
+        minItems: 1,
+        maxItems: MAX_IMPORT_CARDS,
+        items: { type: "object", properties: card() }
+      }
+    }
+  },
+  fromMistakes: {
+    summary: "Build flashcards from my missed quiz questions",
+    body: {
+      ...reviewRequest,
+      title: title(),
+      numCards: { ...numCards, description: "variants mode only" }
+    }
+  },
+  listSets: { summary: "List my flashcard sets" },
+  listShared: { summary: "List flashcard sets shared with me" },
+  get: { summary: "Get a flashcard set", params: setId },
+  update: {
+    summary: "Edit set details",
+    params: setId,
+    nonEmptyBody: true,
+    body: { title: title(), subject: name() }
+  },
+  addCard: {
+    summary: "Add a card",
+    params: setId,
+    body: {
+      ...card(),
+      position: { type: "integer", minimum: 0, description: "Defaults to the end" }
+    }
+  },
+  reorderCards: {
+    summary: "Reorder cards",
+    params: setId,
+    body: { order }
+  },
+  editCard: {
+    summary: "Edit a card",
+    params: { ...setId, ...idParam("cardId", "Card id") },
+    nonEmptyBody: true,
+    body: card(false)
+  },
+  deleteCard: {
+    summary: "Delete a card",
+    params: { ...setId, ...idParam("cardId", "Card id") }
+  },
+  remove: { summary: "Delete a flashcard set", params: setId },
+  import: {
+    summary: "Import a set from CSV, Quizlet, Anki or JSON",
+    body: {
+      format: { type: "string", enum: Object.keys(IMPORTERS), description: "Detected from the file name if left out" },
+      text: { type: "string", description: "Pasted cards, used when no file is uploaded" },
+      separator: { type: "string", maxLength: 10, description: "Quizlet term/definition separator, e.g. \\t" },
+      rowSeparator: { type: "string", maxLength: 10, description: "Quizlet row separator, e.g. \\n" },
+      title: title(),
+      subject: name()
+    },
+    files: { file: { description: "The export to import" } }
+  },
+  export: {
+    summary: "Download a set",
+    params: setId,
+    query: { format: { type: "string", enum: Object.keys(EXPORTERS), default: "csv" } }
+  },
+  pdf: { summary: "Download a printable PDF", params: setId, query: printOptions },
+  study: {
+    summary: "Record a review of one card",
+    params: setId,
+    body: {
+      cardId: { type: "objectId", required: true },
+      grade: { type: "string", enum: Object.keys(GRADES), description: "Required unless `known` is sent" },
+      known: { type: "boolean", description: "Older clients: true = good, false = again" }
+    }
+  },
+  dueForReview: {
+    summary: "Cards due for review today across my sets",
+    query: { limit: { type: "integer", minimum: 1, maximum: 500, default: 100 } }
+  }
+};
@@ -0,0 +1,8 @@
+// validators/jobs.js
+// Request schemas for routes/jobs.js.
+const { idParam } = require("./common");
+
+module.exports = {
+  list: { summary: "My recent generation jobs" },
+  get: { summary: "Generation job status", params: idParam("id", "Job id") }
+};
@@ -0,0 +1,17 @@
+// validators/leaderboards.js
+// Request schemas for routes/leaderboards.js.
+const { MAX_NAME_LENGTH } = require("../config/limits");
+const { PERIODS } = require("../utils/leaderboards");
+const { pagination } = require("./common");
+
+module.exports = {
+  get: {
+    summary: "Leaderboard page, with my own standing",
+    query: {
+      period: { type: "string", enum: PERIODS, default: "all" },
+      subject: { type: "string", maxLength: MAX_NAME_LENGTH, description: "Leave out for the overall board" },
+      ...pagination()
+    }
+  },
+  subjects: { summary: "Subjects that have a leaderboard" }
+};
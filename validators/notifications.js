@@ -0,0 +1,27 @@
+// validators/notifications.js
+// Request schemas for routes/notifications.js.
+const { timezone } = require("./common");
+
+const toggle = description => ({ type: "boolean", description });
+const token = { type: "string", maxLength: 100, description: "From the reminder email – in the body or the query" };
+
+module.exports = {
+  get: { summary: "My reminder email preferences" },
+  update: {
+    summary: "Change reminder email preferences",
+    nonEmptyBody: true,
+    body: {
+      email: toggle("false turns every reminder off"),
+      streakReminders: toggle(),
+      reviewReminders: toggle(),
+      quizReminders: toggle(),
+      reminderHour: { type: "integer", minimum: 0, maximum: 23, description: "Local hour to send at" },
+      timezone
+    }
+  },
+  unsubscribe: {
+    summary: "Turn off reminder emails from an email link (no login)",
+    query: { token },
+    body: { token }
+  }
+};
@@ -0,0 +1,109 @@
+// validators/quizzes.js
+// Request schemas for routes/quizzes.js.
+const { MAX_QUESTIONS, MAX_TEXT_LENGTH } = require("../config/limits");
+const { TYPE_NAMES } = require("../utils/questionTypes");
+const {
+  idParam, notBlank, quizSettings, questionTypes, materialText, materialFiles, printOptions, reviewRequest, order
+} = require("./common");
+
+const quizId = idParam("id", "Quiz id");
+const { title, timeLimit, maxAttempts, shortAnswerMarking } = quizSettings();
+
+/* The answers array is checked against the quiz itself by utils/grading.js */
+const answers = { type: "array", required: true, description: "One entry per question, null = unanswered" };
+
+/* Question fields beyond these depend on the type – see utils/questionTypes.js */
+const question = (required = true) => ({
+  type: { type: "string", enum: TYPE_NAMES, description: "Defaults to multiple-choice" },
+  question: { type: "string", required, ...notBlank, maxLength: MAX_TEXT_LENGTH },
+  explanation: { type: "string", nullable: true, maxLength: MAX_TEXT_LENGTH }
+});
+
+module.exports = {
+  generate: {
+    summary: "Generate a quiz from study material (background job)",
+    body: {
+      ...quizSettings({ required: true }),
+      numQuestions: { type: "integer", minimum: 1, maximum: MAX_QUESTIONS, default: 10 },
+      timeLimit: { ...timeLimit, default: 0 },
+      questionTypes,
+      text: materialText
+    },
+    files: materialFiles
+  },
+  listSets: { summary: "List my quizzes with attempt stats" },
+  listShared: { summary: "List quizzes shared with me" },
+  createManual: {
+    summary: "Create a quiz from written questions",
+    body: {
+      ...quizSettings({ required: true }),
+      questions: {
+        type: "array",
+        required: true,
+        minItems: 1,
+        maxItems: MAX_QUESTIONS,
+        items: { type: "object", properties: question() }
+      }
+    }
+  },
+  fromMistakes: {
+    summary: "Build a practice quiz from my missed questions",
+    body: {
+      ...reviewRequest,
+      title,
+      timeLimit,
+      maxAttempts,
+      shortAnswerMarking,
+      questionTypes,
+      numQuestions: { type: "integer", minimum: 1, maximum: MAX_QUESTIONS, description: "variants mode only" }
+    }
+  },
+  update: {
+    summary: "Edit quiz settings",
+    params: quizId,
+    nonEmptyBody: true,
+    body: quizSettings()
+  },
+  addQuestion: {
+    summary: "Add a question",
+    params: quizId,
+    body: {
+      ...question(),
+      position: { type: "integer", minimum: 0, description: "Defaults to the end" }
+    }
+  },
+  reorderQuestions: {
+    summary: "Reorder questions",
+    params: quizId,
+    body: { order }
+  },
+  editQuestion: {
+    summary: "Edit a question",
+    params: { ...quizId, ...idParam("questionId", "Question id") },
+    body: question(false)
+  },
+  deleteQuestion: {
+    summary: "Delete a question",
+    params: { ...quizId, ...idParam("questionId", "Question id") }
+  },
+  get: { summary: "Get a quiz to attempt (no answer key)", params: quizId },
+  answerKey: { summary: "Get a quiz with its answer key, once attempted", params: quizId },
+  pdf: { summary: "Download a printable PDF", params: quizId, query: printOptions },
+  start: { summary: "Start or resume a timed attempt", params: quizId },
+  saveAnswers: {
+    summary: "Save in-progress answers",
+    params: idParam("sessionId", "Attempt session id from /:id/start"),
+    body: { answers }
+  },
+  submit: {
+    summary: "Submit an attempt for grading",
+    body: {
+      quizId: { type: "objectId", required: true },
+      sessionId: { type: "objectId", required: true, description: "From POST /:id/start" },
+      answers
+    }
+  },
+  latestResult: { summary: "Get my latest result for a quiz", params: idParam("quizId", "Quiz id") },
+  attempts: { summary: "List my attempts at a quiz", params: idParam("quizId", "Quiz id") },
+  remove: { summary: "Delete a quiz and its results", params: quizId }
+};
@@ -0,0 +1,35 @@
+// validators/sharing.js
+// Request schemas for the sharing routes added by mountSharing (utils/sharing.js).
+const { MAX_SHARE_EMAILS } = require("../config/limits");
+const { idParam } = require("./common");
+
+/* `label` names the kind of document, e.g. "Quiz" */
+const sharingSchemas = label => {
+  const noun = label.toLowerCase();
+  const id = idParam("id", `${label} id`);
+  const token = { token: { type: "string", required: true, maxLength: 100, description: "From the share link" } };
+  return {
+    getShare: { summary: `Who this ${noun} is shared with`, params: id },
+    share: {
+      summary: `Share this ${noun} with other users`,
+      params: id,
+      body: {
+        emails: { type: "array", required: true, minItems: 1, maxItems: MAX_SHARE_EMAILS, items: { type: "email" } }
+      }
+    },
+    removeRecipient: {
+      summary: `Stop sharing this ${noun} with a user ("me" to leave)`,
+      params: {
+        ...id,
+        userId: { type: "string", required: true, pattern: "^(me|[0-9a-fA-F]{24})$", description: "A user id or me" }
+      }
+    },
+    createLink: { summary: `Create or rotate the share link for this ${noun}`, params: id },
+    revokeLink: { summary: `Revoke the share link for this ${noun}`, params: id },
+    clone: { summary: `Copy this ${noun} into my library`, params: id },
+    previewLink: { summary: `Preview the ${noun} behind a share link`, params: token },
+    joinLink: { summary: `Join a shared ${noun} through its link`, params: token }
+  };
+};
+
+module.exports = { sharingSchemas };
@@ -0,0 +1,18 @@
+// validators/study.js
+// Request schemas for routes/study.js.
+const { MAX_DAILY_GOAL } = require("../utils/streaks");
+const { timezone } = require("./common");
+
+const goal = { type: "integer", minimum: 0, maximum: MAX_DAILY_GOAL, description: "0 = no goal" };
+
+module.exports = {
+  get: {
+    summary: "Streak, today's goal progress and daily history",
+    query: { days: { type: "integer", minimum: 1, maximum: 366, default: 30 } }
+  },
+  setGoals: {
+    summary: "Set daily goals",
+    nonEmptyBody: true,
+    body: { cardsReviewed: goal, quizzesTaken: goal, timezone }
+  }
+};